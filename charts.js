@@ -0,0 +1,130 @@
+// Tickora - SVG charts
+// Small dependency-free chart builders. Values are percentages (0-100)
+// and null marks a gap. Sizes are viewBox units; CSS scales the chart
+// to its container and styles it (.chart-* classes, incl. dark mode).
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Inner plot area, leaving room for axis labels
+const CHART_PADDING = { top: 10, right: 10, bottom: 24, left: 36 };
+
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+    return element;
+}
+
+// Empty chart with an accessible label
+function createChart(width, height, label) {
+    const svg = createSvgElement('svg', {
+        class: 'chart',
+        viewBox: `0 0 ${width} ${height}`,
+        role: 'img',
+        'aria-label': label
+    });
+    const title = createSvgElement('title');
+    title.textContent = label;
+    svg.appendChild(title);
+    return svg;
+}
+
+function addChartText(svg, x, y, text, className, anchor = 'middle') {
+    const element = createSvgElement('text', { x, y, class: className, 'text-anchor': anchor });
+    element.textContent = text;
+    svg.appendChild(element);
+    return element;
+}
+
+// Horizontal grid lines at 0, 50 and 100% with labels
+function drawPercentGrid(svg, box) {
+    [0, 50, 100].forEach(percent => {
+        const y = box.bottom - (percent / 100) * box.height;
+        svg.appendChild(createSvgElement('line', {
+            x1: box.left, x2: box.right, y1: y, y2: y, class: 'chart-grid'
+        }));
+        addChartText(svg, box.left - 6, y + 4, `${percent}%`, 'chart-label', 'end');
+    });
+}
+
+function getPlotBox(width, height) {
+    const left = CHART_PADDING.left;
+    const right = width - CHART_PADDING.right;
+    const top = CHART_PADDING.top;
+    const bottom = height - CHART_PADDING.bottom;
+    return { left, right, top, bottom, width: right - left, height: bottom - top };
+}
+
+// Daily values as thin bars with a trend line (e.g. a rolling average)
+// drawn on top. labels[i] is shown under a few evenly spaced days.
+function renderTrendChart({ values, trend, labels, label, width = 600, height = 200 }) {
+    const svg = createChart(width, height, label);
+    const box = getPlotBox(width, height);
+    const step = box.width / Math.max(values.length, 1);
+    const x = index => box.left + step * index + step / 2;
+    const y = value => box.bottom - (value / 100) * box.height;
+    
+    drawPercentGrid(svg, box);
+    
+    values.forEach((value, index) => {
+        if (value === null) return;
+        const barWidth = Math.max(step * 0.7, 1);
+        svg.appendChild(createSvgElement('rect', {
+            x: x(index) - barWidth / 2,
+            y: y(value),
+            width: barWidth,
+            height: Math.max(box.bottom - y(value), 0),
+            class: 'chart-bar muted'
+        }));
+    });
+    
+    // Break the line at gaps instead of bridging them
+    let path = '';
+    let drawing = false;
+    trend.forEach((value, index) => {
+        if (value === null) {
+            drawing = false;
+            return;
+        }
+        path += `${drawing ? 'L' : 'M'}${x(index).toFixed(1)},${y(value).toFixed(1)}`;
+        drawing = true;
+    });
+    if (path) {
+        svg.appendChild(createSvgElement('path', { d: path, class: 'chart-line' }));
+    }
+    
+    const labelCount = Math.min(values.length, 5);
+    for (let i = 0; i < labelCount; i++) {
+        const index = labelCount === 1 ? 0 : Math.round(i * (values.length - 1) / (labelCount - 1));
+        addChartText(svg, x(index), height - 6, labels[index], 'chart-label');
+    }
+    
+    return svg;
+}
+
+// Vertical bars with a label under each; the bar at `highlight` stands out
+function renderBarChart({ values, labels, highlight = -1, label, width = 600, height = 180 }) {
+    const svg = createChart(width, height, label);
+    const box = getPlotBox(width, height);
+    const step = box.width / Math.max(values.length, 1);
+    
+    drawPercentGrid(svg, box);
+    
+    values.forEach((value, index) => {
+        const center = box.left + step * index + step / 2;
+        addChartText(svg, center, height - 6, labels[index], 'chart-label');
+        if (value === null) return;
+        
+        const barHeight = (value / 100) * box.height;
+        svg.appendChild(createSvgElement('rect', {
+            x: center - step * 0.3,
+            y: box.bottom - barHeight,
+            width: step * 0.6,
+            height: barHeight,
+            rx: 3,
+            class: 'chart-bar' + (index === highlight ? ' highlight' : '')
+        }));
+        addChartText(svg, center, box.bottom - barHeight - 4, `${Math.round(value)}%`, 'chart-value');
+    });
+    
+    return svg;
+}
@@ -0,0 +1,156 @@
+// Tickora - Local date utilities
+// All dates are handled as local calendar days in YYYY-MM-DD form.
+// Never use toISOString() for day keys: it returns the UTC date.
+
+// ==================== DAY BOUNDARY ====================
+
+// Hour (0-23) at which a new day begins, e.g. 4 for night owls
+let dayStartHour = 0;
+
+function setDayStartHour(hour) {
+    const parsed = parseInt(hour, 10);
+    dayStartHour = (parsed >= 0 && parsed <= 23) ? parsed : 0;
+}
+
+function getDayStartHour() {
+    return dayStartHour;
+}
+
+// ==================== CONVERSION ====================
+
+// Format a Date as YYYY-MM-DD using local components
+function formatDateKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// Build a day key from year, zero-based month and day of month
+function makeDateKey(year, month, day) {
+    return formatDateKey(new Date(year, month, day));
+}
+
+// Parse YYYY-MM-DD into a local Date at midnight
+function parseDateKey(dateStr) {
+    const [year, month, day] = String(dateStr).split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Short display form of a day key, e.g. "Oct 5, 2026" in English
+function formatShortDate(dateStr) {
+    return parseDateKey(dateStr).toLocaleDateString(getLocale(), { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Check that a string is a real YYYY-MM-DD date
+function isValidDateKey(dateStr) {
+    if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+    return formatDateKey(parseDateKey(dateStr)) === dateStr;
+}
+
+// ==================== ARITHMETIC ====================
+
+// Shift a day key by a number of days (DST-safe, works on calendar days)
+function addDays(dateStr, amount) {
+    const date = parseDateKey(dateStr);
+    date.setDate(date.getDate() + amount);
+    return formatDateKey(date);
+}
+
+// Whole days from one key to another (positive when `to` is later)
+function diffDays(from, to) {
+    const [fy, fm, fd] = from.split('-').map(Number);
+    const [ty, tm, td] = to.split('-').map(Number);
+    return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000);
+}
+
+// Day of week for a key (0 = Sunday)
+function getDayOfWeek(dateStr) {
+    return parseDateKey(dateStr).getDay();
+}
+
+// Inclusive list of day keys between two keys
+function getDateRange(start, end) {
+    const dates = [];
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+// ==================== PERIODS ====================
+
+// First day of the week (0 = Sunday), matching the calendar grid
+let weekStartsOn = 0;
+
+function setWeekStart(day) {
+    const parsed = parseInt(day, 10);
+    weekStartsOn = (parsed >= 0 && parsed <= 6) ? parsed : 0;
+}
+
+function getWeekStart() {
+    return weekStartsOn;
+}
+
+// Weekday numbers (0 = Sunday) in display order, starting with the first day of the week
+function getOrderedWeekdays() {
+    return Array.from({ length: 7 }, (_, index) => (weekStartsOn + index) % 7);
+}
+
+// First and last day of the calendar week containing a key
+function getWeekBounds(dateStr) {
+    const offset = (getDayOfWeek(dateStr) - weekStartsOn + 7) % 7;
+    const start = addDays(dateStr, -offset);
+    return { start, end: addDays(start, 6) };
+}
+
+// First and last day of the month containing a key
+function getMonthBounds(dateStr) {
+    const date = parseDateKey(dateStr);
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    return {
+        start: makeDateKey(year, month, 1),
+        end: makeDateKey(year, month + 1, 0)
+    };
+}
+
+// First and last day of the quarter (Jan-Mar, Apr-Jun, ...) containing a key
+function getQuarterBounds(dateStr) {
+    const date = parseDateKey(dateStr);
+    const year = date.getFullYear();
+    const firstMonth = Math.floor(date.getMonth() / 3) * 3;
+    return {
+        start: makeDateKey(year, firstMonth, 1),
+        end: makeDateKey(year, firstMonth + 3, 0)
+    };
+}
+
+// ==================== TODAY & RANGES ====================
+
+// Get today's date as YYYY-MM-DD, honouring the configured day start hour
+function getTodayDate() {
+    const now = new Date();
+    if (now.getHours() < dayStartHour) {
+        now.setDate(now.getDate() - 1);
+    }
+    return formatDateKey(now);
+}
+
+// Get current week dates: the last 7 days, or the calendar week so far
+function getWeekDates(calendarWeek = false) {
+    const today = getTodayDate();
+    if (calendarWeek) return getDateRange(getWeekBounds(today).start, today);
+    return getDateRange(addDays(today, -6), today);
+}
+
+// Get all dates in a month (defaults to the current month)
+function getMonthDates(year, month) {
+    if (year === undefined || month === undefined) {
+        const today = parseDateKey(getTodayDate());
+        year = today.getFullYear();
+        month = today.getMonth();
+    }
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    return getDateRange(makeDateKey(year, month, 1), makeDateKey(year, month, daysInMonth));
+}
@@ -0,0 +1,1689 @@
+// Tickora - Translations
+// Strings are looked up by key with t('key', { name: ... }); missing keys
+// fall back to English. A message can be an object of plural forms
+// (one, two, few, many, other) picked by the `count` parameter. Static
+// text in index.html is marked with data-i18n (text) and data-i18n-attr
+// ("attribute:key;...") and filled in by translatePage().
+
+const DEFAULT_LOCALE = 'en';
+
+const LOCALES = {
+    en: {
+        name: 'English',
+        dir: 'ltr',
+        messages: {
+            'app.name': 'Tickora',
+            'app.tagline': 'Your Daily Habit Tracker',
+            'app.toggleTheme': 'Toggle Dark/Light Mode',
+            'common.ok': 'OK',
+            'common.save': 'Save',
+            'common.cancel': 'Cancel',
+            'common.close': 'Close',
+            'common.dismiss': 'Dismiss',
+            'common.edit': 'Edit',
+            'common.archive': 'Archive',
+            'common.restore': 'Restore',
+            'common.delete': 'Delete',
+            'common.remove': 'Remove',
+            'common.export': 'Export',
+            'common.to': 'to',
+            'common.days': 'days',
+            'common.dayCount': { one: '{count} day', other: '{count} days' },
+            'dialog.confirmTitle': 'Are you sure?',
+            'undo.undo': 'Undo',
+            'undo.redo': 'Redo',
+            'undo.undone': 'Undone: {label}',
+            'undo.redone': 'Redone: {label}',
+            'undo.nothingToUndo': 'Nothing to undo',
+            'undo.nothingToRedo': 'Nothing to redo',
+            'actions.checkedOff': 'Checked off {name}',
+            'actions.unchecked': 'Unchecked {name}',
+            'actions.setValue': '{name} set to {value}',
+            'actions.skipped': 'Skipped {name}',
+            'actions.unskipped': 'Unskipped {name}',
+            'actions.onDate': '{action} on {date}',
+            'actions.added': 'Added {name}',
+            'actions.edited': 'Edited {name}',
+            'actions.deleted': 'Deleted {name}',
+            'actions.archived': 'Archived {name}',
+            'actions.restored': 'Restored {name}',
+            'actions.moved': 'Moved {name}',
+            'actions.savedNote': 'Saved note for {name}',
+            'actions.removedNote': 'Removed note for {name}',
+            'actions.changedMood': 'Changed mood',
+            'actions.savedJournal': 'Saved journal entry',
+            'actions.savedTemplate': 'Saved template {name}',
+            'actions.removedTemplate': 'Removed template {name}',
+            'actions.addedFromPack': 'Added {count} from {name}',
+            'actions.importedPack': 'Imported pack {name}',
+            'actions.removedPack': 'Removed pack {name}',
+            'actions.importedData': 'Imported data',
+            'actions.replacedData': 'Replaced data from import',
+            'progress.title': 'Today\'s Progress',
+            'progress.nothingDue': 'Nothing due today',
+            'progress.summary': '{percentage}% completed ({completed} / {due} due)',
+            'progress.today': 'Today',
+            'progress.announce': '{when}: {completed} of {due} done ({percentage}%)',
+            'progress.announceNothingDue': '{when}: nothing due',
+            'streak.perfect': '🔥 Perfect-day streak:',
+            'streak.perfectTitle': 'Consecutive days with every activity completed',
+            'streak.best': '🏆 Best:',
+            'streak.visits': '👣 Visits:',
+            'streak.visitsTitle': 'Consecutive days the app was opened',
+            'activities.title': 'Your Activities',
+            'activities.filterByTag': 'Filter by tag',
+            'activities.namePlaceholder': 'Enter activity name',
+            'activities.add': '+ Add Activity',
+            'activities.empty': 'No activities yet. Add one to get started!',
+            'activities.emptyTag': 'No activities tagged #{tag}.',
+            'activities.allArchived': 'All activities are archived. Restore one or add a new one.',
+            'activities.targetReached': 'Target reached',
+            'activities.quotaWeek': '{done} / {times} this week',
+            'activities.quotaMonth': '{done} / {times} this month',
+            'activities.paused': 'Paused',
+            'activities.pausedUntil': 'Paused until {date}',
+            'activities.skippedToday': 'Skipped today',
+            'activities.dueToday': 'Due today',
+            'activities.notDueToday': 'Not due today',
+            'activities.streakTitle': 'Current streak: {current} days · Best: {best} days',
+            'activities.archiveTitle': 'Hide from the daily list and keep the history',
+            'activities.archivedCount': 'Archived ({count})',
+            'activities.archivedOn': 'Archived {date}',
+            'activities.invalidName': 'Please enter a valid activity name (1-100 characters).',
+            'activities.duplicate': 'This activity already exists!',
+            'activities.max': 'Maximum {max} activities allowed.',
+            'activities.invalidSchedule': 'Please enter a valid schedule.',
+            'activities.invalidTarget': 'Please enter a valid target (greater than 0).',
+            'activities.invalidPauses': 'Please enter valid pause dates (the end can\'t be before the start).',
+            'activities.deleteConfirm': 'Delete "{name}" and all of its history?',
+            'activities.deleteTitle': 'Delete activity',
+            'activities.deleteDetail': 'Archive it instead to keep the history.',
+            'activities.allTags': 'All tags',
+            'activities.dragTitle': 'Drag or use the arrow keys to reorder',
+            'activities.reorder': 'Reorder {name}',
+            'editor.name': 'Activity name',
+            'editor.icon': 'Icon',
+            'editor.description': 'Description (optional)',
+            'editor.category': 'Category',
+            'editor.categoryPlaceholder': 'Category (optional)',
+            'editor.tags': 'Tags',
+            'editor.tagsPlaceholder': 'Tags, comma separated',
+            'editor.saveAsTemplate': 'Save as template',
+            'editor.remindAt': '🔔 Remind me at',
+            'pauses.title': '⏸ Pauses',
+            'pauses.start': 'Pause start',
+            'pauses.end': 'Pause end (optional)',
+            'pauses.endHint': 'Leave empty to pause until further notice',
+            'pauses.add': 'Add pause',
+            'pauses.remove': 'Remove pause',
+            'pauses.range': '{start} – {end}',
+            'pauses.openEnded': 'From {start}, until further notice',
+            'skip.skip': 'Skip',
+            'skip.unskip': 'Unskip',
+            'skip.skipTitle': 'Skip this day without breaking the streak',
+            'skip.unskipTitle': 'Count this day again',
+            'skip.skipLabel': 'Skip {name}',
+            'skip.unskipLabel': 'Unskip {name}',
+            'measure.decrease': 'Decrease {name}',
+            'measure.increase': 'Increase {name}',
+            'measure.value': '{name} value',
+            'measure.type': 'Activity type',
+            'measure.check': 'Checkbox',
+            'measure.measure': 'Measurable',
+            'measure.target': 'Target',
+            'measure.unit': 'Unit (e.g. pages)',
+            'measure.step': 'Step',
+            'schedule.everyDay': 'Every day',
+            'schedule.everyNDays': 'Every {count} days',
+            'schedule.timesPerWeek': '{times}× per week',
+            'schedule.timesPerMonth': '{times}× per month',
+            'schedule.label': 'Schedule',
+            'schedule.amount': 'Schedule amount',
+            'schedule.weekdays': 'Specific weekdays',
+            'schedule.weekly': 'Times per week',
+            'schedule.monthly': 'Times per month',
+            'schedule.interval': 'Every N days',
+            'groups.uncategorized': 'Uncategorized',
+            'groups.doneCount': '{completed} / {due} done',
+            'groups.nothingDue': 'Nothing due',
+            'timeBlocks.morning': 'Morning',
+            'timeBlocks.afternoon': 'Afternoon',
+            'timeBlocks.evening': 'Evening',
+            'timeBlocks.anytime': 'Anytime',
+            'timeBlocks.now': 'Now',
+            'timeBlocks.routine': '{name} routine',
+            'timeBlocks.label': 'Routine',
+            'suggestions.title': 'You can add',
+            'suggestions.myTemplates': 'My templates',
+            'suggestions.add': '+ Add',
+            'suggestions.addLabel': 'Add {name}',
+            'suggestions.addCount': '+ Add {count}',
+            'suggestions.allAdded': 'All added',
+            'suggestions.alreadyAdded': 'Already added',
+            'suggestions.removeTemplate': 'Remove template {name}',
+            'suggestions.allInList': 'Everything in the library is already on your list.',
+            'suggestions.starterPacks': 'Starter packs',
+            'suggestions.importPack': '⬆ Import pack',
+            'suggestions.exportPack': '⬇ Share my activities as a pack',
+            'suggestions.gym': 'Gym / Workout',
+            'suggestions.walk': 'Jogging / Walk',
+            'suggestions.stretching': 'Stretching',
+            'suggestions.steps': 'Steps',
+            'suggestions.water': 'Drink water',
+            'suggestions.vitamins': 'Take vitamins',
+            'suggestions.sleep': 'Sleep by 11 PM',
+            'suggestions.reading': 'Book Reading',
+            'suggestions.coding': 'Coding Practice',
+            'suggestions.study': 'Study / Revision',
+            'suggestions.skill': 'Skill Learning',
+            'suggestions.language': 'Language practice',
+            'suggestions.prayer': 'Namaz / Prayer',
+            'suggestions.gratitude': 'Gratitude journal',
+            'suggestions.meditation': 'Meditation',
+            'suggestions.noPhone': 'No phone before bed',
+            'suggestions.planTomorrow': 'Plan tomorrow',
+            'suggestions.inbox': 'Inbox zero',
+            'suggestions.callFamily': 'Call family or a friend',
+            'suggestions.tidy': 'Tidy up for 10 minutes',
+            'categories.health': 'Health',
+            'categories.fitness': 'Fitness',
+            'categories.learning': 'Learning',
+            'categories.spiritual': 'Spiritual',
+            'categories.mindfulness': 'Mindfulness',
+            'categories.productivity': 'Productivity',
+            'categories.social': 'Social',
+            'categories.chores': 'Chores',
+            'units.steps': 'steps',
+            'units.glasses': 'glasses',
+            'units.pages': 'pages',
+            'units.min': 'min',
+            'units.prayers': 'prayers',
+            'templates.invalid': 'Please fix the activity details before saving it as a template.',
+            'templates.max': 'Maximum {max} templates allowed.',
+            'packs.health': 'Healthy basics',
+            'packs.healthDescription': 'Water, movement and a regular bedtime.',
+            'packs.morning': 'Morning routine',
+            'packs.morningDescription': 'Start the day calm and awake.',
+            'packs.learning': 'Lifelong learner',
+            'packs.learningDescription': 'A little learning every day.',
+            'packs.evening': 'Wind down',
+            'packs.eveningDescription': 'Close the day and get ready for tomorrow.',
+            'packs.myActivities': 'My activities',
+            'packs.noActivities': 'Add some activities first.',
+            'packs.allAdded': 'Everything in "{name}" is already added.',
+            'packs.max': 'Maximum {max} imported packs allowed.',
+            'packs.notPack': 'The file is not a Tickora starter pack.',
+            'packs.newerVersion': 'This pack was created by a newer version of Tickora.',
+            'packs.empty': 'The pack has no valid activities.',
+            'packs.importTitle': 'Import pack',
+            'packs.importConfirm': { one: 'Import "{name}" and its activity into your packs?', other: 'Import "{name}" and its {count} activities into your packs?' },
+            'packs.skipped': { one: '1 activity in the file was invalid or repeated and was skipped.', other: '{count} activities in the file were invalid or repeated and were skipped.' },
+            'calendar.title': 'Monthly Activity History',
+            'calendar.previous': 'Previous month',
+            'calendar.next': 'Next month',
+            'calendar.jump': 'Jump to month',
+            'calendar.today': 'Today',
+            'calendar.rest': 'Rest',
+            'calendar.moodTitle': 'Mood: {mood}',
+            'calendar.isToday': 'today',
+            'calendar.nothingDue': 'nothing due',
+            'calendar.notStarted': 'not started',
+            'calendar.doneCount': '{completed} of {due} done',
+            'calendar.mood': 'mood {mood}',
+            'legend.completed': 'Completed',
+            'legend.partial': 'Partial',
+            'legend.notStarted': 'Not Started',
+            'legend.nothingDue': 'Nothing Due',
+            'mood.1': 'Awful',
+            'mood.2': 'Bad',
+            'mood.3': 'Okay',
+            'mood.4': 'Good',
+            'mood.5': 'Great',
+            'day.completion': 'Completion:',
+            'day.noActivities': 'No activities added yet.',
+            'day.notDue': 'Not due',
+            'day.paused': 'Paused',
+            'day.skipped': 'Skipped',
+            'day.archived': 'Archived',
+            'day.notePlaceholder': 'Add a note…',
+            'day.noteLabel': 'Note for {name}',
+            'day.futureLocked': 'Future days can\'t be edited.',
+            'day.outsideBackfill': 'This day is outside the backfill window.',
+            'journal.title': 'Journal',
+            'journal.mood': 'Mood',
+            'journal.placeholder': 'How did the day go?',
+            'journal.label': 'Journal entry',
+            'journal.empty': 'No journal entry.',
+            'heatmap.title': 'Last 12 Months',
+            'heatmap.activity': 'Heatmap activity',
+            'heatmap.less': 'Less',
+            'heatmap.more': 'More',
+            'filters.allActivities': 'All activities',
+            'notes.title': 'Notes & Journal',
+            'notes.search': 'Search notes and journal',
+            'notes.searchPlaceholder': 'Search notes and journal…',
+            'notes.noMatches': 'No notes match your search.',
+            'notes.empty': 'No notes yet. Click a calendar day to add a note or journal entry.',
+            'weekly.title': 'Weekly Summary',
+            'weekly.averageExplanation': 'Average = Overall completion percentage for the week',
+            'monthly.title': 'Monthly Summary',
+            'monthly.averageExplanation': 'Average = Overall completion percentage for the month',
+            'stats.perfectDays': 'Perfect Days:',
+            'stats.average': 'Average Completion:',
+            'stats.perfectExplanation': 'Perfect Days = Days with 100% activities completed',
+            'analytics.title': 'Statistics',
+            'analytics.activityFilter': 'Statistics activity',
+            'analytics.range': 'Statistics range',
+            'analytics.last7': 'Last 7 days',
+            'analytics.last30': 'Last 30 days',
+            'analytics.last90': 'Last 90 days',
+            'analytics.last365': 'Last 365 days',
+            'analytics.custom': 'Custom range',
+            'analytics.start': 'Start date',
+            'analytics.end': 'End date',
+            'analytics.trend': 'Trend',
+            'analytics.byWeekday': 'By Day of Week',
+            'analytics.perActivity': 'Per Activity',
+            'analytics.noActivities': 'Add an activity to see statistics.',
+            'analytics.pickRange': 'Pick a start and end date.',
+            'analytics.completionRate': 'Completion rate',
+            'analytics.previousPeriod': 'Previous period',
+            'analytics.daysDone': 'Days done',
+            'analytics.perfectDays': 'Perfect days',
+            'analytics.noEarlierData': 'No earlier data',
+            'analytics.sameAsBefore': 'Same as before',
+            'analytics.points': '{delta} pts',
+            'analytics.vsPrevious': '{points} vs previous',
+            'analytics.trendLabel': 'Daily completion with {window}-day rolling average',
+            'analytics.weekdayLabel': 'Completion rate by day of week',
+            'analytics.noWeakDays': 'No weak days in this period.',
+            'analytics.mostMissed': 'Most missed on {day} ({rate} completed).',
+            'analytics.activity': 'Activity',
+            'analytics.completion': 'Completion',
+            'analytics.previous': 'Previous',
+            'analytics.change': 'Change',
+            'settings.title': 'Settings',
+            'settings.dayStart': 'Day starts at',
+            'settings.dayStartHint': 'Check-ins before this hour count towards the previous day.',
+            'settings.midnight': 'Midnight',
+            'settings.backfill': 'Edit past days up to',
+            'settings.backfillHint': 'Click a calendar day to fix missed check-ins.',
+            'settings.noLimit': 'No limit',
+            'settings.language': 'Language',
+            'settings.languageAuto': 'Automatic ({name})',
+            'settings.weekStart': 'Week starts on',
+            'settings.weeklySummary': 'Weekly summary covers',
+            'settings.lastSevenDays': 'The last 7 days',
+            'settings.calendarWeek': 'This calendar week',
+            'settings.showShortcuts': 'Show (?)',
+            'settings.reminders': 'Reminders',
+            'settings.sendReminders': 'Send reminders',
+            'settings.dailySummary': 'Daily summary at',
+            'settings.onlyIncomplete': 'Only when something is unfinished',
+            'settings.quietHours': 'Quiet hours',
+            'settings.quietStart': 'Quiet hours start',
+            'settings.quietEnd': 'Quiet hours end',
+            'settings.reminderHint': 'Clear the daily time to only get per-activity reminders (set them under Edit).',
+            'settings.notificationsUnsupported': 'This browser doesn\'t support notifications.',
+            'settings.notificationsBlocked': 'Notifications are blocked in your browser settings.',
+            'settings.notificationsDenied': 'Notifications are blocked. Allow them in your browser settings to get reminders.',
+            'settings.yourData': 'Your Data',
+            'settings.exportJson': '⬇ Export JSON',
+            'settings.importJson': '⬆ Import JSON',
+            'settings.exportCsv': '⬇ Export CSV',
+            'settings.importCsv': '⬆ Import CSV',
+            'settings.dataHint': 'All data lives in this browser. Export a backup regularly.',
+            'storage.quotaExceeded': 'Storage limit reached. Please delete some old data.',
+            'storage.saveFailed': 'Your latest changes could not be saved. They will be saved with your next change.',
+            'import.tooLarge': 'The file is too large to import.',
+            'import.unreadable': 'The file could not be read.',
+            'import.failed': 'Import failed: {error}',
+            'import.invalidJson': 'The file is not valid JSON.',
+            'import.notTickora': 'The file does not contain Tickora data.',
+            'import.newerVersion': 'This file was created by a newer version of Tickora.',
+            'import.upgradeFailed': 'The file could not be upgraded to the current format.',
+            'import.tooManyActivities': 'The file has more than {max} activities.',
+            'import.invalidActivity': 'The file contains an invalid activity.',
+            'import.invalidName': 'Activity names must be 1-100 characters.',
+            'import.duplicateActivity': 'Activity "{name}" is duplicated or has no id.',
+            'import.invalidActivitySettings': 'Activity "{name}" has an invalid schedule or target.',
+            'import.invalidDate': 'Invalid date "{date}" in history.',
+            'import.title': 'Import Data',
+            'import.merge': 'Merge with current data',
+            'import.replace': 'Replace current data',
+            'import.import': 'Import',
+            'import.more': '{names}, +{count} more',
+            'import.activitiesInFile': 'Activities in file: {count} ({matched} already tracked)',
+            'import.newActivities': 'New activities: {names}',
+            'import.removedActivities': 'Removed activities: {names}',
+            'import.skipped': 'Skipped (limit of {max} reached): {names}',
+            'import.entriesReplaced': 'Check-ins replaced: {removed} current → {added} from file',
+            'import.entriesAdded': 'Check-ins added: {added}, updated: {changed}',
+            'import.notesAdded': 'Notes and journal entries added: {count}',
+            'csv.exportTitle': 'Export CSV',
+            'csv.format': 'Format',
+            'csv.formatLabel': 'CSV format',
+            'csv.longFormat': 'Long: date, activity, value',
+            'csv.wideFormat': 'Wide: one column per activity',
+            'csv.from': 'From',
+            'csv.to': 'To',
+            'csv.fromDate': 'From date',
+            'csv.toDate': 'To date',
+            'csv.invalidRange': 'Please choose a valid date range.',
+            'csv.rangeTooLong': 'Please choose a range of at most 10 years.',
+            'csv.importTitle': 'Import CSV',
+            'csv.noRows': 'The CSV file has no data rows.',
+            'csv.layout': 'Layout',
+            'csv.layoutLabel': 'CSV layout',
+            'csv.longLayout': 'One row per check-in',
+            'csv.wideLayout': 'One column per habit',
+            'csv.column': 'Column {number}',
+            'csv.dateColumn': 'Date column',
+            'csv.activityColumn': 'Activity column',
+            'csv.valueColumn': 'Value column',
+            'csv.noValueColumn': '(none: every row counts as done)',
+            'csv.mappingTitle': 'Map habits to activities',
+            'csv.skip': 'Skip',
+            'csv.newActivity': 'New activity',
+            'csv.map': 'Map {name}',
+            'csv.continue': 'Continue',
+            'csv.nothingMapped': 'No habits were mapped to activities.',
+            'csv.noDates': 'No rows had a recognisable date.',
+            'csv.noCheckIns': 'No check-ins were found.',
+            'reminders.title': 'Tickora Daily Reminder',
+            'reminders.stillToDo': 'Still to do: {routines}. Complete them to maintain your streak! 💪',
+            'reminders.remaining': {
+                one: 'You have {count} incomplete activity today. Complete it to maintain your streak! 💪',
+                other: 'You have {count} incomplete activities today. Complete them to maintain your streak! 💪'
+            },
+            'reminders.noActivities': 'Don\'t forget to complete your activities today! 🎯',
+            'reminders.allDone': 'Great job! All activities completed today! 🎉 Keep up the streak!',
+            'reminders.checkOff': 'Time to check this off today.',
+            'reminders.alreadyDone': 'Already done today. Nice work!',
+            'reminders.soFar': '{value} so far today.',
+            'profiles.title': 'Profiles',
+            'profiles.defaultName': 'Me',
+            'profiles.button': 'Profile: {name}',
+            'profiles.current': 'Current',
+            'profiles.switch': 'Switch',
+            'profiles.switchProfile': 'Switch profile',
+            'profiles.locked': 'Locked with a PIN',
+            'profiles.lockNow': 'Lock',
+            'profiles.namePlaceholder': 'New profile name',
+            'profiles.add': '+ Add',
+            'profiles.max': 'Maximum {max} profiles allowed.',
+            'profiles.nameRequired': 'Please enter a profile name.',
+            'profiles.editTitle': 'Edit profile',
+            'profiles.name': 'Name',
+            'profiles.pin': 'PIN',
+            'profiles.pinHint': '4 to 8 digits. Leave empty for no PIN.',
+            'profiles.pinKeepHint': '4 to 8 digits. Leave empty to keep the current PIN.',
+            'profiles.removePin': 'Remove PIN',
+            'profiles.invalidPin': 'A PIN is 4 to 8 digits.',
+            'profiles.pinUnavailable': 'A PIN lock needs the app to be served over HTTPS.',
+            'profiles.unlockTitle': '🔒 {name}',
+            'profiles.enterPin': 'Enter the PIN for {name}.',
+            'profiles.unlock': 'Unlock',
+            'profiles.wrongPin': 'Wrong PIN. Try again.',
+            'profiles.deleteConfirm': 'Delete the profile "{name}"?',
+            'profiles.deleteDetail': 'Its activities and history are removed from this device. This cannot be undone.',
+            'sync.title': 'Sync',
+            'sync.setUp': 'Set up sync',
+            'sync.syncNow': 'Sync now',
+            'sync.disconnect': 'Disconnect',
+            'sync.off': 'Not set up',
+            'sync.syncing': 'Syncing…',
+            'sync.syncedAt': 'Synced {time}',
+            'sync.neverSynced': 'Connected, not synced yet',
+            'sync.offline': { one: 'Offline · {count} change waiting', other: 'Offline · {count} changes waiting' },
+            'sync.otherTab': 'Syncing in another open tab',
+            'sync.outdated': 'Another device uses a newer version of Tickora. Update to keep syncing.',
+            'sync.failed': 'Sync failed: {error}',
+            'sync.account': '{account} on {server}',
+            'sync.hint': 'Keep your devices in step through a sync server. Data is encrypted on this device before upload.',
+            'sync.conflicts': { one: '⚠ {count} conflicting edit', other: '⚠ {count} conflicting edits' },
+            'sync.conflictsToast': { one: '{count} edit conflicted with another device', other: '{count} edits conflicted with another device' },
+            'sync.review': 'Review',
+            'sync.conflictsTitle': 'Sync conflicts',
+            'sync.conflictsIntro': 'These were changed on two devices before they synced. The most recent change was kept.',
+            'sync.keptTheirs': 'Kept the version from another device',
+            'sync.keptOurs': 'Kept the version from this device',
+            'sync.clearConflicts': 'Clear list',
+            'sync.server': 'Server',
+            'sync.accountName': 'Account',
+            'sync.passphrase': 'Passphrase',
+            'sync.setupHint': 'Use the same server, account and passphrase on every device. The passphrase encrypts your data and cannot be recovered.',
+            'sync.connect': 'Connect',
+            'sync.connecting': 'Connecting…',
+            'sync.invalidServer': 'Enter the server address, starting with https://',
+            'sync.accountRequired': 'Please enter an account name.',
+            'sync.passphraseTooShort': 'Use a passphrase of at least {min} characters.',
+            'sync.unavailable': 'Sync needs the app to be served over HTTPS.',
+            'sync.unreachable': 'The sync server could not be reached',
+            'sync.serverError': 'The sync server responded with {status}',
+            'sync.decryptFailed': 'A change on the server could not be decrypted. Check the passphrase.',
+            'sync.disconnectConfirm': 'Stop syncing this profile?',
+            'sync.disconnectDetail': 'Your data stays on this device and on the server. Connect again with the same passphrase to resume.',
+            'sync.removedActivity': 'A removed activity',
+            'sync.pathOrder': 'Activity order',
+            'sync.pathCheckIn': '{name} on {date}',
+            'sync.pathNote': 'Note for {name} on {date}',
+            'sync.pathSkip': 'Skipping {name} on {date}',
+            'sync.pathJournal': 'Journal entry on {date}',
+            'sync.pathTheme': 'Theme',
+            'goals.title': 'Goals',
+            'goals.add': '+ New goal',
+            'goals.empty': 'No goals yet. Set a target, e.g. meditate on 60 days this quarter.',
+            'goals.archive': { one: 'Archive ({count} goal)', other: 'Archive ({count} goals)' },
+            'goals.newTitle': 'New goal',
+            'goals.editTitle': 'Edit goal',
+            'goals.name': 'Name',
+            'goals.namePlaceholder': 'Optional',
+            'goals.type': 'Goal',
+            'goals.daysType': 'Do an activity on a number of days',
+            'goals.challengeType': 'Challenge: an activity every day',
+            'goals.completionType': 'Average daily completion',
+            'goals.daysHint': 'Every day the activity is completed counts, due or not.',
+            'goals.challengeHint': 'Missing a day the activity is due ends the challenge. Skipped and paused days don\'t.',
+            'goals.completionHint': 'The average completion of all activities over the days with something due.',
+            'goals.activity': 'Activity',
+            'goals.targetDays': 'Number of days',
+            'goals.targetPercent': 'Average completion (%)',
+            'goals.start': 'Start',
+            'goals.end': 'End',
+            'goals.next30': 'Next 30 days',
+            'goals.thisMonth': 'This month',
+            'goals.thisQuarter': 'This quarter',
+            'goals.invalidDates': 'The end can\'t be before the start, and a goal lasts at most {max} days.',
+            'goals.activityRequired': 'Please choose an activity.',
+            'goals.invalidTarget': 'Enter a whole number from 1 to {max}.',
+            'goals.max': 'Maximum {max} goals allowed. Delete old ones from the archive first.',
+            'goals.defaultDays': '{name} on {count} days',
+            'goals.defaultChallenge': '{count}-day {name} challenge',
+            'goals.defaultCompletion': '{target}% average completion',
+            'goals.allActivities': 'All activities',
+            'goals.removedActivity': 'A removed activity',
+            'goals.daysProgress': '{value} of {target} days',
+            'goals.challengeProgress': '{value} of {target} days kept',
+            'goals.completionProgress': 'Average {value}% · target {target}%',
+            'goals.dateRange': '{start} – {end}',
+            'goals.startsOn': 'Starts {date}',
+            'goals.daysLeft': { one: '{count} day left', other: '{count} days left' },
+            'goals.lastDay': 'Last day',
+            'goals.completedOn': '✅ Reached {date}',
+            'goals.failedOn': '❌ Missed {date}',
+            'goals.milestoneToast': '🎉 {percent}% of the way to "{name}"!',
+            'goals.completedToast': '🏆 Goal reached: {name}!',
+            'goals.added': 'Added goal {name}',
+            'goals.edited': 'Edited goal {name}',
+            'goals.deleted': 'Deleted goal {name}',
+            'goals.deleteConfirm': 'Delete the goal "{name}"?',
+            'shortcuts.title': 'Keyboard shortcuts',
+            'shortcuts.toggle': 'Check off the activity at that position (adds one step to measurable ones)',
+            'shortcuts.undo': 'Undo / redo',
+            'shortcuts.arrows': 'Move between calendar days',
+            'shortcuts.homeEnd': 'First / last day of the week',
+            'shortcuts.pages': 'Previous / next month',
+            'shortcuts.enter': 'Open the focused day',
+            'shortcuts.escape': 'Close a dialog',
+            'shortcuts.help': 'Show this list',
+            'update.available': 'A new version of Tickora is available.',
+            'update.reload': 'Reload'
+        }
+    },
+    es: {
+        name: 'Español',
+        dir: 'ltr',
+        messages: {
+            'app.tagline': 'Tu registro diario de hábitos',
+            'app.toggleTheme': 'Cambiar modo claro/oscuro',
+            'common.ok': 'Aceptar',
+            'common.save': 'Guardar',
+            'common.cancel': 'Cancelar',
+            'common.close': 'Cerrar',
+            'common.dismiss': 'Descartar',
+            'common.edit': 'Editar',
+            'common.archive': 'Archivar',
+            'common.restore': 'Restaurar',
+            'common.delete': 'Eliminar',
+            'common.remove': 'Quitar',
+            'common.export': 'Exportar',
+            'common.to': 'a',
+            'common.days': 'días',
+            'common.dayCount': { one: '{count} día', other: '{count} días' },
+            'dialog.confirmTitle': '¿Seguro?',
+            'undo.undo': 'Deshacer',
+            'undo.redo': 'Rehacer',
+            'undo.undone': 'Deshecho: {label}',
+            'undo.redone': 'Rehecho: {label}',
+            'undo.nothingToUndo': 'Nada que deshacer',
+            'undo.nothingToRedo': 'Nada que rehacer',
+            'actions.checkedOff': '{name} completada',
+            'actions.unchecked': '{name} desmarcada',
+            'actions.setValue': '{name}: {value}',
+            'actions.skipped': '{name} omitida',
+            'actions.unskipped': '{name} ya no se omite',
+            'actions.onDate': '{action} el {date}',
+            'actions.added': 'Añadida {name}',
+            'actions.edited': 'Editada {name}',
+            'actions.deleted': 'Eliminada {name}',
+            'actions.archived': 'Archivada {name}',
+            'actions.restored': 'Restaurada {name}',
+            'actions.moved': 'Movida {name}',
+            'actions.savedNote': 'Nota guardada para {name}',
+            'actions.removedNote': 'Nota eliminada de {name}',
+            'actions.changedMood': 'Estado de ánimo cambiado',
+            'actions.savedJournal': 'Entrada del diario guardada',
+            'actions.savedTemplate': 'Plantilla {name} guardada',
+            'actions.removedTemplate': 'Plantilla {name} eliminada',
+            'actions.addedFromPack': 'Añadidas {count} de {name}',
+            'actions.importedPack': 'Paquete {name} importado',
+            'actions.removedPack': 'Paquete {name} eliminado',
+            'actions.importedData': 'Datos importados',
+            'actions.replacedData': 'Datos reemplazados por la importación',
+            'progress.title': 'Progreso de hoy',
+            'progress.nothingDue': 'Nada pendiente hoy',
+            'progress.summary': '{percentage}% completado ({completed} / {due} pendientes)',
+            'progress.today': 'Hoy',
+            'progress.announce': '{when}: {completed} de {due} hechas ({percentage}%)',
+            'progress.announceNothingDue': '{when}: nada pendiente',
+            'streak.perfect': '🔥 Racha de días perfectos:',
+            'streak.perfectTitle': 'Días seguidos con todas las actividades completadas',
+            'streak.best': '🏆 Mejor:',
+            'streak.visits': '👣 Visitas:',
+            'streak.visitsTitle': 'Días seguidos en que se abrió la app',
+            'activities.title': 'Tus actividades',
+            'activities.filterByTag': 'Filtrar por etiqueta',
+            'activities.namePlaceholder': 'Nombre de la actividad',
+            'activities.add': '+ Añadir actividad',
+            'activities.empty': 'Aún no hay actividades. ¡Añade una para empezar!',
+            'activities.emptyTag': 'Ninguna actividad con la etiqueta #{tag}.',
+            'activities.allArchived': 'Todas las actividades están archivadas. Restaura una o añade otra nueva.',
+            'activities.targetReached': 'Objetivo alcanzado',
+            'activities.quotaWeek': '{done} / {times} esta semana',
+            'activities.quotaMonth': '{done} / {times} este mes',
+            'activities.paused': 'En pausa',
+            'activities.pausedUntil': 'En pausa hasta el {date}',
+            'activities.skippedToday': 'Omitida hoy',
+            'activities.dueToday': 'Toca hoy',
+            'activities.notDueToday': 'No toca hoy',
+            'activities.streakTitle': 'Racha actual: {current} días · Mejor: {best} días',
+            'activities.archiveTitle': 'Ocultar de la lista diaria y conservar el historial',
+            'activities.archivedCount': 'Archivadas ({count})',
+            'activities.archivedOn': 'Archivada el {date}',
+            'activities.invalidName': 'Introduce un nombre de actividad válido (de 1 a 100 caracteres).',
+            'activities.duplicate': '¡Esta actividad ya existe!',
+            'activities.max': 'Se permiten como máximo {max} actividades.',
+            'activities.invalidSchedule': 'Introduce una frecuencia válida.',
+            'activities.invalidTarget': 'Introduce un objetivo válido (mayor que 0).',
+            'activities.invalidPauses': 'Introduce fechas de pausa válidas (el final no puede ser anterior al inicio).',
+            'activities.deleteConfirm': '¿Eliminar «{name}» y todo su historial?',
+            'activities.deleteTitle': 'Eliminar actividad',
+            'activities.deleteDetail': 'Archívala para conservar el historial.',
+            'activities.allTags': 'Todas las etiquetas',
+            'activities.dragTitle': 'Arrastra o usa las flechas para reordenar',
+            'activities.reorder': 'Reordenar {name}',
+            'editor.name': 'Nombre de la actividad',
+            'editor.icon': 'Icono',
+            'editor.description': 'Descripción (opcional)',
+            'editor.category': 'Categoría',
+            'editor.categoryPlaceholder': 'Categoría (opcional)',
+            'editor.tags': 'Etiquetas',
+            'editor.tagsPlaceholder': 'Etiquetas, separadas por comas',
+            'editor.saveAsTemplate': 'Guardar como plantilla',
+            'editor.remindAt': '🔔 Recordármelo a las',
+            'pauses.title': '⏸ Pausas',
+            'pauses.start': 'Inicio de la pausa',
+            'pauses.end': 'Fin de la pausa (opcional)',
+            'pauses.endHint': 'Déjalo vacío para pausar hasta nuevo aviso',
+            'pauses.add': 'Añadir pausa',
+            'pauses.remove': 'Quitar pausa',
+            'pauses.range': '{start} – {end}',
+            'pauses.openEnded': 'Desde el {start}, hasta nuevo aviso',
+            'skip.skip': 'Omitir',
+            'skip.unskip': 'No omitir',
+            'skip.skipTitle': 'Omitir este día sin romper la racha',
+            'skip.unskipTitle': 'Volver a contar este día',
+            'skip.skipLabel': 'Omitir {name}',
+            'skip.unskipLabel': 'No omitir {name}',
+            'measure.decrease': 'Reducir {name}',
+            'measure.increase': 'Aumentar {name}',
+            'measure.value': 'Valor de {name}',
+            'measure.type': 'Tipo de actividad',
+            'measure.check': 'Casilla',
+            'measure.measure': 'Medible',
+            'measure.target': 'Objetivo',
+            'measure.unit': 'Unidad (p. ej. páginas)',
+            'measure.step': 'Paso',
+            'schedule.everyDay': 'Todos los días',
+            'schedule.everyNDays': 'Cada {count} días',
+            'schedule.timesPerWeek': '{times}× por semana',
+            'schedule.timesPerMonth': '{times}× por mes',
+            'schedule.label': 'Frecuencia',
+            'schedule.amount': 'Cantidad de la frecuencia',
+            'schedule.weekdays': 'Días concretos de la semana',
+            'schedule.weekly': 'Veces por semana',
+            'schedule.monthly': 'Veces por mes',
+            'schedule.interval': 'Cada N días',
+            'groups.uncategorized': 'Sin categoría',
+            'groups.doneCount': '{completed} / {due} hechas',
+            'groups.nothingDue': 'Nada pendiente',
+            'timeBlocks.morning': 'Mañana',
+            'timeBlocks.afternoon': 'Tarde',
+            'timeBlocks.evening': 'Noche',
+            'timeBlocks.anytime': 'Cualquier momento',
+            'timeBlocks.now': 'Ahora',
+            'timeBlocks.routine': 'Rutina de {name}',
+            'timeBlocks.label': 'Rutina',
+            'suggestions.title': 'Puedes añadir',
+            'suggestions.myTemplates': 'Mis plantillas',
+            'suggestions.add': '+ Añadir',
+            'suggestions.addLabel': 'Añadir {name}',
+            'suggestions.addCount': '+ Añadir {count}',
+            'suggestions.allAdded': 'Todas añadidas',
+            'suggestions.alreadyAdded': 'Ya añadida',
+            'suggestions.removeTemplate': 'Quitar la plantilla {name}',
+            'suggestions.allInList': 'Todo lo de la biblioteca ya está en tu lista.',
+            'suggestions.starterPacks': 'Paquetes de inicio',
+            'suggestions.importPack': '⬆ Importar paquete',
+            'suggestions.exportPack': '⬇ Compartir mis actividades como paquete',
+            'suggestions.gym': 'Gimnasio / Entrenamiento',
+            'suggestions.walk': 'Correr / Caminar',
+            'suggestions.stretching': 'Estiramientos',
+            'suggestions.steps': 'Pasos',
+            'suggestions.water': 'Beber agua',
+            'suggestions.vitamins': 'Tomar vitaminas',
+            'suggestions.sleep': 'Dormir antes de las 23:00',
+            'suggestions.reading': 'Leer un libro',
+            'suggestions.coding': 'Práctica de programación',
+            'suggestions.study': 'Estudio / Repaso',
+            'suggestions.skill': 'Aprender una habilidad',
+            'suggestions.language': 'Práctica de idiomas',
+            'suggestions.prayer': 'Namaz / Oración',
+            'suggestions.gratitude': 'Diario de gratitud',
+            'suggestions.meditation': 'Meditación',
+            'suggestions.noPhone': 'Sin móvil antes de dormir',
+            'suggestions.planTomorrow': 'Planificar el día siguiente',
+            'suggestions.inbox': 'Bandeja de entrada a cero',
+            'suggestions.callFamily': 'Llamar a la familia o a un amigo',
+            'suggestions.tidy': 'Ordenar durante 10 minutos',
+            'categories.health': 'Salud',
+            'categories.fitness': 'Ejercicio',
+            'categories.learning': 'Aprendizaje',
+            'categories.spiritual': 'Espiritualidad',
+            'categories.mindfulness': 'Atención plena',
+            'categories.productivity': 'Productividad',
+            'categories.social': 'Social',
+            'categories.chores': 'Tareas del hogar',
+            'units.steps': 'pasos',
+            'units.glasses': 'vasos',
+            'units.pages': 'páginas',
+            'units.min': 'min',
+            'units.prayers': 'oraciones',
+            'templates.invalid': 'Corrige los datos de la actividad antes de guardarla como plantilla.',
+            'templates.max': 'Se permiten como máximo {max} plantillas.',
+            'packs.health': 'Hábitos saludables',
+            'packs.healthDescription': 'Agua, movimiento y una hora fija para dormir.',
+            'packs.morning': 'Rutina de mañana',
+            'packs.morningDescription': 'Empieza el día tranquilo y despierto.',
+            'packs.learning': 'Aprendizaje continuo',
+            'packs.learningDescription': 'Un poco de aprendizaje cada día.',
+            'packs.evening': 'Desconectar',
+            'packs.eveningDescription': 'Cierra el día y prepárate para mañana.',
+            'packs.myActivities': 'Mis actividades',
+            'packs.noActivities': 'Añade primero algunas actividades.',
+            'packs.allAdded': 'Todo lo de «{name}» ya está añadido.',
+            'packs.max': 'Se permiten como máximo {max} paquetes importados.',
+            'packs.notPack': 'El archivo no es un paquete de inicio de Tickora.',
+            'packs.newerVersion': 'Este paquete se creó con una versión más reciente de Tickora.',
+            'packs.empty': 'El paquete no tiene actividades válidas.',
+            'packs.importTitle': 'Importar paquete',
+            'packs.importConfirm': { one: '¿Importar «{name}» y su actividad a tus paquetes?', other: '¿Importar «{name}» y sus {count} actividades a tus paquetes?' },
+            'packs.skipped': { one: 'Se omitió 1 actividad del archivo por no ser válida o estar repetida.', other: 'Se omitieron {count} actividades del archivo por no ser válidas o estar repetidas.' },
+            'calendar.title': 'Historial mensual',
+            'calendar.previous': 'Mes anterior',
+            'calendar.next': 'Mes siguiente',
+            'calendar.jump': 'Ir al mes',
+            'calendar.today': 'Hoy',
+            'calendar.rest': 'Descanso',
+            'calendar.moodTitle': 'Ánimo: {mood}',
+            'calendar.isToday': 'hoy',
+            'calendar.nothingDue': 'nada pendiente',
+            'calendar.notStarted': 'sin empezar',
+            'calendar.doneCount': '{completed} de {due} hechas',
+            'calendar.mood': 'ánimo {mood}',
+            'legend.completed': 'Completado',
+            'legend.partial': 'Parcial',
+            'legend.notStarted': 'Sin empezar',
+            'legend.nothingDue': 'Nada pendiente',
+            'mood.1': 'Fatal',
+            'mood.2': 'Mal',
+            'mood.3': 'Regular',
+            'mood.4': 'Bien',
+            'mood.5': 'Genial',
+            'day.completion': 'Completado:',
+            'day.noActivities': 'Aún no hay actividades.',
+            'day.notDue': 'No tocaba',
+            'day.paused': 'En pausa',
+            'day.skipped': 'Omitida',
+            'day.archived': 'Archivada',
+            'day.notePlaceholder': 'Añade una nota…',
+            'day.noteLabel': 'Nota para {name}',
+            'day.futureLocked': 'Los días futuros no se pueden editar.',
+            'day.outsideBackfill': 'Este día queda fuera del margen de edición.',
+            'journal.title': 'Diario',
+            'journal.mood': 'Ánimo',
+            'journal.placeholder': '¿Qué tal fue el día?',
+            'journal.label': 'Entrada del diario',
+            'journal.empty': 'Sin entrada en el diario.',
+            'heatmap.title': 'Últimos 12 meses',
+            'heatmap.activity': 'Actividad del mapa de calor',
+            'heatmap.less': 'Menos',
+            'heatmap.more': 'Más',
+            'filters.allActivities': 'Todas las actividades',
+            'notes.title': 'Notas y diario',
+            'notes.search': 'Buscar en notas y diario',
+            'notes.searchPlaceholder': 'Buscar en notas y diario…',
+            'notes.noMatches': 'Ninguna nota coincide con la búsqueda.',
+            'notes.empty': 'Aún no hay notas. Haz clic en un día del calendario para añadir una nota o una entrada del diario.',
+            'weekly.title': 'Resumen semanal',
+            'weekly.averageExplanation': 'Media = porcentaje de cumplimiento de la semana',
+            'monthly.title': 'Resumen mensual',
+            'monthly.averageExplanation': 'Media = porcentaje de cumplimiento del mes',
+            'stats.perfectDays': 'Días perfectos:',
+            'stats.average': 'Cumplimiento medio:',
+            'stats.perfectExplanation': 'Días perfectos = días con el 100% de las actividades completadas',
+            'analytics.title': 'Estadísticas',
+            'analytics.activityFilter': 'Actividad de las estadísticas',
+            'analytics.range': 'Periodo de las estadísticas',
+            'analytics.last7': 'Últimos 7 días',
+            'analytics.last30': 'Últimos 30 días',
+            'analytics.last90': 'Últimos 90 días',
+            'analytics.last365': 'Últimos 365 días',
+            'analytics.custom': 'Periodo personalizado',
+            'analytics.start': 'Fecha de inicio',
+            'analytics.end': 'Fecha de fin',
+            'analytics.trend': 'Tendencia',
+            'analytics.byWeekday': 'Por día de la semana',
+            'analytics.perActivity': 'Por actividad',
+            'analytics.noActivities': 'Añade una actividad para ver estadísticas.',
+            'analytics.pickRange': 'Elige una fecha de inicio y de fin.',
+            'analytics.completionRate': 'Cumplimiento',
+            'analytics.previousPeriod': 'Periodo anterior',
+            'analytics.daysDone': 'Días hechos',
+            'analytics.perfectDays': 'Días perfectos',
+            'analytics.noEarlierData': 'Sin datos anteriores',
+            'analytics.sameAsBefore': 'Igual que antes',
+            'analytics.points': '{delta} pts',
+            'analytics.vsPrevious': '{points} respecto al anterior',
+            'analytics.trendLabel': 'Cumplimiento diario con media móvil de {window} días',
+            'analytics.weekdayLabel': 'Cumplimiento por día de la semana',
+            'analytics.noWeakDays': 'Ningún día flojo en este periodo.',
+            'analytics.mostMissed': 'Más fallos los {day} ({rate} completado).',
+            'analytics.activity': 'Actividad',
+            'analytics.completion': 'Cumplimiento',
+            'analytics.previous': 'Anterior',
+            'analytics.change': 'Cambio',
+            'settings.title': 'Ajustes',
+            'settings.dayStart': 'El día empieza a las',
+            'settings.dayStartHint': 'Lo marcado antes de esta hora cuenta para el día anterior.',
+            'settings.midnight': 'Medianoche',
+            'settings.backfill': 'Editar días pasados hasta',
+            'settings.backfillHint': 'Haz clic en un día del calendario para corregir lo que olvidaste marcar.',
+            'settings.noLimit': 'Sin límite',
+            'settings.language': 'Idioma',
+            'settings.languageAuto': 'Automático ({name})',
+            'settings.weekStart': 'La semana empieza el',
+            'settings.weeklySummary': 'El resumen semanal abarca',
+            'settings.lastSevenDays': 'Los últimos 7 días',
+            'settings.calendarWeek': 'Esta semana natural',
+            'settings.showShortcuts': 'Mostrar (?)',
+            'settings.reminders': 'Recordatorios',
+            'settings.sendReminders': 'Enviar recordatorios',
+            'settings.dailySummary': 'Resumen diario a las',
+            'settings.onlyIncomplete': 'Solo si queda algo pendiente',
+            'settings.quietHours': 'Horas de silencio',
+            'settings.quietStart': 'Inicio de las horas de silencio',
+            'settings.quietEnd': 'Fin de las horas de silencio',
+            'settings.reminderHint': 'Borra la hora diaria para recibir solo los recordatorios de cada actividad (se configuran en Editar).',
+            'settings.notificationsUnsupported': 'Este navegador no admite notificaciones.',
+            'settings.notificationsBlocked': 'Las notificaciones están bloqueadas en los ajustes del navegador.',
+            'settings.notificationsDenied': 'Las notificaciones están bloqueadas. Permítelas en los ajustes del navegador para recibir recordatorios.',
+            'settings.yourData': 'Tus datos',
+            'settings.exportJson': '⬇ Exportar JSON',
+            'settings.importJson': '⬆ Importar JSON',
+            'settings.exportCsv': '⬇ Exportar CSV',
+            'settings.importCsv': '⬆ Importar CSV',
+            'settings.dataHint': 'Todos los datos se guardan en este navegador. Exporta una copia de seguridad a menudo.',
+            'storage.quotaExceeded': 'Se alcanzó el límite de almacenamiento. Elimina algunos datos antiguos.',
+            'storage.saveFailed': 'No se pudieron guardar los últimos cambios. Se guardarán de nuevo con tu próximo cambio.',
+            'import.tooLarge': 'El archivo es demasiado grande para importarlo.',
+            'import.unreadable': 'No se pudo leer el archivo.',
+            'import.failed': 'Error al importar: {error}',
+            'import.invalidJson': 'El archivo no es un JSON válido.',
+            'import.notTickora': 'El archivo no contiene datos de Tickora.',
+            'import.newerVersion': 'Este archivo se creó con una versión más reciente de Tickora.',
+            'import.upgradeFailed': 'No se pudo actualizar el archivo al formato actual.',
+            'import.tooManyActivities': 'El archivo tiene más de {max} actividades.',
+            'import.invalidActivity': 'El archivo contiene una actividad no válida.',
+            'import.invalidName': 'Los nombres de actividad deben tener de 1 a 100 caracteres.',
+            'import.duplicateActivity': 'La actividad «{name}» está duplicada o no tiene id.',
+            'import.invalidActivitySettings': 'La actividad «{name}» tiene una frecuencia o un objetivo no válidos.',
+            'import.invalidDate': 'Fecha «{date}» no válida en el historial.',
+            'import.title': 'Importar datos',
+            'import.merge': 'Combinar con los datos actuales',
+            'import.replace': 'Reemplazar los datos actuales',
+            'import.import': 'Importar',
+            'import.more': '{names} y {count} más',
+            'import.activitiesInFile': 'Actividades en el archivo: {count} ({matched} ya registradas)',
+            'import.newActivities': 'Actividades nuevas: {names}',
+            'import.removedActivities': 'Actividades eliminadas: {names}',
+            'import.skipped': 'Omitidas (límite de {max} alcanzado): {names}',
+            'import.entriesReplaced': 'Registros reemplazados: {removed} actuales → {added} del archivo',
+            'import.entriesAdded': 'Registros añadidos: {added}, actualizados: {changed}',
+            'import.notesAdded': 'Notas y entradas del diario añadidas: {count}',
+            'csv.exportTitle': 'Exportar CSV',
+            'csv.format': 'Formato',
+            'csv.formatLabel': 'Formato CSV',
+            'csv.longFormat': 'Largo: fecha, actividad, valor',
+            'csv.wideFormat': 'Ancho: una columna por actividad',
+            'csv.from': 'Desde',
+            'csv.to': 'Hasta',
+            'csv.fromDate': 'Fecha inicial',
+            'csv.toDate': 'Fecha final',
+            'csv.invalidRange': 'Elige un intervalo de fechas válido.',
+            'csv.rangeTooLong': 'Elige un intervalo de 10 años como máximo.',
+            'csv.importTitle': 'Importar CSV',
+            'csv.noRows': 'El archivo CSV no tiene filas de datos.',
+            'csv.layout': 'Disposición',
+            'csv.layoutLabel': 'Disposición del CSV',
+            'csv.longLayout': 'Una fila por registro',
+            'csv.wideLayout': 'Una columna por hábito',
+            'csv.column': 'Columna {number}',
+            'csv.dateColumn': 'Columna de fecha',
+            'csv.activityColumn': 'Columna de actividad',
+            'csv.valueColumn': 'Columna de valor',
+            'csv.noValueColumn': '(ninguna: cada fila cuenta como hecha)',
+            'csv.mappingTitle': 'Asigna los hábitos a actividades',
+            'csv.skip': 'Omitir',
+            'csv.newActivity': 'Actividad nueva',
+            'csv.map': 'Asignar {name}',
+            'csv.continue': 'Continuar',
+            'csv.nothingMapped': 'No se asignó ningún hábito a una actividad.',
+            'csv.noDates': 'Ninguna fila tenía una fecha reconocible.',
+            'csv.noCheckIns': 'No se encontraron registros.',
+            'reminders.title': 'Recordatorio diario de Tickora',
+            'reminders.stillToDo': 'Pendiente: {routines}. ¡Complétalo para mantener tu racha! 💪',
+            'reminders.remaining': {
+                one: 'Te queda {count} actividad por completar hoy. ¡Complétala para mantener tu racha! 💪',
+                other: 'Te quedan {count} actividades por completar hoy. ¡Complétalas para mantener tu racha! 💪'
+            },
+            'reminders.noActivities': '¡No olvides completar tus actividades de hoy! 🎯',
+            'reminders.allDone': '¡Buen trabajo! Todas las actividades de hoy completadas 🎉 ¡Sigue con la racha!',
+            'reminders.checkOff': 'Es hora de marcar esta actividad.',
+            'reminders.alreadyDone': 'Ya hecha hoy. ¡Bien hecho!',
+            'reminders.soFar': '{value} por ahora.',
+            'profiles.title': 'Perfiles',
+            'profiles.defaultName': 'Yo',
+            'profiles.button': 'Perfil: {name}',
+            'profiles.current': 'Actual',
+            'profiles.switch': 'Cambiar',
+            'profiles.switchProfile': 'Cambiar de perfil',
+            'profiles.locked': 'Bloqueado con PIN',
+            'profiles.lockNow': 'Bloquear',
+            'profiles.namePlaceholder': 'Nombre del nuevo perfil',
+            'profiles.add': '+ Añadir',
+            'profiles.max': 'Se permiten como máximo {max} perfiles.',
+            'profiles.nameRequired': 'Escribe un nombre para el perfil.',
+            'profiles.editTitle': 'Editar perfil',
+            'profiles.name': 'Nombre',
+            'profiles.pin': 'PIN',
+            'profiles.pinHint': 'De 4 a 8 dígitos. Déjalo vacío para no usar PIN.',
+            'profiles.pinKeepHint': 'De 4 a 8 dígitos. Déjalo vacío para mantener el PIN actual.',
+            'profiles.removePin': 'Quitar el PIN',
+            'profiles.invalidPin': 'El PIN tiene de 4 a 8 dígitos.',
+            'profiles.pinUnavailable': 'El bloqueo con PIN necesita que la app se sirva por HTTPS.',
+            'profiles.unlockTitle': '🔒 {name}',
+            'profiles.enterPin': 'Introduce el PIN de {name}.',
+            'profiles.unlock': 'Desbloquear',
+            'profiles.wrongPin': 'PIN incorrecto. Inténtalo de nuevo.',
+            'profiles.deleteConfirm': '¿Eliminar el perfil «{name}»?',
+            'profiles.deleteDetail': 'Sus actividades e historial se borran de este dispositivo. No se puede deshacer.',
+            'sync.title': 'Sincronización',
+            'sync.setUp': 'Configurar sincronización',
+            'sync.syncNow': 'Sincronizar ahora',
+            'sync.disconnect': 'Desconectar',
+            'sync.off': 'Sin configurar',
+            'sync.syncing': 'Sincronizando…',
+            'sync.syncedAt': 'Sincronizado {time}',
+            'sync.neverSynced': 'Conectado, aún sin sincronizar',
+            'sync.offline': { one: 'Sin conexión · {count} cambio pendiente', other: 'Sin conexión · {count} cambios pendientes' },
+            'sync.otherTab': 'Sincronizando en otra pestaña abierta',
+            'sync.outdated': 'Otro dispositivo usa una versión más reciente de Tickora. Actualiza para seguir sincronizando.',
+            'sync.failed': 'Error de sincronización: {error}',
+            'sync.account': '{account} en {server}',
+            'sync.hint': 'Mantén tus dispositivos al día con un servidor de sincronización. Los datos se cifran en este dispositivo antes de subirlos.',
+            'sync.conflicts': { one: '⚠ {count} edición en conflicto', other: '⚠ {count} ediciones en conflicto' },
+            'sync.conflictsToast': { one: '{count} edición entró en conflicto con otro dispositivo', other: '{count} ediciones entraron en conflicto con otro dispositivo' },
+            'sync.review': 'Revisar',
+            'sync.conflictsTitle': 'Conflictos de sincronización',
+            'sync.conflictsIntro': 'Esto se cambió en dos dispositivos antes de sincronizarse. Se conservó el cambio más reciente.',
+            'sync.keptTheirs': 'Se conservó la versión de otro dispositivo',
+            'sync.keptOurs': 'Se conservó la versión de este dispositivo',
+            'sync.clearConflicts': 'Vaciar lista',
+            'sync.server': 'Servidor',
+            'sync.accountName': 'Cuenta',
+            'sync.passphrase': 'Frase de contraseña',
+            'sync.setupHint': 'Usa el mismo servidor, cuenta y frase de contraseña en cada dispositivo. La frase cifra tus datos y no se puede recuperar.',
+            'sync.connect': 'Conectar',
+            'sync.connecting': 'Conectando…',
+            'sync.invalidServer': 'Introduce la dirección del servidor, empezando por https://',
+            'sync.accountRequired': 'Introduce un nombre de cuenta.',
+            'sync.passphraseTooShort': 'Usa una frase de contraseña de al menos {min} caracteres.',
+            'sync.unavailable': 'La sincronización requiere que la app se sirva por HTTPS.',
+            'sync.unreachable': 'No se pudo contactar con el servidor de sincronización',
+            'sync.serverError': 'El servidor de sincronización respondió con {status}',
+            'sync.decryptFailed': 'No se pudo descifrar un cambio del servidor. Comprueba la frase de contraseña.',
+            'sync.disconnectConfirm': '¿Dejar de sincronizar este perfil?',
+            'sync.disconnectDetail': 'Tus datos se quedan en este dispositivo y en el servidor. Vuelve a conectar con la misma frase para continuar.',
+            'sync.removedActivity': 'Una actividad eliminada',
+            'sync.pathOrder': 'Orden de actividades',
+            'sync.pathCheckIn': '{name} el {date}',
+            'sync.pathNote': 'Nota de {name} el {date}',
+            'sync.pathSkip': 'Omitir {name} el {date}',
+            'sync.pathJournal': 'Entrada del diario el {date}',
+            'sync.pathTheme': 'Tema',
+            'goals.title': 'Metas',
+            'goals.add': '+ Nueva meta',
+            'goals.empty': 'Aún no hay metas. Ponte un objetivo, p. ej. meditar 60 días este trimestre.',
+            'goals.archive': { one: 'Archivo ({count} meta)', other: 'Archivo ({count} metas)' },
+            'goals.newTitle': 'Nueva meta',
+            'goals.editTitle': 'Editar meta',
+            'goals.name': 'Nombre',
+            'goals.namePlaceholder': 'Opcional',
+            'goals.type': 'Meta',
+            'goals.daysType': 'Hacer una actividad cierto número de días',
+            'goals.challengeType': 'Reto: una actividad cada día',
+            'goals.completionType': 'Cumplimiento diario medio',
+            'goals.daysHint': 'Cuenta cada día en que se completa la actividad, toque o no.',
+            'goals.challengeHint': 'Fallar un día en que toca la actividad termina el reto. Los días omitidos o en pausa no.',
+            'goals.completionHint': 'El cumplimiento medio de todas las actividades en los días con algo pendiente.',
+            'goals.activity': 'Actividad',
+            'goals.targetDays': 'Número de días',
+            'goals.targetPercent': 'Cumplimiento medio (%)',
+            'goals.start': 'Inicio',
+            'goals.end': 'Fin',
+            'goals.next30': 'Próximos 30 días',
+            'goals.thisMonth': 'Este mes',
+            'goals.thisQuarter': 'Este trimestre',
+            'goals.invalidDates': 'El fin no puede ser anterior al inicio, y una meta dura como máximo {max} días.',
+            'goals.activityRequired': 'Elige una actividad.',
+            'goals.invalidTarget': 'Introduce un número entero del 1 al {max}.',
+            'goals.max': 'Se permiten como máximo {max} metas. Borra antes alguna antigua del archivo.',
+            'goals.defaultDays': '{name} durante {count} días',
+            'goals.defaultChallenge': 'Reto de {count} días: {name}',
+            'goals.defaultCompletion': '{target}% de cumplimiento medio',
+            'goals.allActivities': 'Todas las actividades',
+            'goals.removedActivity': 'Una actividad eliminada',
+            'goals.daysProgress': '{value} de {target} días',
+            'goals.challengeProgress': '{value} de {target} días cumplidos',
+            'goals.completionProgress': 'Media {value}% · objetivo {target}%',
+            'goals.dateRange': '{start} – {end}',
+            'goals.startsOn': 'Empieza el {date}',
+            'goals.daysLeft': { one: 'Queda {count} día', other: 'Quedan {count} días' },
+            'goals.lastDay': 'Último día',
+            'goals.completedOn': '✅ Lograda el {date}',
+            'goals.failedOn': '❌ No lograda el {date}',
+            'goals.milestoneToast': '🎉 ¡{percent}% del camino hacia «{name}»!',
+            'goals.completedToast': '🏆 ¡Meta lograda: {name}!',
+            'goals.added': 'Meta {name} añadida',
+            'goals.edited': 'Meta {name} editada',
+            'goals.deleted': 'Meta {name} eliminada',
+            'goals.deleteConfirm': '¿Eliminar la meta «{name}»?',
+            'shortcuts.title': 'Atajos de teclado',
+            'shortcuts.toggle': 'Marcar la actividad en esa posición (suma un paso a las medibles)',
+            'shortcuts.undo': 'Deshacer / rehacer',
+            'shortcuts.arrows': 'Moverse entre los días del calendario',
+            'shortcuts.homeEnd': 'Primer / último día de la semana',
+            'shortcuts.pages': 'Mes anterior / siguiente',
+            'shortcuts.enter': 'Abrir el día seleccionado',
+            'shortcuts.escape': 'Cerrar un diálogo',
+            'shortcuts.help': 'Mostrar esta lista',
+            'update.available': 'Hay una nueva versión de Tickora.',
+            'update.reload': 'Recargar'
+        }
+    },
+    ar: {
+        name: 'العربية',
+        dir: 'rtl',
+        messages: {
+            'app.tagline': 'متتبّع عاداتك اليومية',
+            'app.toggleTheme': 'تبديل الوضع الفاتح/الداكن',
+            'common.ok': 'حسنًا',
+            'common.save': 'حفظ',
+            'common.cancel': 'إلغاء',
+            'common.close': 'إغلاق',
+            'common.dismiss': 'تجاهل',
+            'common.edit': 'تعديل',
+            'common.archive': 'أرشفة',
+            'common.restore': 'استعادة',
+            'common.delete': 'حذف',
+            'common.remove': 'إزالة',
+            'common.export': 'تصدير',
+            'common.to': 'إلى',
+            'common.days': 'أيام',
+            'common.dayCount': {
+                one: 'يوم واحد',
+                two: 'يومان',
+                few: '{count} أيام',
+                many: '{count} يومًا',
+                other: '{count} يوم'
+            },
+            'dialog.confirmTitle': 'هل أنت متأكد؟',
+            'undo.undo': 'تراجع',
+            'undo.redo': 'إعادة',
+            'undo.undone': 'تم التراجع: {label}',
+            'undo.redone': 'تمت الإعادة: {label}',
+            'undo.nothingToUndo': 'لا شيء للتراجع عنه',
+            'undo.nothingToRedo': 'لا شيء لإعادته',
+            'actions.checkedOff': 'تم إنجاز {name}',
+            'actions.unchecked': 'أُلغي إنجاز {name}',
+            'actions.setValue': '{name}: {value}',
+            'actions.skipped': 'تم تخطي {name}',
+            'actions.unskipped': 'أُلغي تخطي {name}',
+            'actions.onDate': '{action} في {date}',
+            'actions.added': 'أُضيف {name}',
+            'actions.edited': 'عُدّل {name}',
+            'actions.deleted': 'حُذف {name}',
+            'actions.archived': 'أُرشف {name}',
+            'actions.restored': 'استُعيد {name}',
+            'actions.moved': 'نُقل {name}',
+            'actions.savedNote': 'حُفظت ملاحظة {name}',
+            'actions.removedNote': 'حُذفت ملاحظة {name}',
+            'actions.changedMood': 'تغيّر المزاج',
+            'actions.savedJournal': 'حُفظ إدخال اليوميات',
+            'actions.savedTemplate': 'حُفظ القالب {name}',
+            'actions.removedTemplate': 'حُذف القالب {name}',
+            'actions.addedFromPack': 'أُضيف {count} من {name}',
+            'actions.importedPack': 'استُورد الحزمة {name}',
+            'actions.removedPack': 'حُذفت الحزمة {name}',
+            'actions.importedData': 'استُوردت البيانات',
+            'actions.replacedData': 'استُبدلت البيانات بالمستورَدة',
+            'progress.title': 'تقدّم اليوم',
+            'progress.nothingDue': 'لا شيء مستحق اليوم',
+            'progress.summary': 'أُنجز {percentage}% ({completed} / {due} مستحقة)',
+            'progress.today': 'اليوم',
+            'progress.announce': '{when}: أُنجز {completed} من {due} ({percentage}%)',
+            'progress.announceNothingDue': '{when}: لا شيء مستحق',
+            'streak.perfect': '🔥 سلسلة الأيام المثالية:',
+            'streak.perfectTitle': 'أيام متتالية أُنجزت فيها كل الأنشطة',
+            'streak.best': '🏆 الأفضل:',
+            'streak.visits': '👣 الزيارات:',
+            'streak.visitsTitle': 'أيام متتالية فُتح فيها التطبيق',
+            'activities.title': 'أنشطتك',
+            'activities.filterByTag': 'تصفية حسب الوسم',
+            'activities.namePlaceholder': 'أدخل اسم النشاط',
+            'activities.add': '+ إضافة نشاط',
+            'activities.empty': 'لا توجد أنشطة بعد. أضف نشاطًا للبدء!',
+            'activities.emptyTag': 'لا توجد أنشطة بالوسم #{tag}.',
+            'activities.allArchived': 'كل الأنشطة مؤرشفة. استعد نشاطًا أو أضف نشاطًا جديدًا.',
+            'activities.targetReached': 'تم بلوغ الهدف',
+            'activities.quotaWeek': '{done} / {times} هذا الأسبوع',
+            'activities.quotaMonth': '{done} / {times} هذا الشهر',
+            'activities.paused': 'متوقف مؤقتًا',
+            'activities.pausedUntil': 'متوقف مؤقتًا حتى {date}',
+            'activities.skippedToday': 'تم تخطيه اليوم',
+            'activities.dueToday': 'مستحق اليوم',
+            'activities.notDueToday': 'غير مستحق اليوم',
+            'activities.streakTitle': 'السلسلة الحالية: {current} · الأفضل: {best}',
+            'activities.archiveTitle': 'إخفاء من القائمة اليومية مع الاحتفاظ بالسجل',
+            'activities.archivedCount': 'المؤرشفة ({count})',
+            'activities.archivedOn': 'أُرشف في {date}',
+            'activities.invalidName': 'أدخل اسم نشاط صالحًا (من 1 إلى 100 حرف).',
+            'activities.duplicate': 'هذا النشاط موجود بالفعل!',
+            'activities.max': 'الحد الأقصى {max} نشاط.',
+            'activities.invalidSchedule': 'أدخل جدولًا صالحًا.',
+            'activities.invalidTarget': 'أدخل هدفًا صالحًا (أكبر من 0).',
+            'activities.invalidPauses': 'أدخل تواريخ إيقاف صالحة (لا يمكن أن تسبق النهاية البداية).',
+            'activities.deleteConfirm': 'حذف "{name}" وكل سجله؟',
+            'activities.deleteTitle': 'حذف النشاط',
+            'activities.deleteDetail': 'أرشفه بدلًا من ذلك للاحتفاظ بالسجل.',
+            'activities.allTags': 'كل الوسوم',
+            'activities.dragTitle': 'اسحب أو استخدم مفاتيح الأسهم لإعادة الترتيب',
+            'activities.reorder': 'إعادة ترتيب {name}',
+            'editor.name': 'اسم النشاط',
+            'editor.icon': 'الأيقونة',
+            'editor.description': 'الوصف (اختياري)',
+            'editor.category': 'الفئة',
+            'editor.categoryPlaceholder': 'الفئة (اختياري)',
+            'editor.tags': 'الوسوم',
+            'editor.tagsPlaceholder': 'وسوم مفصولة بفواصل',
+            'editor.saveAsTemplate': 'حفظ كقالب',
+            'editor.remindAt': '🔔 ذكّرني في',
+            'pauses.title': '⏸ فترات الإيقاف',
+            'pauses.start': 'بداية الإيقاف',
+            'pauses.end': 'نهاية الإيقاف (اختياري)',
+            'pauses.endHint': 'اتركه فارغًا للإيقاف حتى إشعار آخر',
+            'pauses.add': 'إضافة إيقاف',
+            'pauses.remove': 'إزالة الإيقاف',
+            'pauses.range': '{start} – {end}',
+            'pauses.openEnded': 'من {start} حتى إشعار آخر',
+            'skip.skip': 'تخطٍّ',
+            'skip.unskip': 'إلغاء التخطي',
+            'skip.skipTitle': 'تخطي هذا اليوم دون كسر السلسلة',
+            'skip.unskipTitle': 'احتساب هذا اليوم مجددًا',
+            'skip.skipLabel': 'تخطي {name}',
+            'skip.unskipLabel': 'إلغاء تخطي {name}',
+            'measure.decrease': 'إنقاص {name}',
+            'measure.increase': 'زيادة {name}',
+            'measure.value': 'قيمة {name}',
+            'measure.type': 'نوع النشاط',
+            'measure.check': 'مربع اختيار',
+            'measure.measure': 'قابل للقياس',
+            'measure.target': 'الهدف',
+            'measure.unit': 'الوحدة (مثل صفحات)',
+            'measure.step': 'الخطوة',
+            'schedule.everyDay': 'كل يوم',
+            'schedule.everyNDays': {
+                two: 'كل يومين',
+                few: 'كل {count} أيام',
+                many: 'كل {count} يومًا',
+                other: 'كل {count} يوم'
+            },
+            'schedule.timesPerWeek': '{times}× في الأسبوع',
+            'schedule.timesPerMonth': '{times}× في الشهر',
+            'schedule.label': 'الجدول',
+            'schedule.amount': 'مقدار الجدول',
+            'schedule.weekdays': 'أيام محددة من الأسبوع',
+            'schedule.weekly': 'مرات في الأسبوع',
+            'schedule.monthly': 'مرات في الشهر',
+            'schedule.interval': 'كل N يوم',
+            'groups.uncategorized': 'بلا فئة',
+            'groups.doneCount': 'أُنجز {completed} / {due}',
+            'groups.nothingDue': 'لا شيء مستحق',
+            'timeBlocks.morning': 'الصباح',
+            'timeBlocks.afternoon': 'الظهيرة',
+            'timeBlocks.evening': 'المساء',
+            'timeBlocks.anytime': 'أي وقت',
+            'timeBlocks.now': 'الآن',
+            'timeBlocks.routine': 'روتين {name}',
+            'timeBlocks.label': 'الروتين',
+            'suggestions.title': 'يمكنك إضافة',
+            'suggestions.myTemplates': 'قوالبي',
+            'suggestions.add': '+ إضافة',
+            'suggestions.addLabel': 'إضافة {name}',
+            'suggestions.addCount': '+ إضافة {count}',
+            'suggestions.allAdded': 'أُضيفت كلها',
+            'suggestions.alreadyAdded': 'مضاف بالفعل',
+            'suggestions.removeTemplate': 'إزالة القالب {name}',
+            'suggestions.allInList': 'كل ما في المكتبة موجود في قائمتك بالفعل.',
+            'suggestions.starterPacks': 'حزم البداية',
+            'suggestions.importPack': '⬆ استيراد حزمة',
+            'suggestions.exportPack': '⬇ مشاركة أنشطتي كحزمة',
+            'suggestions.gym': 'النادي / التمرين',
+            'suggestions.walk': 'الجري / المشي',
+            'suggestions.stretching': 'تمارين الإطالة',
+            'suggestions.steps': 'الخطوات',
+            'suggestions.water': 'شرب الماء',
+            'suggestions.vitamins': 'تناول الفيتامينات',
+            'suggestions.sleep': 'النوم قبل 11 مساءً',
+            'suggestions.reading': 'قراءة كتاب',
+            'suggestions.coding': 'ممارسة البرمجة',
+            'suggestions.study': 'الدراسة / المراجعة',
+            'suggestions.skill': 'تعلّم مهارة',
+            'suggestions.language': 'ممارسة لغة',
+            'suggestions.prayer': 'الصلاة',
+            'suggestions.gratitude': 'يوميات الامتنان',
+            'suggestions.meditation': 'التأمل',
+            'suggestions.noPhone': 'لا هاتف قبل النوم',
+            'suggestions.planTomorrow': 'التخطيط للغد',
+            'suggestions.inbox': 'صندوق وارد فارغ',
+            'suggestions.callFamily': 'الاتصال بالعائلة أو صديق',
+            'suggestions.tidy': 'الترتيب لمدة 10 دقائق',
+            'categories.health': 'الصحة',
+            'categories.fitness': 'اللياقة',
+            'categories.learning': 'التعلّم',
+            'categories.spiritual': 'الروحانيات',
+            'categories.mindfulness': 'اليقظة الذهنية',
+            'categories.productivity': 'الإنتاجية',
+            'categories.social': 'اجتماعي',
+            'categories.chores': 'الأعمال المنزلية',
+            'units.steps': 'خطوات',
+            'units.glasses': 'أكواب',
+            'units.pages': 'صفحات',
+            'units.min': 'دقيقة',
+            'units.prayers': 'صلوات',
+            'templates.invalid': 'صحّح تفاصيل النشاط قبل حفظه كقالب.',
+            'templates.max': 'الحد الأقصى {max} قالب.',
+            'packs.health': 'أساسيات صحية',
+            'packs.healthDescription': 'ماء وحركة وموعد نوم منتظم.',
+            'packs.morning': 'روتين الصباح',
+            'packs.morningDescription': 'ابدأ يومك بهدوء ونشاط.',
+            'packs.learning': 'متعلم مدى الحياة',
+            'packs.learningDescription': 'قليل من التعلم كل يوم.',
+            'packs.evening': 'الاسترخاء',
+            'packs.eveningDescription': 'اختم يومك واستعد للغد.',
+            'packs.myActivities': 'أنشطتي',
+            'packs.noActivities': 'أضف بعض الأنشطة أولًا.',
+            'packs.allAdded': 'كل ما في "{name}" مضاف بالفعل.',
+            'packs.max': 'الحد الأقصى {max} حزمة مستوردة.',
+            'packs.notPack': 'الملف ليس حزمة بداية من Tickora.',
+            'packs.newerVersion': 'أُنشئت هذه الحزمة بإصدار أحدث من Tickora.',
+            'packs.empty': 'لا تحتوي الحزمة على أنشطة صالحة.',
+            'packs.importTitle': 'استيراد حزمة',
+            'packs.importConfirm': {
+                one: 'استيراد "{name}" ونشاطها الوحيد إلى حزمك؟',
+                two: 'استيراد "{name}" ونشاطيها إلى حزمك؟',
+                few: 'استيراد "{name}" و{count} أنشطة منها إلى حزمك؟',
+                other: 'استيراد "{name}" و{count} نشاطًا منها إلى حزمك؟'
+            },
+            'packs.skipped': {
+                one: 'تم تخطي نشاط واحد في الملف لأنه غير صالح أو مكرر.',
+                two: 'تم تخطي نشاطين في الملف لأنهما غير صالحين أو مكرران.',
+                few: 'تم تخطي {count} أنشطة في الملف لأنها غير صالحة أو مكررة.',
+                other: 'تم تخطي {count} نشاطًا في الملف لأنها غير صالحة أو مكررة.'
+            },
+            'calendar.title': 'سجل الأنشطة الشهري',
+            'calendar.previous': 'الشهر السابق',
+            'calendar.next': 'الشهر التالي',
+            'calendar.jump': 'الانتقال إلى شهر',
+            'calendar.today': 'اليوم',
+            'calendar.rest': 'راحة',
+            'calendar.moodTitle': 'المزاج: {mood}',
+            'calendar.isToday': 'اليوم',
+            'calendar.nothingDue': 'لا شيء مستحق',
+            'calendar.notStarted': 'لم يبدأ',
+            'calendar.doneCount': 'أُنجز {completed} من {due}',
+            'calendar.mood': 'المزاج {mood}',
+            'legend.completed': 'مكتمل',
+            'legend.partial': 'جزئي',
+            'legend.notStarted': 'لم يبدأ',
+            'legend.nothingDue': 'لا شيء مستحق',
+            'mood.1': 'سيئ جدًا',
+            'mood.2': 'سيئ',
+            'mood.3': 'لا بأس',
+            'mood.4': 'جيد',
+            'mood.5': 'رائع',
+            'day.completion': 'الإنجاز:',
+            'day.noActivities': 'لم تُضف أنشطة بعد.',
+            'day.notDue': 'غير مستحق',
+            'day.paused': 'متوقف مؤقتًا',
+            'day.skipped': 'تم تخطيه',
+            'day.archived': 'مؤرشف',
+            'day.notePlaceholder': 'أضف ملاحظة…',
+            'day.noteLabel': 'ملاحظة على {name}',
+            'day.futureLocked': 'لا يمكن تعديل الأيام المقبلة.',
+            'day.outsideBackfill': 'هذا اليوم خارج فترة التعديل المسموحة.',
+            'journal.title': 'اليوميات',
+            'journal.mood': 'المزاج',
+            'journal.placeholder': 'كيف كان يومك؟',
+            'journal.label': 'تدوينة اليوميات',
+            'journal.empty': 'لا توجد تدوينة.',
+            'heatmap.title': 'آخر 12 شهرًا',
+            'heatmap.activity': 'نشاط الخريطة الحرارية',
+            'heatmap.less': 'أقل',
+            'heatmap.more': 'أكثر',
+            'filters.allActivities': 'كل الأنشطة',
+            'notes.title': 'الملاحظات واليوميات',
+            'notes.search': 'البحث في الملاحظات واليوميات',
+            'notes.searchPlaceholder': 'ابحث في الملاحظات واليوميات…',
+            'notes.noMatches': 'لا توجد ملاحظات تطابق بحثك.',
+            'notes.empty': 'لا توجد ملاحظات بعد. انقر على يوم في التقويم لإضافة ملاحظة أو تدوينة.',
+            'weekly.title': 'ملخص الأسبوع',
+            'weekly.averageExplanation': 'المتوسط = نسبة الإنجاز الإجمالية للأسبوع',
+            'monthly.title': 'ملخص الشهر',
+            'monthly.averageExplanation': 'المتوسط = نسبة الإنجاز الإجمالية للشهر',
+            'stats.perfectDays': 'الأيام المثالية:',
+            'stats.average': 'متوسط الإنجاز:',
+            'stats.perfectExplanation': 'الأيام المثالية = أيام أُنجزت فيها كل الأنشطة',
+            'analytics.title': 'الإحصاءات',
+            'analytics.activityFilter': 'نشاط الإحصاءات',
+            'analytics.range': 'فترة الإحصاءات',
+            'analytics.last7': 'آخر 7 أيام',
+            'analytics.last30': 'آخر 30 يومًا',
+            'analytics.last90': 'آخر 90 يومًا',
+            'analytics.last365': 'آخر 365 يومًا',
+            'analytics.custom': 'فترة مخصصة',
+            'analytics.start': 'تاريخ البداية',
+            'analytics.end': 'تاريخ النهاية',
+            'analytics.trend': 'الاتجاه',
+            'analytics.byWeekday': 'حسب يوم الأسبوع',
+            'analytics.perActivity': 'حسب النشاط',
+            'analytics.noActivities': 'أضف نشاطًا لرؤية الإحصاءات.',
+            'analytics.pickRange': 'اختر تاريخ البداية والنهاية.',
+            'analytics.completionRate': 'نسبة الإنجاز',
+            'analytics.previousPeriod': 'الفترة السابقة',
+            'analytics.daysDone': 'الأيام المنجزة',
+            'analytics.perfectDays': 'الأيام المثالية',
+            'analytics.noEarlierData': 'لا توجد بيانات سابقة',
+            'analytics.sameAsBefore': 'كما في السابق',
+            'analytics.points': '{delta} نقطة',
+            'analytics.vsPrevious': '{points} مقارنة بالسابق',
+            'analytics.trendLabel': 'الإنجاز اليومي مع متوسط متحرك لـ {window} أيام',
+            'analytics.weekdayLabel': 'نسبة الإنجاز حسب يوم الأسبوع',
+            'analytics.noWeakDays': 'لا أيام ضعيفة في هذه الفترة.',
+            'analytics.mostMissed': 'أكثر الأيام تفويتًا: {day} (أُنجز {rate}).',
+            'analytics.activity': 'النشاط',
+            'analytics.completion': 'الإنجاز',
+            'analytics.previous': 'السابق',
+            'analytics.change': 'التغيّر',
+            'settings.title': 'الإعدادات',
+            'settings.dayStart': 'يبدأ اليوم عند',
+            'settings.dayStartHint': 'ما يُسجَّل قبل هذه الساعة يُحتسب لليوم السابق.',
+            'settings.midnight': 'منتصف الليل',
+            'settings.backfill': 'تعديل الأيام السابقة حتى',
+            'settings.backfillHint': 'انقر على يوم في التقويم لتصحيح ما فاتك تسجيله.',
+            'settings.noLimit': 'بلا حد',
+            'settings.language': 'اللغة',
+            'settings.languageAuto': 'تلقائي ({name})',
+            'settings.weekStart': 'يبدأ الأسبوع يوم',
+            'settings.weeklySummary': 'يغطي ملخص الأسبوع',
+            'settings.lastSevenDays': 'آخر 7 أيام',
+            'settings.calendarWeek': 'الأسبوع الحالي',
+            'settings.showShortcuts': 'عرض (?)',
+            'settings.reminders': 'التذكيرات',
+            'settings.sendReminders': 'إرسال التذكيرات',
+            'settings.dailySummary': 'الملخص اليومي عند',
+            'settings.onlyIncomplete': 'فقط عند وجود ما لم يُنجز',
+            'settings.quietHours': 'ساعات الهدوء',
+            'settings.quietStart': 'بداية ساعات الهدوء',
+            'settings.quietEnd': 'نهاية ساعات الهدوء',
+            'settings.reminderHint': 'امسح وقت الملخص اليومي لتصلك تذكيرات الأنشطة فقط (تُضبط من زر تعديل).',
+            'settings.notificationsUnsupported': 'هذا المتصفح لا يدعم الإشعارات.',
+            'settings.notificationsBlocked': 'الإشعارات محظورة في إعدادات المتصفح.',
+            'settings.notificationsDenied': 'الإشعارات محظورة. اسمح بها في إعدادات المتصفح لتصلك التذكيرات.',
+            'settings.yourData': 'بياناتك',
+            'settings.exportJson': '⬇ تصدير JSON',
+            'settings.importJson': '⬆ استيراد JSON',
+            'settings.exportCsv': '⬇ تصدير CSV',
+            'settings.importCsv': '⬆ استيراد CSV',
+            'settings.dataHint': 'كل البيانات محفوظة في هذا المتصفح. صدّر نسخة احتياطية بانتظام.',
+            'storage.quotaExceeded': 'تم بلوغ حد التخزين. احذف بعض البيانات القديمة.',
+            'storage.saveFailed': 'تعذّر حفظ آخر التغييرات. ستُحفظ مجددًا مع تغييرك التالي.',
+            'import.tooLarge': 'الملف أكبر من أن يُستورد.',
+            'import.unreadable': 'تعذّرت قراءة الملف.',
+            'import.failed': 'فشل الاستيراد: {error}',
+            'import.invalidJson': 'الملف ليس JSON صالحًا.',
+            'import.notTickora': 'لا يحتوي الملف على بيانات Tickora.',
+            'import.newerVersion': 'أُنشئ هذا الملف بإصدار أحدث من Tickora.',
+            'import.upgradeFailed': 'تعذّر تحويل الملف إلى التنسيق الحالي.',
+            'import.tooManyActivities': 'يحتوي الملف على أكثر من {max} نشاط.',
+            'import.invalidActivity': 'يحتوي الملف على نشاط غير صالح.',
+            'import.invalidName': 'يجب أن تتكون أسماء الأنشطة من 1 إلى 100 حرف.',
+            'import.duplicateActivity': 'النشاط "{name}" مكرر أو بلا معرّف.',
+            'import.invalidActivitySettings': 'للنشاط "{name}" جدول أو هدف غير صالح.',
+            'import.invalidDate': 'تاريخ غير صالح "{date}" في السجل.',
+            'import.title': 'استيراد البيانات',
+            'import.merge': 'الدمج مع البيانات الحالية',
+            'import.replace': 'استبدال البيانات الحالية',
+            'import.import': 'استيراد',
+            'import.more': '{names}، و{count} أخرى',
+            'import.activitiesInFile': 'الأنشطة في الملف: {count} ({matched} متتبَّعة بالفعل)',
+            'import.newActivities': 'أنشطة جديدة: {names}',
+            'import.removedActivities': 'أنشطة محذوفة: {names}',
+            'import.skipped': 'تم تخطيها (بلغ الحد {max}): {names}',
+            'import.entriesReplaced': 'تسجيلات مستبدلة: {removed} حالية ← {added} من الملف',
+            'import.entriesAdded': 'تسجيلات مضافة: {added}، محدَّثة: {changed}',
+            'import.notesAdded': 'ملاحظات وإدخالات يوميات مضافة: {count}',
+            'csv.exportTitle': 'تصدير CSV',
+            'csv.format': 'التنسيق',
+            'csv.formatLabel': 'تنسيق CSV',
+            'csv.longFormat': 'طويل: التاريخ، النشاط، القيمة',
+            'csv.wideFormat': 'عريض: عمود لكل نشاط',
+            'csv.from': 'من',
+            'csv.to': 'إلى',
+            'csv.fromDate': 'تاريخ البداية',
+            'csv.toDate': 'تاريخ النهاية',
+            'csv.invalidRange': 'اختر نطاق تواريخ صالحًا.',
+            'csv.rangeTooLong': 'اختر نطاقًا لا يتجاوز 10 سنوات.',
+            'csv.importTitle': 'استيراد CSV',
+            'csv.noRows': 'لا يحتوي ملف CSV على صفوف بيانات.',
+            'csv.layout': 'التخطيط',
+            'csv.layoutLabel': 'تخطيط CSV',
+            'csv.longLayout': 'صف لكل تسجيل',
+            'csv.wideLayout': 'عمود لكل عادة',
+            'csv.column': 'العمود {number}',
+            'csv.dateColumn': 'عمود التاريخ',
+            'csv.activityColumn': 'عمود النشاط',
+            'csv.valueColumn': 'عمود القيمة',
+            'csv.noValueColumn': '(لا شيء: كل صف يُحتسب منجزًا)',
+            'csv.mappingTitle': 'اربط العادات بالأنشطة',
+            'csv.skip': 'تخطٍّ',
+            'csv.newActivity': 'نشاط جديد',
+            'csv.map': 'ربط {name}',
+            'csv.continue': 'متابعة',
+            'csv.nothingMapped': 'لم تُربط أي عادة بنشاط.',
+            'csv.noDates': 'لم يحتوِ أي صف على تاريخ مفهوم.',
+            'csv.noCheckIns': 'لم يُعثر على أي تسجيلات.',
+            'reminders.title': 'تذكير Tickora اليومي',
+            'reminders.stillToDo': 'ما زال عليك: {routines}. أنجزها لتحافظ على سلسلتك! 💪',
+            'reminders.remaining': 'لديك أنشطة غير منجزة اليوم ({count}). أنجزها لتحافظ على سلسلتك! 💪',
+            'reminders.noActivities': 'لا تنسَ إنجاز أنشطتك اليوم! 🎯',
+            'reminders.allDone': 'أحسنت! أُنجزت كل أنشطة اليوم 🎉 حافظ على السلسلة!',
+            'reminders.checkOff': 'حان وقت إنجاز هذا النشاط اليوم.',
+            'reminders.alreadyDone': 'أُنجز اليوم بالفعل. عمل رائع!',
+            'reminders.soFar': '{value} حتى الآن اليوم.',
+            'profiles.title': 'الملفات الشخصية',
+            'profiles.defaultName': 'أنا',
+            'profiles.button': 'الملف الشخصي: {name}',
+            'profiles.current': 'الحالي',
+            'profiles.switch': 'تبديل',
+            'profiles.switchProfile': 'تبديل الملف الشخصي',
+            'profiles.locked': 'مقفل برمز PIN',
+            'profiles.lockNow': 'قفل',
+            'profiles.namePlaceholder': 'اسم الملف الشخصي الجديد',
+            'profiles.add': '+ إضافة',
+            'profiles.max': 'الحد الأقصى {max} ملفات شخصية.',
+            'profiles.nameRequired': 'أدخل اسمًا للملف الشخصي.',
+            'profiles.editTitle': 'تعديل الملف الشخصي',
+            'profiles.name': 'الاسم',
+            'profiles.pin': 'رمز PIN',
+            'profiles.pinHint': 'من 4 إلى 8 أرقام. اتركه فارغًا لعدم استخدام رمز.',
+            'profiles.pinKeepHint': 'من 4 إلى 8 أرقام. اتركه فارغًا للإبقاء على الرمز الحالي.',
+            'profiles.removePin': 'إزالة الرمز',
+            'profiles.invalidPin': 'رمز PIN من 4 إلى 8 أرقام.',
+            'profiles.pinUnavailable': 'يتطلب القفل برمز PIN تشغيل التطبيق عبر HTTPS.',
+            'profiles.unlockTitle': '🔒 {name}',
+            'profiles.enterPin': 'أدخل رمز PIN الخاص بـ {name}.',
+            'profiles.unlock': 'فتح',
+            'profiles.wrongPin': 'رمز خاطئ. حاول مجددًا.',
+            'profiles.deleteConfirm': 'حذف الملف الشخصي «{name}»؟',
+            'profiles.deleteDetail': 'ستُحذف أنشطته وسجله من هذا الجهاز. لا يمكن التراجع عن ذلك.',
+            'sync.title': 'المزامنة',
+            'sync.setUp': 'إعداد المزامنة',
+            'sync.syncNow': 'زامن الآن',
+            'sync.disconnect': 'قطع الاتصال',
+            'sync.off': 'غير مُعدّة',
+            'sync.syncing': 'جارٍ المزامنة…',
+            'sync.syncedAt': 'تمت المزامنة {time}',
+            'sync.neverSynced': 'متصل، لم تتم المزامنة بعد',
+            'sync.offline': {
+                zero: 'غير متصل · لا تغييرات بانتظار المزامنة',
+                one: 'غير متصل · تغيير واحد بانتظار المزامنة',
+                two: 'غير متصل · تغييران بانتظار المزامنة',
+                few: 'غير متصل · {count} تغييرات بانتظار المزامنة',
+                other: 'غير متصل · {count} تغييرًا بانتظار المزامنة'
+            },
+            'sync.otherTab': 'تجري المزامنة في علامة تبويب أخرى مفتوحة',
+            'sync.outdated': 'يستخدم جهاز آخر إصدارًا أحدث من Tickora. حدّث التطبيق لمتابعة المزامنة.',
+            'sync.failed': 'فشلت المزامنة: {error}',
+            'sync.account': '{account} على {server}',
+            'sync.hint': 'أبقِ أجهزتك متوافقة عبر خادم مزامنة. تُشفَّر البيانات على هذا الجهاز قبل رفعها.',
+            'sync.conflicts': {
+                one: '⚠ تعديل متعارض واحد',
+                two: '⚠ تعديلان متعارضان',
+                few: '⚠ {count} تعديلات متعارضة',
+                other: '⚠ {count} تعديلًا متعارضًا'
+            },
+            'sync.conflictsToast': {
+                one: 'تعارض تعديل واحد مع جهاز آخر',
+                two: 'تعارض تعديلان مع جهاز آخر',
+                few: 'تعارضت {count} تعديلات مع جهاز آخر',
+                other: 'تعارض {count} تعديلًا مع جهاز آخر'
+            },
+            'sync.review': 'مراجعة',
+            'sync.conflictsTitle': 'تعارضات المزامنة',
+            'sync.conflictsIntro': 'تغيّرت هذه العناصر على جهازين قبل مزامنتهما. تم الاحتفاظ بالتغيير الأحدث.',
+            'sync.keptTheirs': 'تم الاحتفاظ بنسخة جهاز آخر',
+            'sync.keptOurs': 'تم الاحتفاظ بنسخة هذا الجهاز',
+            'sync.clearConflicts': 'مسح القائمة',
+            'sync.server': 'الخادم',
+            'sync.accountName': 'الحساب',
+            'sync.passphrase': 'عبارة المرور',
+            'sync.setupHint': 'استخدم الخادم والحساب وعبارة المرور نفسها على كل جهاز. عبارة المرور تشفّر بياناتك ولا يمكن استعادتها.',
+            'sync.connect': 'اتصال',
+            'sync.connecting': 'جارٍ الاتصال…',
+            'sync.invalidServer': 'أدخل عنوان الخادم بدءًا بـ https://',
+            'sync.accountRequired': 'يرجى إدخال اسم الحساب.',
+            'sync.passphraseTooShort': 'استخدم عبارة مرور من {min} أحرف على الأقل.',
+            'sync.unavailable': 'تتطلب المزامنة تقديم التطبيق عبر HTTPS.',
+            'sync.unreachable': 'تعذّر الوصول إلى خادم المزامنة',
+            'sync.serverError': 'استجاب خادم المزامنة بالرمز {status}',
+            'sync.decryptFailed': 'تعذّر فك تشفير تغيير على الخادم. تحقق من عبارة المرور.',
+            'sync.disconnectConfirm': 'إيقاف مزامنة هذا الملف الشخصي؟',
+            'sync.disconnectDetail': 'تبقى بياناتك على هذا الجهاز وعلى الخادم. اتصل مجددًا بعبارة المرور نفسها للمتابعة.',
+            'sync.removedActivity': 'نشاط محذوف',
+            'sync.pathOrder': 'ترتيب الأنشطة',
+            'sync.pathCheckIn': '{name} في {date}',
+            'sync.pathNote': 'ملاحظة {name} في {date}',
+            'sync.pathSkip': 'تخطي {name} في {date}',
+            'sync.pathJournal': 'تدوينة اليوميات في {date}',
+            'sync.pathTheme': 'المظهر',
+            'goals.title': 'الأهداف',
+            'goals.add': '+ هدف جديد',
+            'goals.empty': 'لا توجد أهداف بعد. حدّد هدفًا، مثل التأمل 60 يومًا هذا الربع.',
+            'goals.archive': {
+                one: 'الأرشيف (هدف واحد)',
+                two: 'الأرشيف (هدفان)',
+                few: 'الأرشيف ({count} أهداف)',
+                other: 'الأرشيف ({count} هدفًا)'
+            },
+            'goals.newTitle': 'هدف جديد',
+            'goals.editTitle': 'تعديل الهدف',
+            'goals.name': 'الاسم',
+            'goals.namePlaceholder': 'اختياري',
+            'goals.type': 'الهدف',
+            'goals.daysType': 'أداء نشاط لعدد من الأيام',
+            'goals.challengeType': 'تحدٍّ: نشاط كل يوم',
+            'goals.completionType': 'متوسط الإنجاز اليومي',
+            'goals.daysHint': 'يُحتسب كل يوم يُنجز فيه النشاط، سواء كان مستحقًا أم لا.',
+            'goals.challengeHint': 'تفويت يوم مستحق للنشاط ينهي التحدي. الأيام المتخطاة أو الموقوفة لا تنهيه.',
+            'goals.completionHint': 'متوسط إنجاز كل الأنشطة في الأيام التي فيها شيء مستحق.',
+            'goals.activity': 'النشاط',
+            'goals.targetDays': 'عدد الأيام',
+            'goals.targetPercent': 'متوسط الإنجاز (%)',
+            'goals.start': 'البداية',
+            'goals.end': 'النهاية',
+            'goals.next30': 'الثلاثون يومًا القادمة',
+            'goals.thisMonth': 'هذا الشهر',
+            'goals.thisQuarter': 'هذا الربع',
+            'goals.invalidDates': 'لا يمكن أن تسبق النهاية البداية، ولا تتجاوز مدة الهدف {max} يومًا.',
+            'goals.activityRequired': 'يرجى اختيار نشاط.',
+            'goals.invalidTarget': 'أدخل عددًا صحيحًا من 1 إلى {max}.',
+            'goals.max': 'الحد الأقصى {max} هدفًا. احذف أهدافًا قديمة من الأرشيف أولًا.',
+            'goals.defaultDays': '{name} لمدة {count} يومًا',
+            'goals.defaultChallenge': 'تحدي {name} لمدة {count} يومًا',
+            'goals.defaultCompletion': 'متوسط إنجاز {target}%',
+            'goals.allActivities': 'كل الأنشطة',
+            'goals.removedActivity': 'نشاط محذوف',
+            'goals.daysProgress': '{value} من {target} يومًا',
+            'goals.challengeProgress': '{value} من {target} يومًا محققة',
+            'goals.completionProgress': 'المتوسط {value}% · الهدف {target}%',
+            'goals.dateRange': '{start} – {end}',
+            'goals.startsOn': 'يبدأ في {date}',
+            'goals.daysLeft': {
+                one: 'بقي يوم واحد',
+                two: 'بقي يومان',
+                few: 'بقيت {count} أيام',
+                other: 'بقي {count} يومًا'
+            },
+            'goals.lastDay': 'اليوم الأخير',
+            'goals.completedOn': '✅ تحقق في {date}',
+            'goals.failedOn': '❌ لم يتحقق في {date}',
+            'goals.milestoneToast': '🎉 قطعت {percent}% من الطريق إلى "{name}"!',
+            'goals.completedToast': '🏆 تحقق الهدف: {name}!',
+            'goals.added': 'تمت إضافة الهدف {name}',
+            'goals.edited': 'تم تعديل الهدف {name}',
+            'goals.deleted': 'تم حذف الهدف {name}',
+            'goals.deleteConfirm': 'حذف الهدف "{name}"؟',
+            'shortcuts.title': 'اختصارات لوحة المفاتيح',
+            'shortcuts.toggle': 'إنجاز النشاط في هذا الموضع (يضيف خطوة للأنشطة القابلة للقياس)',
+            'shortcuts.undo': 'تراجع / إعادة',
+            'shortcuts.arrows': 'التنقل بين أيام التقويم',
+            'shortcuts.homeEnd': 'أول / آخر يوم في الأسبوع',
+            'shortcuts.pages': 'الشهر السابق / التالي',
+            'shortcuts.enter': 'فتح اليوم المحدد',
+            'shortcuts.escape': 'إغلاق نافذة الحوار',
+            'shortcuts.help': 'عرض هذه القائمة',
+            'update.available': 'يتوفر إصدار جديد من Tickora.',
+            'update.reload': 'إعادة التحميل'
+        }
+    }
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+// A supported locale for a preference; '' follows the browser's languages
+function resolveLocale(preference) {
+    if (LOCALES[preference]) return preference;
+    const languages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+    const match = languages
+        .map(language => String(language || '').toLowerCase().split('-')[0])
+        .find(language => LOCALES[language]);
+    return match || DEFAULT_LOCALE;
+}
+
+// Switch the interface language and text direction
+function setLocale(preference) {
+    currentLocale = resolveLocale(preference);
+    document.documentElement.lang = currentLocale;
+    document.documentElement.dir = LOCALES[currentLocale].dir;
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+// Translated message for a key with {placeholders} filled in
+function t(key, params = {}) {
+    let message = LOCALES[currentLocale].messages[key];
+    if (message === undefined) message = LOCALES[DEFAULT_LOCALE].messages[key];
+    if (message === undefined) return key;
+    
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(currentLocale).select(params.count);
+        message = message[form] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// ==================== FORMATTING ====================
+
+// Format a YYYY-MM-DD key with Intl date options in the current language
+function formatDate(dateStr, options) {
+    return parseDateKey(dateStr).toLocaleDateString(currentLocale, options);
+}
+
+// Name of a weekday (0 = Sunday); format is 'short' or 'long'
+function getWeekdayName(day, format = 'short') {
+    // 1 January 2023 was a Sunday
+    return new Date(2023, 0, 1 + day).toLocaleDateString(currentLocale, { weekday: format });
+}
+
+// An hour of the day, e.g. "4:00 AM" or "4:00"
+function formatHour(hour) {
+    return new Date(2000, 0, 1, hour).toLocaleTimeString(currentLocale, { hour: 'numeric', minute: '2-digit' });
+}
+
+// Fill in text and attributes marked with data-i18n / data-i18n-attr
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':');
+            element.setAttribute(attribute, t(key));
+        });
+    });
+}
@@ -1,5 +1,6 @@
 // Tickora - Habit Tracking Application
-// All data stored in localStorage
+// Data stored in IndexedDB (localStorage fallback), see storage.js
+// Date helpers (getTodayDate, addDays, ...) live in dates.js
 
 // ==================== SECURITY & UTILITIES ====================
 
@@ -32,116 +33,358 @@ function debounce(func, wait) {
     };
 }
 
-// Throttle function for performance
+// Throttle function for performance; the last call made while throttled
+// still runs once the wait is over, so the final state is never dropped
 function throttle(func, limit) {
     let inThrottle;
-    return function(...args) {
-        if (!inThrottle) {
-            func.apply(this, args);
-            inThrottle = true;
-            setTimeout(() => inThrottle = false, limit);
+    let pendingArgs = null;
+    return function throttled(...args) {
+        if (inThrottle) {
+            pendingArgs = args;
+            return;
         }
+        func.apply(this, args);
+        inThrottle = true;
+        setTimeout(() => {
+            inThrottle = false;
+            if (pendingArgs) {
+                const nextArgs = pendingArgs;
+                pendingArgs = null;
+                throttled.apply(this, nextArgs);
+            }
+        }, limit);
     };
 }
 
 // ==================== DATA MANAGEMENT ====================
 
-// Get today's date as YYYY-MM-DD
-function getTodayDate() {
-    const today = new Date();
-    return today.toISOString().split('T')[0];
-}
+// Current shape of the stored data; bump when adding a migration below
+const DATA_SCHEMA_VERSION = 14;
+
+// Maximum number of tracked activities
+const MAX_ACTIVITIES = 50;
 
-// Get current week dates (last 7 days)
-function getWeekDates() {
-    const dates = [];
-    const today = new Date();
-    for (let i = 6; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        dates.push(date.toISOString().split('T')[0]);
+// Palette used to give new activities a default color
+const ACTIVITY_COLORS = ['#4f46e5', '#22c55e', '#f59e0b', '#ef4444', '#06b6d4', '#a855f7', '#ec4899', '#84cc16'];
+
+// Generate a unique, stable activity id
+function generateId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
     }
-    return dates;
+    return 'act-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+// Build a new activity object
+function createActivity(name, options = {}) {
+    const createdAt = options.createdAt || getTodayDate();
+    return {
+        id: generateId(),
+        name: name,
+        createdAt,
+        // Anchor for "every N days" schedules; backfilling never moves it
+        scheduleStart: options.scheduleStart || createdAt,
+        color: options.color || ACTIVITY_COLORS[Math.floor(Math.random() * ACTIVITY_COLORS.length)],
+        icon: options.icon || '',
+        description: options.description || '',
+        schedule: options.schedule || { type: 'daily' },
+        type: options.type || 'check',
+        target: options.target || 1,
+        unit: options.unit || '',
+        step: options.step || 1,
+        reminderTime: options.reminderTime || '',
+        archivedAt: null,
+        pauses: [],
+        category: options.category || '',
+        tags: options.tags || [],
+        timeOfDay: options.timeOfDay || '',
+        suggestionKey: options.suggestionKey || ''
+    };
+}
+
+// Default user preferences
+const DEFAULT_SETTINGS = {
+    dayStartHour: 0,
+    // How many days back check-ins can be edited (0 = no limit)
+    backfillDays: 0,
+    // Reminders are opt-in since they need notification permission
+    remindersEnabled: false,
+    dailyReminderTime: '20:00',
+    remindOnlyIncomplete: true,
+    // HH:MM range without notifications; empty turns quiet hours off
+    quietHoursStart: '',
+    quietHoursEnd: '',
+    // Category groups folded away in the activity list
+    collapsedCategories: [],
+    // Interface language; '' follows the browser
+    locale: '',
+    // First day of the week (0 = Sunday) for the calendar and weekly goals
+    weekStartsOn: 0,
+    // 'rolling' = the last 7 days, 'calendar' = this calendar week so far
+    weeklySummary: 'rolling'
+};
+
+function isTimeOrEmpty(value) {
+    return value === '' || (typeof value === 'string' && normalizeTime(value) === value);
+}
+
+function isIntegerBetween(min, max) {
+    return value => Number.isInteger(value) && value >= min && value <= max;
+}
+
+// What a valid value looks like for each setting
+const SETTING_VALIDATORS = {
+    dayStartHour: isIntegerBetween(0, 23),
+    backfillDays: isIntegerBetween(0, 365),
+    remindersEnabled: value => typeof value === 'boolean',
+    dailyReminderTime: value => value !== '' && isTimeOrEmpty(value),
+    remindOnlyIncomplete: value => typeof value === 'boolean',
+    quietHoursStart: isTimeOrEmpty,
+    quietHoursEnd: isTimeOrEmpty,
+    collapsedCategories: value => Array.isArray(value) && value.every(name => typeof name === 'string'),
+    locale: value => value === '' || Object.keys(LOCALES).includes(value),
+    weekStartsOn: isIntegerBetween(0, 6),
+    weeklySummary: value => value === 'rolling' || value === 'calendar'
+};
+
+// Settings with unknown keys dropped and invalid values reset to their default
+function normalizeSettings(settings) {
+    const source = settings && typeof settings === 'object' ? settings : {};
+    const clean = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        clean[key] = SETTING_VALIDATORS[key](source[key]) ? source[key] : DEFAULT_SETTINGS[key];
+    });
+    clean.collapsedCategories = clean.collapsedCategories.slice();
+    return clean;
 }
 
-// Get all dates in current month
-function getMonthDates() {
-    const dates = [];
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = today.getMonth();
-    const daysInMonth = new Date(year, month + 1, 0).getDate();
+// Schema migrations, keyed by the version they upgrade to
+const DATA_MIGRATIONS = {
+    // v1 -> v2: activities become objects with ids, history is keyed by id
+    2: function(data) {
+        const idsByName = {};
+        // Only bare name strings need converting
+        if (!data.activities.some(name => typeof name === 'string')) return;
+        
+        data.activities = data.activities
+            .filter(name => typeof name === 'string')
+            .map((name, index) => {
+                const activity = createActivity(name, { color: ACTIVITY_COLORS[index % ACTIVITY_COLORS.length] });
+                idsByName[name] = activity.id;
+                return activity;
+            });
+        
+        const dates = Object.keys(data.dailyData).sort();
+        if (dates.length > 0) {
+            data.activities.forEach(activity => {
+                const firstDate = dates.find(date => data.dailyData[date][activity.name] !== undefined);
+                if (firstDate) activity.createdAt = firstDate;
+            });
+        }
+        
+        Object.keys(data.dailyData).forEach(date => {
+            const dayData = data.dailyData[date] || {};
+            const migrated = {};
+            Object.keys(dayData).forEach(name => {
+                if (idsByName[name]) {
+                    migrated[idsByName[name]] = dayData[name];
+                }
+            });
+            data.dailyData[date] = migrated;
+        });
+    },
+    // v2 -> v3: the old app-open streak becomes a separate visit metric
+    3: function(data) {
+        data.visitStreak = data.currentStreak || 0;
+        data.bestVisitStreak = data.bestStreak || 0;
+        delete data.currentStreak;
+        delete data.bestStreak;
+    },
+    // v3 -> v4: every activity gets a schedule, defaulting to daily
+    4: function(data) {
+        data.activities.forEach(activity => {
+            if (!activity.schedule) activity.schedule = { type: 'daily' };
+        });
+    },
+    // v4 -> v5: activities are either checkboxes or measurable with a target
+    5: function(data) {
+        data.activities.forEach(activity => {
+            if (!activity.type) activity.type = 'check';
+            if (!activity.target) activity.target = 1;
+            if (activity.unit === undefined) activity.unit = '';
+            if (!activity.step) activity.step = 1;
+        });
+    },
+    // v5 -> v6: activities can have their own reminder time
+    6: function(data) {
+        data.activities.forEach(activity => {
+            if (activity.reminderTime === undefined) activity.reminderTime = '';
+        });
+    },
+    // v6 -> v7: per-check-in notes and a daily journal with mood
+    7: function(data) {
+        if (!data.notes || typeof data.notes !== 'object') data.notes = {};
+        if (!data.journal || typeof data.journal !== 'object') data.journal = {};
+    },
+    // v7 -> v8: activities can be archived or paused, single days skipped
+    8: function(data) {
+        data.activities.forEach(activity => {
+            if (activity.archivedAt === undefined) activity.archivedAt = null;
+            if (!Array.isArray(activity.pauses)) activity.pauses = [];
+        });
+        if (!data.skips || typeof data.skips !== 'object') data.skips = {};
+    },
+    // v8 -> v9: activities can have a category and tags
+    9: function(data) {
+        data.activities.forEach(activity => {
+            if (typeof activity.category !== 'string') activity.category = '';
+            if (!Array.isArray(activity.tags)) activity.tags = [];
+        });
+    },
+    // v9 -> v10: activities can belong to a morning/afternoon/evening routine
+    10: function(data) {
+        data.activities.forEach(activity => {
+            if (typeof activity.timeOfDay !== 'string') activity.timeOfDay = '';
+        });
+    },
+    // v10 -> v11: saved activity templates and imported starter packs
+    11: function(data) {
+        if (!Array.isArray(data.templates)) data.templates = [];
+        if (!Array.isArray(data.packs)) data.packs = [];
+    },
+    // v11 -> v12: goals and challenges with a start and end date
+    12: function(data) {
+        if (!Array.isArray(data.goals)) data.goals = [];
+    },
+    // v12 -> v13: interval schedules get their own anchor, separate from createdAt
+    13: function(data) {
+        data.activities.forEach(activity => {
+            if (!activity.scheduleStart) activity.scheduleStart = activity.createdAt;
+        });
+    },
+    // v13 -> v14: activities added from the library remember its key,
+    // found by the library name in any language
+    14: function(data) {
+        data.activities.forEach(activity => {
+            if (activity.suggestionKey) return;
+            const entry = SUGGESTION_LIBRARY.find(item => Object.keys(LOCALES).some(locale =>
+                LOCALES[locale].messages[`suggestions.${item.key}`] === activity.name));
+            activity.suggestionKey = entry ? entry.key : '';
+        });
+    }
+};
+
+// Upgrade stored data to the current schema version
+function migrateData(data) {
+    let version = typeof data.schemaVersion === 'number' ? data.schemaVersion : 1;
+    let migrated = false;
     
-    for (let day = 1; day <= daysInMonth; day++) {
-        const date = new Date(year, month, day);
-        dates.push(date.toISOString().split('T')[0]);
+    while (version < DATA_SCHEMA_VERSION) {
+        version++;
+        if (DATA_MIGRATIONS[version]) {
+            DATA_MIGRATIONS[version](data);
+        }
+        migrated = true;
     }
-    return dates;
+    
+    data.schemaVersion = version;
+    return migrated;
 }
 
-// Initialize data structure
-function initializeData() {
+// Build an empty data structure
+function initializeDataObject() {
     const today = getTodayDate();
-    const data = {
+    return {
+        schemaVersion: DATA_SCHEMA_VERSION,
         activities: [],
         dailyData: {},
+        notes: {},
+        journal: {},
+        skips: {},
+        templates: [],
+        packs: [],
+        goals: [],
         lastResetDate: today,
         theme: 'light',
+        settings: Object.assign({}, DEFAULT_SETTINGS),
         appOpens: [],
-        currentStreak: 0,
-        bestStreak: 0,
+        visitStreak: 0,
+        bestVisitStreak: 0,
         lastOpenDate: today
     };
-    localStorage.setItem('tickoraData', JSON.stringify(data));
+}
+
+// In-memory copy of the data, loaded once by loadData()
+let appData = null;
+
+// Initialize data structure
+function initializeData() {
+    const data = initializeDataObject();
+    saveData(data);
     return data;
 }
 
-// Get data from localStorage
-function getData() {
-    try {
-        const stored = localStorage.getItem('tickoraData');
-        if (!stored) {
-            return initializeData();
-        }
-        const parsed = JSON.parse(stored);
-        // Validate data structure
-        if (!parsed || typeof parsed !== 'object') {
-            return initializeData();
-        }
-        // Ensure required properties exist
-        if (!Array.isArray(parsed.activities)) parsed.activities = [];
-        if (typeof parsed.dailyData !== 'object') parsed.dailyData = {};
-        if (!Array.isArray(parsed.appOpens)) parsed.appOpens = [];
-        return parsed;
-    } catch (error) {
-        console.error('Error reading data:', error);
+// Validate stored data and upgrade it to the current schema
+function prepareData(parsed) {
+    // Validate data structure
+    if (!parsed || typeof parsed !== 'object') {
         return initializeData();
     }
+    // Ensure required properties exist
+    if (!Array.isArray(parsed.activities)) parsed.activities = [];
+    if (!parsed.dailyData || typeof parsed.dailyData !== 'object') parsed.dailyData = {};
+    if (!parsed.notes || typeof parsed.notes !== 'object') parsed.notes = {};
+    if (!parsed.journal || typeof parsed.journal !== 'object') parsed.journal = {};
+    if (!parsed.skips || typeof parsed.skips !== 'object') parsed.skips = {};
+    if (!Array.isArray(parsed.appOpens)) parsed.appOpens = [];
+    if (!Array.isArray(parsed.templates)) parsed.templates = [];
+    if (!Array.isArray(parsed.packs)) parsed.packs = [];
+    if (!Array.isArray(parsed.goals)) parsed.goals = [];
+    parsed.settings = normalizeSettings(parsed.settings);
+    appData = parsed;
+    // Upgrade older data and persist the result once
+    if (migrateData(parsed)) {
+        saveData(parsed);
+    }
+    return parsed;
 }
 
-// Save data to localStorage
-function saveData(data) {
+// Load the active profile's data from storage into memory (see storage.js)
+async function loadData() {
     try {
-        // Validate data before saving
-        if (!data || typeof data !== 'object') {
-            console.error('Invalid data structure');
-            return;
-        }
-        // Limit data size to prevent localStorage overflow
-        const dataString = JSON.stringify(data);
-        if (dataString.length > 5000000) { // ~5MB limit
-            console.error('Data too large to save');
-            return;
-        }
-        localStorage.setItem('tickoraData', dataString);
+        appData = prepareData(await initStorage(currentProfileId));
     } catch (error) {
-        if (error.name === 'QuotaExceededError') {
-            console.error('Storage quota exceeded');
-            alert('Storage limit reached. Please delete some old data.');
-        } else {
-            console.error('Error saving data:', error);
-        }
+        console.error('Error reading data:', error);
+        appData = initializeData();
+    }
+    return appData;
+}
+
+// Get the in-memory data; callers mutate it and then call saveData
+function getData() {
+    if (!appData) {
+        appData = initializeData();
+    }
+    return appData;
+}
+
+// Save data; only changed days are written to storage. changedDates
+// lists the days whose check-ins, skips, notes or journal the change
+// touched ([] for none); leave it out and every day is compared.
+function saveData(data, changedDates) {
+    // Validate data before saving
+    if (!data || typeof data !== 'object') {
+        console.error('Invalid data structure');
+        return;
     }
+    appData = data;
+    clearQuotaPeriodCache();
+    const goalEvents = updateGoals(data, changedDates);
+    persistData(data, changedDates);
+    stampSyncEdits(data, changedDates);
+    scheduleReminderSync();
+    scheduleSync();
+    if (goalEvents.length > 0) celebrateGoals(goalEvents);
 }
 
 // Check and reset for new day
@@ -151,11 +394,11 @@ function checkDailyReset() {
     
     if (data.lastResetDate !== today) {
         data.lastResetDate = today;
-        saveData(data);
+        saveData(data, []);
     }
 }
 
-// Track app open for streak
+// Track app open for the visit streak
 function trackAppOpen() {
     const data = getData();
     const today = getTodayDate();
@@ -166,701 +409,6644 @@ function trackAppOpen() {
     
     if (!data.appOpens.includes(today)) {
         data.appOpens.push(today);
-        updateStreak(data);
+        updateVisitStreak(data);
         data.lastOpenDate = today;
-        saveData(data);
+        saveData(data, []);
     }
 }
 
-// Update streak based on app opens
-function updateStreak(data) {
-    if (!data.appOpens || data.appOpens.length === 0) {
-        data.currentStreak = 0;
-        data.bestStreak = 0;
-        return;
-    }
-    
-    const sortedDates = data.appOpens.sort();
+// Current and best runs of successful days from startDate to today.
+// getStatus(date) returns 'done', 'missed' or 'skip'; skipped days neither
+// extend nor break a run, and a missed today doesn't break it either,
+// since today can still be completed.
+function calculateStreaks(startDate, getStatus) {
     const today = getTodayDate();
-    const todayDate = new Date(today);
+    let current = 0;
+    let best = 0;
     
-    let currentStreak = 0;
-    let checkDate = new Date(todayDate);
-    
-    if (sortedDates.includes(today)) {
-        currentStreak = 1;
-        checkDate.setDate(checkDate.getDate() - 1);
-        
-        while (true) {
-            const dateStr = checkDate.toISOString().split('T')[0];
-            if (sortedDates.includes(dateStr)) {
-                currentStreak++;
-                checkDate.setDate(checkDate.getDate() - 1);
-            } else {
-                break;
-            }
-        }
-    } else {
-        checkDate.setDate(checkDate.getDate() - 1);
-        const yesterdayStr = checkDate.toISOString().split('T')[0];
-        
-        if (sortedDates.includes(yesterdayStr)) {
-            currentStreak = 1;
-            checkDate.setDate(checkDate.getDate() - 1);
-            
-            while (true) {
-                const dateStr = checkDate.toISOString().split('T')[0];
-                if (sortedDates.includes(dateStr)) {
-                    currentStreak++;
-                    checkDate.setDate(checkDate.getDate() - 1);
-                } else {
-                    break;
-                }
-            }
-        }
+    if (!startDate || startDate > today) {
+        return { current, best };
     }
     
-    let bestStreak = 0;
-    let tempStreak = 0;
-    const sortedDatesObj = sortedDates.map(d => new Date(d)).sort((a, b) => a - b);
-    
-    for (let i = 0; i < sortedDatesObj.length; i++) {
-        if (i === 0) {
-            tempStreak = 1;
-        } else {
-            const prevDate = new Date(sortedDatesObj[i - 1]);
-            const currDate = new Date(sortedDatesObj[i]);
-            const diffDays = Math.floor((currDate - prevDate) / (1000 * 60 * 60 * 24));
-            
-            if (diffDays === 1) {
-                tempStreak++;
-            } else {
-                bestStreak = Math.max(bestStreak, tempStreak);
-                tempStreak = 1;
-            }
+    for (let date = startDate; date <= today; date = addDays(date, 1)) {
+        const status = getStatus(date);
+        if (status === 'done') {
+            current++;
+            best = Math.max(best, current);
+        } else if (status === 'missed' && date !== today) {
+            current = 0;
         }
     }
-    bestStreak = Math.max(bestStreak, tempStreak, currentStreak);
     
-    data.currentStreak = currentStreak;
-    data.bestStreak = bestStreak;
+    return { current, best };
+}
+
+// Update visit streak based on app opens
+function updateVisitStreak(data) {
+    const opens = new Set(data.appOpens);
+    const streaks = calculateStreaks(data.appOpens.sort()[0], date => opens.has(date) ? 'done' : 'missed');
+    data.visitStreak = streaks.current;
+    data.bestVisitStreak = Math.max(data.bestVisitStreak || 0, streaks.best);
 }
 
 // ==================== ACTIVITIES MANAGEMENT ====================
 
-// Add new activity
-function addActivity(name) {
+// Find activity by id
+function getActivityById(data, id) {
+    return data.activities.find(activity => activity.id === id) || null;
+}
+
+// Find activity by name (used to prevent duplicates)
+function findActivityByName(data, name) {
+    return data.activities.find(activity => activity.name === name) || null;
+}
+
+// Validate a new activity against data. Returns { activity } or { error }.
+// options may be a template: icon, color and description are taken too.
+function buildNewActivity(data, name, options = {}) {
     const validatedName = validateActivityName(name);
     if (!validatedName) {
-        alert('Please enter a valid activity name (1-100 characters).');
-        return;
+        return { error: t('activities.invalidName') };
+    }
+    if (findActivityByName(data, validatedName)) {
+        return { error: t('activities.duplicate') };
+    }
+    if (data.activities.length >= MAX_ACTIVITIES) {
+        return { error: t('activities.max', { max: MAX_ACTIVITIES }) };
     }
     
-    const data = getData();
+    const schedule = options.schedule ? normalizeSchedule(options.schedule) : { type: 'daily' };
+    if (!schedule) {
+        return { error: t('activities.invalidSchedule') };
+    }
     
-    if (data.activities.includes(validatedName)) {
-        alert('This activity already exists!');
-        return;
+    const measure = normalizeMeasure(options);
+    if (!measure) {
+        return { error: t('activities.invalidTarget') };
     }
     
-    if (data.activities.length >= 50) {
-        alert('Maximum 50 activities allowed.');
+    return {
+        activity: createActivity(validatedName, Object.assign({
+            schedule,
+            reminderTime: normalizeTime(options.reminderTime),
+            category: normalizeCategory(options.category),
+            tags: normalizeTags(options.tags),
+            timeOfDay: normalizeTimeOfDay(options.timeOfDay),
+            icon: sanitizeInput(options.icon || '').trim().slice(0, 4),
+            color: /^#[0-9a-fA-F]{6}$/.test(options.color) ? options.color : '',
+            description: sanitizeInput(options.description || '').trim().slice(0, 300),
+            suggestionKey: normalizeSuggestionKey(options.suggestionKey)
+        }, measure))
+    };
+}
+
+// Add new activity
+function addActivity(name, options = {}) {
+    const data = getData();
+    const { activity, error } = buildNewActivity(data, name, options);
+    if (error) {
+        showAlert(error);
         return;
     }
     
-    data.activities.push(validatedName);
-    saveData(data);
+    recordAction(t('actions.added', { name: activity.name }), [['activities', activity.id]]);
+    data.activities.push(activity);
+    saveData(data, []);
     renderActivities();
     updateProgress();
     generateCalendar();
 }
 
-// Delete activity
-function deleteActivity(name) {
-    if (!confirm(`Delete "${name}"?`)) return;
-    
+// Update activity details; history is keyed by id so renaming keeps it.
+// Everything is validated before the activity is touched.
+function updateActivity(id, changes) {
     const data = getData();
-    data.activities = data.activities.filter(a => a !== name);
+    const activity = getActivityById(data, id);
+    if (!activity) return false;
     
-    Object.keys(data.dailyData).forEach(date => {
-        if (data.dailyData[date][name] !== undefined) {
-            delete data.dailyData[date][name];
+    const updates = {};
+    
+    if (changes.name !== undefined) {
+        const validatedName = validateActivityName(changes.name);
+        if (!validatedName) {
+            showAlert(t('activities.invalidName'));
+            return false;
         }
-    });
+        const existing = findActivityByName(data, validatedName);
+        if (existing && existing.id !== id) {
+            showAlert(t('activities.duplicate'));
+            return false;
+        }
+        updates.name = validatedName;
+    }
     
-    saveData(data);
+    if (changes.description !== undefined) {
+        updates.description = sanitizeInput(changes.description).trim().slice(0, 300);
+    }
+    if (changes.icon !== undefined) {
+        updates.icon = sanitizeInput(changes.icon).trim().slice(0, 4);
+    }
+    if (changes.color !== undefined && /^#[0-9a-fA-F]{6}$/.test(changes.color)) {
+        updates.color = changes.color;
+    }
+    if (changes.type !== undefined) {
+        const measure = normalizeMeasure(changes);
+        if (!measure) {
+            showAlert(t('activities.invalidTarget'));
+            return false;
+        }
+        Object.assign(updates, measure);
+    }
+    if (changes.schedule !== undefined) {
+        const schedule = normalizeSchedule(changes.schedule);
+        if (!schedule) {
+            showAlert(t('activities.invalidSchedule'));
+            return false;
+        }
+        updates.schedule = schedule;
+    }
+    if (changes.reminderTime !== undefined) {
+        updates.reminderTime = normalizeTime(changes.reminderTime);
+    }
+    if (changes.category !== undefined) {
+        updates.category = normalizeCategory(changes.category);
+    }
+    if (changes.tags !== undefined) {
+        updates.tags = normalizeTags(changes.tags);
+    }
+    if (changes.timeOfDay !== undefined) {
+        updates.timeOfDay = normalizeTimeOfDay(changes.timeOfDay);
+    }
+    if (changes.pauses !== undefined) {
+        const pauses = normalizePauses(changes.pauses);
+        if (!pauses) {
+            showAlert(t('activities.invalidPauses'));
+            return false;
+        }
+        updates.pauses = pauses;
+    }
+    
+    // Switching between check and measure converts the logged values too
+    const convertedDates = updates.type !== undefined && updates.type !== activity.type
+        ? Object.keys(data.dailyData).filter(date => data.dailyData[date][id] !== undefined)
+        : [];
+    
+    const changed = Object.keys(updates).some(key => JSON.stringify(updates[key]) !== JSON.stringify(activity[key]));
+    if (changed) {
+        recordAction(t('actions.edited', { name: updates.name || activity.name }),
+            [['activities', id]].concat(convertedDates.map(date => ['dailyData', date])));
+        const previousTarget = activity.target;
+        Object.assign(activity, updates);
+        convertedDates.forEach(date => {
+            data.dailyData[date][id] = convertEntryValue(data.dailyData[date][id], activity, previousTarget);
+        });
+    }
+    saveData(data, convertedDates);
     renderActivities();
-    updateProgress();
-    updateWeeklyStats();
-    updateMonthlyStats();
-    updateStreakDisplay();
-    generateCalendar();
+    refreshStats();
+    return true;
+}
+
+// Rename activity in place
+function renameActivity(id, newName) {
+    return updateActivity(id, { name: newName });
+}
+
+// Delete activity and its history, after an in-app confirmation
+function deleteActivity(id) {
+    const activity = getActivityById(getData(), id);
+    if (!activity) return;
+    
+    showConfirm(t('activities.deleteConfirm', { name: activity.name }), {
+        title: t('activities.deleteTitle'),
+        detail: t('activities.deleteDetail'),
+        confirmLabel: t('common.delete'),
+        danger: true
+    }).then(confirmed => {
+        if (confirmed) removeActivity(id);
+    });
 }
 
-// Toggle activity completion
-function toggleActivity(activityName) {
+function removeActivity(id) {
     const data = getData();
-    const today = getTodayDate();
+    const activity = getActivityById(data, id);
+    if (!activity) return;
     
-    if (!data.dailyData[today]) {
-        data.dailyData[today] = {};
-    }
+    // The activity and every day that mentions it
+    const paths = [['activities', id]];
+    PER_DAY_FIELDS.forEach(field => {
+        Object.keys(data[field]).forEach(date => {
+            if (data[field][date][id] !== undefined) paths.push([field, date]);
+        });
+    });
+    recordAction(t('actions.deleted', { name: activity.name }), paths);
+    data.activities = data.activities.filter(a => a.id !== id);
     
-    const currentStatus = data.dailyData[today][activityName] || false;
-    data.dailyData[today][activityName] = !currentStatus;
+    Object.keys(data.dailyData).forEach(date => {
+        if (data.dailyData[date][id] !== undefined) {
+            delete data.dailyData[date][id];
+        }
+    });
+    ['notes', 'skips'].forEach(field => {
+        Object.keys(data[field]).forEach(date => {
+            delete data[field][date][id];
+            if (Object.keys(data[field][date]).length === 0) delete data[field][date];
+        });
+    });
     
     saveData(data);
-    updateProgress();
-    updateWeeklyStats();
-    updateMonthlyStats();
-    updateStreakDisplay();
-    generateCalendar();
+    renderActivities();
+    refreshStats();
 }
 
-// Get activity completion status for today
-function getActivityStatus(activityName) {
+// Stop tracking an activity but keep its history
+function archiveActivity(id) {
     const data = getData();
-    const today = getTodayDate();
-    
-    if (!data.dailyData[today]) {
-        return false;
-    }
+    const activity = getActivityById(data, id);
+    if (!activity || activity.archivedAt) return;
     
-    return data.dailyData[today][activityName] || false;
+    recordAction(t('actions.archived', { name: activity.name }), [['activities', id]]);
+    activity.archivedAt = getTodayDate();
+    saveData(data, []);
+    renderActivities();
+    refreshStats();
 }
 
-// ==================== PROGRESS CALCULATION ====================
-
-function calculateProgress() {
+// Track an archived activity again. The archived span becomes a pause,
+// so those days don't count as missed.
+function restoreActivity(id) {
     const data = getData();
-    const today = getTodayDate();
-    const activities = data.activities;
+    const activity = getActivityById(data, id);
+    if (!activity || !activity.archivedAt) return;
     
-    if (activities.length === 0) {
-        return 0;
+    recordAction(t('actions.restored', { name: activity.name }), [['activities', id]]);
+    const yesterday = addDays(getTodayDate(), -1);
+    if (activity.archivedAt <= yesterday) {
+        activity.pauses = normalizePauses(activity.pauses.concat({ start: activity.archivedAt, end: yesterday }));
     }
-    
-    let completed = 0;
-    const todayData = data.dailyData[today] || {};
-    
-    activities.forEach(activity => {
-        if (todayData[activity] === true) {
-            completed++;
-        }
-    });
-    
-    return Math.round((completed / activities.length) * 100);
+    activity.archivedAt = null;
+    saveData(data, []);
+    renderActivities();
+    refreshStats();
 }
 
-// Throttled progress update for better performance
-const updateProgressThrottled = throttle(function() {
-    const percentage = calculateProgress();
-    const progressFill = document.getElementById('progressFill');
-    const percentageText = document.getElementById('percentageText');
-    
-    if (progressFill && percentageText) {
-        requestAnimationFrame(() => {
-            progressFill.style.width = percentage + '%';
-            percentageText.textContent = percentage + '% completed';
-        });
+// Validate activity type fields; measurable activities need a positive target
+function normalizeMeasure(options) {
+    if (options.type !== 'measure') {
+        return { type: 'check', target: 1, unit: '', step: 1 };
     }
-}, 100);
+    const target = parseFloat(options.target);
+    const step = parseFloat(options.step) || 1;
+    if (!(target > 0) || target > 1000000 || !(step > 0)) return null;
+    return {
+        type: 'measure',
+        target,
+        unit: sanitizeInput(options.unit || '').trim().slice(0, 20),
+        step
+    };
+}
 
-function updateProgress() {
-    updateProgressThrottled();
+// Whether check-ins on a date may be changed: never in the future,
+// and only within the backfill window when one is configured
+function canEditDate(data, date) {
+    const today = getTodayDate();
+    if (!isValidDateKey(date) || date > today) return false;
+    const backfillDays = data.settings.backfillDays || 0;
+    return backfillDays === 0 || diffDays(date, today) <= backfillDays;
 }
 
-// ==================== STATISTICS CALCULATION ====================
+// Explanation shown when a date can't be edited
+function getLockedDateMessage(date) {
+    return date > getTodayDate() ? t('day.futureLocked') : t('day.outsideBackfill');
+}
 
-function calculateSuccessPercentage(dateRange) {
+// Store a value for an activity on a date (true/false or a number)
+function setActivityValue(activityId, value, date = getTodayDate()) {
     const data = getData();
-    const activities = data.activities;
+    const activity = getActivityById(data, activityId);
+    if (!activity) return false;
     
-    if (activities.length === 0 || dateRange.length === 0) {
-        return { completedDays: 0, overall: 0 };
+    if (!canEditDate(data, date)) {
+        showAlert(getLockedDateMessage(date));
+        return false;
     }
     
-    let daysWithData = 0;
-    let completedDays = 0;
-    let totalDayPercentage = 0;
+    const dayData = data.dailyData[date];
+    if (dayData && dayData[activityId] === value) return true;
     
-    dateRange.forEach(date => {
-        const dayData = data.dailyData[date] || {};
-        let dayCompleted = 0;
-        let hasData = false;
-        
-        activities.forEach(activity => {
-            if (dayData[activity] === true) {
-                dayCompleted++;
-            }
-            if (dayData[activity] !== undefined) {
-                hasData = true;
-            }
-        });
-        
-        if (hasData) {
-            daysWithData++;
-            const dayPercentage = (dayCompleted / activities.length) * 100;
-            totalDayPercentage += dayPercentage;
-            
-            if (dayPercentage === 100) {
-                completedDays++;
-            }
-        }
-    });
+    const action = activity.type === 'measure'
+        ? t('actions.setValue', { name: activity.name, value: `${value}${activity.unit ? ' ' + activity.unit : ''}` })
+        : t(value ? 'actions.checkedOff' : 'actions.unchecked', { name: activity.name });
+    recordAction(date === getTodayDate() ? action : t('actions.onDate', { action, date: formatShortDate(date) }),
+        [['activities', activityId], ['dailyData', date], ['skips', date]]);
     
-    const overall = daysWithData > 0 ? Math.round(totalDayPercentage / daysWithData) : 0;
+    if (!data.dailyData[date]) {
+        data.dailyData[date] = {};
+    }
     
-    return { completedDays, overall };
+    data.dailyData[date][activityId] = value;
+    clearSkip(data, activityId, date);
+    
+    // Backfilling before an activity existed moves its start back (not its schedule anchor)
+    if (activity.createdAt > date) {
+        activity.createdAt = date;
+    }
+    
+    saveData(data, [date]);
+    renderActivities();
+    refreshStats();
+    announce(describeDayProgress(data, date));
+    return true;
 }
 
-function calculateWeeklyStats() {
-    const weekDates = getWeekDates();
-    return calculateSuccessPercentage(weekDates);
+// Toggle activity completion (today unless a date is given)
+function toggleActivity(activityId, date = getTodayDate()) {
+    const data = getData();
+    const currentStatus = (data.dailyData[date] && data.dailyData[date][activityId]) || false;
+    return setActivityValue(activityId, !currentStatus, date);
 }
 
-function calculateMonthlyStats() {
-    const monthDates = getMonthDates();
-    return calculateSuccessPercentage(monthDates);
+// Add to (or subtract from) a measurable activity's value
+function incrementActivity(activityId, direction, date = getTodayDate()) {
+    const data = getData();
+    const activity = getActivityById(data, activityId);
+    if (!activity) return false;
+    
+    const current = getEntryValue(data, activity, date);
+    const next = Math.max(0, Math.round((current + direction * activity.step) * 100) / 100);
+    return setActivityValue(activityId, next, date);
 }
 
-function updateWeeklyStats() {
-    const stats = calculateWeeklyStats();
-    const completedDaysEl = document.getElementById('weeklyCompletedDays');
-    const overallEl = document.getElementById('weeklyOverall');
-    
-    if (completedDaysEl) completedDaysEl.textContent = stats.completedDays;
-    if (overallEl) overallEl.textContent = stats.overall + '%';
+// Whether a day was skipped for an activity
+function isDaySkipped(data, activityId, date) {
+    return !!(data.skips[date] && data.skips[date][activityId]);
 }
 
-function updateMonthlyStats() {
-    const stats = calculateMonthlyStats();
-    const monthDates = getMonthDates();
-    const completedDaysEl = document.getElementById('monthlyCompletedDays');
-    const totalDaysEl = document.getElementById('monthlyTotalDays');
-    const overallEl = document.getElementById('monthlyOverall');
-    
-    if (completedDaysEl) completedDaysEl.textContent = stats.completedDays;
-    if (totalDaysEl) totalDaysEl.textContent = monthDates.length;
-    if (overallEl) overallEl.textContent = stats.overall + '%';
+function clearSkip(data, activityId, date) {
+    if (!isDaySkipped(data, activityId, date)) return;
+    delete data.skips[date][activityId];
+    if (Object.keys(data.skips[date]).length === 0) delete data.skips[date];
 }
 
-function updateStreakDisplay() {
+// Mark (or unmark) a day as skipped. Skipped days count as neither done
+// nor missed, so any value logged that day is cleared.
+function setDaySkipped(activityId, skipped, date = getTodayDate()) {
     const data = getData();
-    const currentStreakEl = document.getElementById('currentStreak');
-    if (currentStreakEl) {
-        currentStreakEl.textContent = data.currentStreak || 0;
+    const activity = getActivityById(data, activityId);
+    if (!activity) return false;
+    
+    if (!canEditDate(data, date)) {
+        showAlert(getLockedDateMessage(date));
+        return false;
+    }
+    
+    const action = t(skipped ? 'actions.skipped' : 'actions.unskipped', { name: activity.name });
+    recordAction(date === getTodayDate() ? action : t('actions.onDate', { action, date: formatShortDate(date) }),
+        [['dailyData', date], ['skips', date]]);
+    if (skipped) {
+        if (!data.skips[date]) data.skips[date] = {};
+        data.skips[date][activityId] = true;
+        if (data.dailyData[date]) delete data.dailyData[date][activityId];
+    } else {
+        clearSkip(data, activityId, date);
     }
+    
+    saveData(data, [date]);
+    renderActivities();
+    refreshStats();
+    announce(describeDayProgress(data, date));
+    return true;
 }
 
-// ==================== RENDERING ====================
-
+// Get activity completion status for today
+function getActivityStatus(activityId) {
+    const data = getData();
+    const today = getTodayDate();
+    
+    if (!data.dailyData[today]) {
+        return false;
+    }
+    
+    return data.dailyData[today][activityId] || false;
+}
+
+// ==================== CATEGORIES & TAGS ====================
+
+const MAX_CATEGORY_LENGTH = 30;
+const MAX_TAGS = 10;
+// Offered in the category field, translated as categories.<key>; any
+// other name can be typed
+const SUGGESTED_CATEGORIES = ['health', 'fitness', 'learning', 'spiritual', 'mindfulness', 'productivity', 'social', 'chores'];
+
+// Activity being dragged, since drag data can't be read during dragover
+let draggedActivityId = null;
+
+function normalizeCategory(value) {
+    return sanitizeInput(value || '').trim().replace(/\s+/g, ' ').slice(0, MAX_CATEGORY_LENGTH);
+}
+
+// Tags from an array or comma-separated text: lowercase, without "#", unique
+function normalizeTags(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const tags = [];
+    list.forEach(tag => {
+        const clean = normalizeCategory(typeof tag === 'string' ? tag : '').replace(/^#+/, '').toLowerCase();
+        if (clean && !tags.includes(clean) && tags.length < MAX_TAGS) {
+            tags.push(clean);
+        }
+    });
+    return tags;
+}
+
+// Group activities by category in order of first appearance, with
+// uncategorized ones last
+function groupActivities(activities) {
+    const groups = [];
+    const byCategory = new Map();
+    activities.forEach(activity => {
+        const category = activity.category || '';
+        if (!byCategory.has(category)) {
+            const group = { category, activities: [] };
+            byCategory.set(category, group);
+            groups.push(group);
+        }
+        byCategory.get(category).activities.push(activity);
+    });
+    return groups.filter(group => group.category).concat(groups.filter(group => !group.category));
+}
+
+// Category names in use, plus the suggestions, for the category field
+function getCategoryNames(data) {
+    const names = data.activities.map(activity => activity.category).filter(Boolean);
+    return Array.from(new Set(names.concat(SUGGESTED_CATEGORIES.map(key => t(`categories.${key}`)))));
+}
+
+function getAllTags(data) {
+    const tags = new Set();
+    data.activities.forEach(activity => {
+        if (!activity.archivedAt) activity.tags.forEach(tag => tags.add(tag));
+    });
+    return Array.from(tags).sort();
+}
+
+function getCollapsedCategories(data) {
+    const collapsed = data.settings.collapsedCategories;
+    return Array.isArray(collapsed) ? collapsed : [];
+}
+
+// Collapse or expand a category group in the activity list
+function toggleCategoryCollapsed(category) {
+    const data = getData();
+    const collapsed = getCollapsedCategories(data);
+    data.settings.collapsedCategories = collapsed.includes(category)
+        ? collapsed.filter(name => name !== category)
+        : collapsed.concat(category);
+    saveData(data, []);
+    renderActivities();
+}
+
+// Move an activity next to another one in the same group
+function reorderActivity(id, targetId, placeAfter) {
+    const data = getData();
+    const activity = getActivityById(data, id);
+    const target = getActivityById(data, targetId);
+    if (!activity || !target || activity === target || !inSameGroup(activity, target)) return;
+    
+    const reordered = data.activities.filter(a => a !== activity);
+    reordered.splice(reordered.indexOf(target) + (placeAfter ? 1 : 0), 0, activity);
+    if (reordered.every((a, index) => a === data.activities[index])) return;
+    
+    recordAction(t('actions.moved', { name: activity.name }), [['activities']]);
+    data.activities = reordered;
+    saveData(data, []);
+    renderActivities();
+}
+
+// Keyboard reordering: swap with the previous (-1) or next (1) activity
+// shown in the same group, then keep focus on the moved activity's handle
+function moveActivity(id, direction) {
+    const data = getData();
+    const activity = getActivityById(data, id);
+    if (!activity) return;
+    
+    const tag = getSelectedTag();
+    const siblings = data.activities.filter(a => !a.archivedAt && inSameGroup(a, activity) && (!tag || a.tags.includes(tag)));
+    const neighbor = siblings[siblings.indexOf(activity) + direction];
+    if (!neighbor) return;
+    
+    reorderActivity(id, neighbor.id, direction > 0);
+    const row = Array.from(document.querySelectorAll('#activityList li')).find(li => li.dataset.id === id);
+    const handle = row && row.querySelector('.drag-handle');
+    if (handle) handle.focus();
+}
+
+function getSelectedTag() {
+    const select = document.getElementById('tagFilter');
+    return select ? select.value : '';
+}
+
+// Fill the tag filter; returns the selected tag ('' for all)
+function renderTagFilter(data) {
+    const select = document.getElementById('tagFilter');
+    if (!select) return '';
+    
+    const tags = getAllTags(data);
+    const selected = select.value;
+    select.innerHTML = '';
+    select.hidden = tags.length === 0;
+    
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = t('activities.allTags');
+    select.appendChild(allOption);
+    
+    tags.forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = `#${tag}`;
+        select.appendChild(option);
+    });
+    
+    select.value = tags.includes(selected) ? selected : '';
+    return select.value;
+}
+
+// Suggestions for the category inputs
+function renderCategoryOptions(data) {
+    const datalist = document.getElementById('categoryOptions');
+    if (!datalist) return;
+    
+    datalist.innerHTML = '';
+    getCategoryNames(data).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        datalist.appendChild(option);
+    });
+}
+
+// Build category and tag inputs; returns the element and a reader for its values
+function createCategoryFields(activity) {
+    const container = document.createElement('div');
+    container.className = 'category-fields';
+    
+    const categoryInput = document.createElement('input');
+    categoryInput.type = 'text';
+    categoryInput.className = 'category-input';
+    categoryInput.value = activity ? activity.category : '';
+    categoryInput.maxLength = MAX_CATEGORY_LENGTH;
+    categoryInput.placeholder = t('editor.categoryPlaceholder');
+    categoryInput.setAttribute('list', 'categoryOptions');
+    categoryInput.setAttribute('aria-label', t('editor.category'));
+    
+    const tagsInput = document.createElement('input');
+    tagsInput.type = 'text';
+    tagsInput.className = 'tags-input';
+    tagsInput.value = activity ? activity.tags.join(', ') : '';
+    tagsInput.placeholder = t('editor.tagsPlaceholder');
+    tagsInput.setAttribute('aria-label', t('editor.tags'));
+    
+    container.appendChild(categoryInput);
+    container.appendChild(tagsInput);
+    
+    return {
+        element: container,
+        getValues() {
+            return { category: categoryInput.value, tags: tagsInput.value };
+        },
+        reset() {
+            categoryInput.value = '';
+            tagsInput.value = '';
+        }
+    };
+}
+
+// Group header in the activity list with today's completion and a collapse toggle
+function createCategoryHeader(data, group, collapsed, date) {
+    const li = document.createElement('li');
+    li.className = 'category-header';
+    
+    const toggle = document.createElement('button');
+    toggle.className = 'category-toggle';
+    toggle.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+    toggle.textContent = `${collapsed ? '▸' : '▾'} ${group.category || t('groups.uncategorized')}`;
+    toggle.addEventListener('click', () => toggleCategoryCollapsed(group.category));
+    
+    const summary = getDaySummary(data, date, group.activities);
+    const count = document.createElement('span');
+    count.className = 'category-count';
+    count.textContent = summary.due > 0 ? t('groups.doneCount', summary) : t('groups.nothingDue');
+    
+    li.appendChild(toggle);
+    li.appendChild(count);
+    return li;
+}
+
+// Handle for reordering by drag and drop, or with the arrow keys when focused
+function createDragHandle(li, activity) {
+    const handle = document.createElement('button');
+    handle.className = 'drag-handle';
+    handle.textContent = '⋮⋮';
+    handle.draggable = true;
+    handle.title = t('activities.dragTitle');
+    handle.setAttribute('aria-label', t('activities.reorder', { name: activity.name }));
+    
+    handle.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            moveActivity(activity.id, e.key === 'ArrowUp' ? -1 : 1);
+        }
+    });
+    handle.addEventListener('dragstart', (e) => {
+        draggedActivityId = activity.id;
+        li.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', activity.id);
+        if (e.dataTransfer.setDragImage) e.dataTransfer.setDragImage(li, 20, 20);
+    });
+    handle.addEventListener('dragend', () => {
+        draggedActivityId = null;
+        li.classList.remove('dragging');
+    });
+    
+    return handle;
+}
+
+// Let an activity row accept drops from others in the same group
+function makeDropTarget(li, activity) {
+    const clear = () => li.classList.remove('drop-before', 'drop-after');
+    
+    li.addEventListener('dragover', (e) => {
+        const dragged = draggedActivityId && getActivityById(getData(), draggedActivityId);
+        if (!dragged || dragged.id === activity.id || !inSameGroup(dragged, activity)) return;
+        e.preventDefault();
+        const rect = li.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        li.classList.toggle('drop-after', after);
+        li.classList.toggle('drop-before', !after);
+    });
+    li.addEventListener('dragleave', clear);
+    li.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const after = li.classList.contains('drop-after');
+        clear();
+        if (draggedActivityId) reorderActivity(draggedActivityId, activity.id, after);
+    });
+}
+
+// Labelled completion bars, e.g. per category under the progress bar.
+// rows are { label, percentage, current }; the current one is highlighted.
+function renderCompletionBars(container, rows) {
+    container.innerHTML = '';
+    container.hidden = rows.length === 0;
+    
+    rows.forEach(row => {
+        const item = document.createElement('div');
+        item.className = 'completion-bar' + (row.current ? ' current' : '');
+        
+        const name = document.createElement('span');
+        name.className = 'completion-bar-name';
+        name.textContent = row.label;
+        
+        const track = document.createElement('span');
+        track.className = 'completion-bar-track';
+        const fill = document.createElement('span');
+        fill.className = 'completion-bar-fill';
+        fill.style.width = `${Math.round(row.percentage)}%`;
+        track.appendChild(fill);
+        
+        const value = document.createElement('span');
+        value.className = 'completion-bar-value';
+        value.textContent = `${Math.round(row.percentage)}%`;
+        
+        item.appendChild(name);
+        item.appendChild(track);
+        item.appendChild(value);
+        container.appendChild(item);
+    });
+}
+
+// Groups worth a breakdown: only when at least one category is set
+function getCategoryGroups(data) {
+    const groups = groupActivities(data.activities.filter(activity => !activity.archivedAt));
+    return groups.some(group => group.category) ? groups : [];
+}
+
+// Today's completion per category, under the progress bar
+function renderCategoryProgress(data) {
+    const container = document.getElementById('categoryProgress');
+    if (!container) return;
+    
+    const today = getTodayDate();
+    const rows = [];
+    getCategoryGroups(data).forEach(group => {
+        const summary = getDaySummary(data, today, group.activities);
+        if (summary.due > 0) {
+            rows.push({ label: group.category || t('groups.uncategorized'), percentage: summary.percentage });
+        }
+    });
+    renderCompletionBars(container, rows);
+}
+
+// Average completion per category over a date range, for the summaries
+function renderCategoryStats(containerId, dates) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const data = getData();
+    const rows = [];
+    getCategoryGroups(data).forEach(group => {
+        const stats = calculateSuccessPercentage(dates, group.activities);
+        if (stats.daysWithData > 0) {
+            rows.push({ label: group.category || t('groups.uncategorized'), percentage: stats.overall });
+        }
+    });
+    renderCompletionBars(container, rows);
+}
+
+// ==================== TIME OF DAY ====================
+
+// Routines an activity can belong to; start is the hour the block begins.
+// Activities without one can be done anytime.
+// Labels are translated as timeBlocks.<id>.
+const TIME_BLOCKS = [
+    { id: 'morning', icon: '🌅', start: 5 },
+    { id: 'afternoon', icon: '☀️', start: 12 },
+    { id: 'evening', icon: '🌙', start: 17 }
+];
+
+function normalizeTimeOfDay(value) {
+    return TIME_BLOCKS.some(block => block.id === value) ? value : '';
+}
+
+function getTimeBlock(id) {
+    return TIME_BLOCKS.find(block => block.id === id) || null;
+}
+
+function getTimeBlockLabel(id) {
+    const block = getTimeBlock(id);
+    return block ? `${block.icon} ${t('timeBlocks.' + block.id)}` : t('timeBlocks.anytime');
+}
+
+// Block the current hour falls in; the small hours still count as evening
+function getCurrentTimeBlock(now = new Date()) {
+    const hour = now.getHours();
+    let current = TIME_BLOCKS[TIME_BLOCKS.length - 1].id;
+    TIME_BLOCKS.forEach(block => {
+        if (hour >= block.start) current = block.id;
+    });
+    return current;
+}
+
+// Activities per block in the order of the day, "anytime" ones last
+function groupByTimeBlock(activities) {
+    return TIME_BLOCKS.map(block => block.id).concat('').map(id => ({
+        id,
+        activities: activities.filter(activity => (activity.timeOfDay || '') === id)
+    })).filter(group => group.activities.length > 0);
+}
+
+// Activities share a list group (and can be reordered among each other)
+// when both their block and category match
+function inSameGroup(a, b) {
+    return a.category === b.category && a.timeOfDay === b.timeOfDay;
+}
+
+// "Evening routine (2), Anytime (1)" for pending activities, or '' when
+// none of them belongs to a routine
+function describePendingRoutines(activities) {
+    if (!activities.some(activity => activity.timeOfDay)) return '';
+    return groupByTimeBlock(activities).map(group => {
+        const block = getTimeBlock(group.id);
+        const name = block ? t('timeBlocks.routine', { name: t('timeBlocks.' + block.id) }) : t('timeBlocks.anytime');
+        return `${name} (${group.activities.length})`;
+    }).join(', ');
+}
+
+// Select for an activity's block; returns the element and a reader for its value
+function createTimeOfDayField(timeOfDay) {
+    const container = document.createElement('label');
+    container.className = 'time-of-day-field';
+    container.appendChild(document.createTextNode(t('timeBlocks.label')));
+    
+    const select = document.createElement('select');
+    [''].concat(TIME_BLOCKS.map(block => block.id)).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = getTimeBlockLabel(id);
+        select.appendChild(option);
+    });
+    select.value = normalizeTimeOfDay(timeOfDay);
+    container.appendChild(select);
+    
+    return {
+        element: container,
+        getValue() {
+            return select.value;
+        },
+        reset() {
+            select.value = '';
+        }
+    };
+}
+
+// Block header in the activity list; the block we're in now is highlighted
+function createTimeBlockHeader(data, group, isCurrent, date) {
+    const li = document.createElement('li');
+    li.className = 'time-block-header' + (isCurrent ? ' current' : '');
+    
+    const title = document.createElement('span');
+    title.className = 'time-block-title';
+    title.textContent = getTimeBlockLabel(group.id);
+    li.appendChild(title);
+    
+    if (isCurrent) {
+        const badge = document.createElement('span');
+        badge.className = 'time-block-now';
+        badge.textContent = t('timeBlocks.now');
+        title.appendChild(badge);
+    }
+    
+    const summary = getDaySummary(data, date, group.activities);
+    const count = document.createElement('span');
+    count.className = 'category-count';
+    count.textContent = summary.due > 0 ? t('groups.doneCount', summary) : t('groups.nothingDue');
+    li.appendChild(count);
+    
+    return li;
+}
+
+// Today's completion per block, under the progress bar
+function renderTimeBlockProgress(data) {
+    const container = document.getElementById('timeBlockProgress');
+    if (!container) return;
+    
+    const today = getTodayDate();
+    const current = getCurrentTimeBlock();
+    const activities = data.activities.filter(activity => !activity.archivedAt);
+    const rows = [];
+    if (activities.some(activity => activity.timeOfDay)) {
+        groupByTimeBlock(activities).forEach(group => {
+            const summary = getDaySummary(data, today, group.activities);
+            if (summary.due > 0) {
+                rows.push({ label: getTimeBlockLabel(group.id), percentage: summary.percentage, current: group.id === current });
+            }
+        });
+    }
+    renderCompletionBars(container, rows);
+}
+
+// ==================== SUGGESTIONS & TEMPLATES ====================
+
+// Version of the starter pack file format
+const PACK_FORMAT_VERSION = 1;
+const MAX_TEMPLATES = 50;
+const MAX_PACKS = 20;
+
+// Built-in suggestions, grouped by category. They have the same shape as
+// templates the user saves; anything left out gets the usual defaults.
+// Names are translated by `key` (suggestions.<key>), categories by
+// categories.<category> and units by units.<unit>. The key is kept on
+// activities added from the library, so it stays "added" in every language.
+const SUGGESTION_LIBRARY = [
+    { key: 'gym', icon: '🏋️', category: 'fitness', schedule: { type: 'weekly', times: 3 } },
+    { key: 'walk', icon: '🏃', category: 'fitness' },
+    { key: 'stretching', icon: '🤸', category: 'fitness', timeOfDay: 'morning' },
+    { key: 'steps', icon: '👟', category: 'fitness', type: 'measure', target: 10000, unit: 'steps', step: 1000 },
+    { key: 'water', icon: '💧', category: 'health', type: 'measure', target: 8, unit: 'glasses' },
+    { key: 'vitamins', icon: '💊', category: 'health', timeOfDay: 'morning' },
+    { key: 'sleep', icon: '😴', category: 'health', timeOfDay: 'evening' },
+    { key: 'reading', icon: '📚', category: 'learning', type: 'measure', target: 20, unit: 'pages', step: 5 },
+    { key: 'coding', icon: '💻', category: 'learning' },
+    { key: 'study', icon: '📝', category: 'learning' },
+    { key: 'skill', icon: '🎯', category: 'learning', schedule: { type: 'weekly', times: 3 } },
+    { key: 'language', icon: '🗣️', category: 'learning', type: 'measure', target: 15, unit: 'min', step: 5 },
+    { key: 'prayer', icon: '🕌', category: 'spiritual', type: 'measure', target: 5, unit: 'prayers' },
+    { key: 'gratitude', icon: '🙏', category: 'spiritual', timeOfDay: 'evening' },
+    { key: 'meditation', icon: '🧘', category: 'mindfulness', type: 'measure', target: 10, unit: 'min', step: 5, timeOfDay: 'morning' },
+    { key: 'noPhone', icon: '📵', category: 'mindfulness', timeOfDay: 'evening' },
+    { key: 'planTomorrow', icon: '🗓️', category: 'productivity', timeOfDay: 'evening' },
+    { key: 'inbox', icon: '📥', category: 'productivity', schedule: { type: 'weekdays', days: [1, 2, 3, 4, 5] } },
+    { key: 'callFamily', icon: '📞', category: 'social', schedule: { type: 'weekly', times: 2 } },
+    { key: 'tidy', icon: '🧹', category: 'chores' }
+];
+
+// A library suggestion as a template in the current language
+function getLibraryTemplate(key) {
+    const entry = SUGGESTION_LIBRARY.find(item => item.key === key);
+    return Object.assign({}, entry, {
+        name: t(`suggestions.${entry.key}`),
+        category: t(`categories.${entry.category}`),
+        unit: entry.unit ? t(`units.${entry.unit}`) : '',
+        suggestionKey: entry.key
+    });
+}
+
+// A library key, or '' for anything else
+function normalizeSuggestionKey(value) {
+    return SUGGESTION_LIBRARY.some(item => item.key === value) ? value : '';
+}
+
+// Whether a template is already tracked, by library key or by name
+function isTemplateAdded(data, template) {
+    return !!findActivityByName(data, template.name) ||
+        (!!template.suggestionKey && data.activities.some(activity => activity.suggestionKey === template.suggestionKey));
+}
+
+// Built-in packs are named by their `key` in the translations (packs.<key>
+// and packs.<key>Description) and list library keys; imported packs carry
+// their own name and templates
+const STARTER_PACKS = [
+    { id: 'starter-health', key: 'health', suggestions: ['water', 'walk', 'sleep'] },
+    { id: 'starter-morning', key: 'morning', suggestions: ['stretching', 'meditation', 'vitamins'] },
+    { id: 'starter-learning', key: 'learning', suggestions: ['reading', 'language', 'coding'] },
+    { id: 'starter-evening', key: 'evening', suggestions: ['gratitude', 'planTomorrow', 'noPhone'] }
+];
+
+function getPackName(pack) {
+    return pack.key ? t(`packs.${pack.key}`) : pack.name;
+}
+
+function getPackTemplates(pack) {
+    return pack.key ? pack.suggestions.map(getLibraryTemplate) : pack.templates;
+}
+
+function getPackDescription(pack) {
+    return pack.key ? t(`packs.${pack.key}Description`) : pack.description;
+}
+
+// Clean a template (or an activity, to save it as one); null when invalid
+function normalizeTemplate(item) {
+    if (!item || typeof item !== 'object') return null;
+    const name = validateActivityName(item.name);
+    const schedule = normalizeSchedule(item.schedule || { type: 'daily' });
+    const measure = normalizeMeasure(item);
+    if (!name || !schedule || !measure) return null;
+    
+    return Object.assign({
+        name,
+        icon: sanitizeInput(item.icon || '').trim().slice(0, 4),
+        color: /^#[0-9a-fA-F]{6}$/.test(item.color) ? item.color : '',
+        description: sanitizeInput(item.description || '').trim().slice(0, 300),
+        category: normalizeCategory(item.category),
+        tags: normalizeTags(item.tags),
+        timeOfDay: normalizeTimeOfDay(item.timeOfDay),
+        schedule
+    }, measure);
+}
+
+// Clean a starter pack; templates with invalid or repeated names are dropped
+function normalizePack(item) {
+    if (!item || typeof item !== 'object' || !Array.isArray(item.templates)) return null;
+    const name = validateActivityName(item.name);
+    if (!name) return null;
+    
+    const templates = [];
+    item.templates.slice(0, MAX_ACTIVITIES).forEach(entry => {
+        const template = normalizeTemplate(entry);
+        if (template && !templates.some(t => t.name === template.name)) {
+            templates.push(template);
+        }
+    });
+    if (templates.length === 0) return null;
+    
+    return {
+        id: typeof item.id === 'string' && item.id ? item.id : generateId(),
+        name,
+        description: sanitizeInput(item.description || '').trim().slice(0, 300),
+        templates
+    };
+}
+
+// Short summary of what a template sets up, e.g. "3× per week · 8 glasses"
+function describeTemplate(template) {
+    const parts = [describeSchedule(normalizeSchedule(template.schedule || { type: 'daily' }))];
+    if (template.type === 'measure') {
+        parts.push(`${template.target}${template.unit ? ' ' + template.unit : ''}`);
+    }
+    if (template.timeOfDay) {
+        parts.push(getTimeBlockLabel(template.timeOfDay));
+    }
+    return parts.join(' · ');
+}
+
+// Save a template under its name, replacing one with the same name
+function saveTemplate(item) {
+    const template = normalizeTemplate(item);
+    if (!template) {
+        showAlert(t('templates.invalid'));
+        return false;
+    }
+    
+    const data = getData();
+    const existing = data.templates.findIndex(t => t.name === template.name);
+    if (existing === -1 && data.templates.length >= MAX_TEMPLATES) {
+        showAlert(t('templates.max', { max: MAX_TEMPLATES }));
+        return false;
+    }
+    
+    recordAction(t('actions.savedTemplate', { name: template.name }), [['templates']]);
+    if (existing === -1) {
+        data.templates.push(template);
+    } else {
+        data.templates[existing] = template;
+    }
+    saveData(data, []);
+    renderSuggestions();
+    return true;
+}
+
+function removeTemplate(name) {
+    const data = getData();
+    if (!data.templates.some(t => t.name === name)) return;
+    
+    recordAction(t('actions.removedTemplate', { name }), [['templates']]);
+    data.templates = data.templates.filter(t => t.name !== name);
+    saveData(data, []);
+    renderSuggestions();
+}
+
+// Add every activity of a pack that isn't tracked yet, as one undo step
+function addPack(pack) {
+    const data = getData();
+    const draft = { activities: data.activities.slice() };
+    let added = 0;
+    
+    getPackTemplates(pack).forEach(template => {
+        if (isTemplateAdded(draft, template)) return;
+        const result = buildNewActivity(draft, template.name, template);
+        if (result.activity) {
+            draft.activities.push(result.activity);
+            added++;
+        }
+    });
+    
+    if (added === 0) {
+        showAlert(data.activities.length >= MAX_ACTIVITIES
+            ? t('activities.max', { max: MAX_ACTIVITIES })
+            : t('packs.allAdded', { name: getPackName(pack) }));
+        return;
+    }
+    
+    recordAction(t('actions.addedFromPack', { count: added, name: getPackName(pack) }), [['activities']]);
+    data.activities = draft.activities;
+    saveData(data, []);
+    renderActivities();
+    refreshStats();
+}
+
+function removePack(id) {
+    const data = getData();
+    const pack = data.packs.find(p => p.id === id);
+    if (!pack) return;
+    
+    recordAction(t('actions.removedPack', { name: pack.name }), [['packs']]);
+    data.packs = data.packs.filter(p => p.id !== id);
+    saveData(data, []);
+    renderSuggestions();
+}
+
+// Download a pack as a JSON file others can import
+function exportPack(pack) {
+    const payload = {
+        app: 'tickora',
+        kind: 'pack',
+        formatVersion: PACK_FORMAT_VERSION,
+        name: getPackName(pack),
+        description: getPackDescription(pack),
+        templates: getPackTemplates(pack).map(normalizeTemplate).filter(Boolean)
+    };
+    const slug = payload.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pack';
+    downloadFile(`tickora-pack-${slug}.json`, JSON.stringify(payload, null, 2), 'application/json');
+}
+
+// Share the current (not archived) activities as a pack
+function exportActivitiesAsPack() {
+    const activities = getData().activities.filter(activity => !activity.archivedAt);
+    if (activities.length === 0) {
+        showAlert(t('packs.noActivities'));
+        return;
+    }
+    exportPack({ name: t('packs.myActivities'), description: '', templates: activities });
+}
+
+// Parse and validate a pack file. Returns { pack, skipped } or { error },
+// skipped being the number of templates that were dropped.
+function parsePackFile(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { error: t('import.invalidJson') };
+    }
+    
+    if (!parsed || parsed.app !== 'tickora' || parsed.kind !== 'pack') {
+        return { error: t('packs.notPack') };
+    }
+    if (parsed.formatVersion > PACK_FORMAT_VERSION) {
+        return { error: t('packs.newerVersion') };
+    }
+    
+    const pack = normalizePack(Object.assign({}, parsed, { id: null }));
+    if (!pack) return { error: t('packs.empty') };
+    return { pack, skipped: parsed.templates.length - pack.templates.length };
+}
+
+// Read a chosen pack file and, once confirmed, keep it in the pack list
+function importPackFile(file) {
+    if (!file) return;
+    if (file.size > 1000000) {
+        showAlert(t('import.tooLarge'));
+        return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        const { pack, skipped, error } = parsePackFile(String(reader.result));
+        if (error) {
+            showAlert(t('import.failed', { error }));
+            return;
+        }
+        if (getData().packs.filter(p => p.name !== pack.name).length >= MAX_PACKS) {
+            showAlert(t('packs.max', { max: MAX_PACKS }));
+            return;
+        }
+        
+        showConfirm(t('packs.importConfirm', { count: pack.templates.length, name: pack.name }), {
+            title: t('packs.importTitle'),
+            detail: skipped > 0 ? t('packs.skipped', { count: skipped }) : '',
+            confirmLabel: t('import.import')
+        }).then(confirmed => {
+            if (!confirmed) return;
+            // The packs may have changed while the dialog was open
+            const data = getData();
+            const others = data.packs.filter(p => p.name !== pack.name);
+            if (others.length >= MAX_PACKS) {
+                showAlert(t('packs.max', { max: MAX_PACKS }));
+                return;
+            }
+            recordAction(t('actions.importedPack', { name: pack.name }), [['packs']]);
+            data.packs = others.concat(pack);
+            saveData(data, []);
+            renderSuggestions();
+        });
+    };
+    reader.onerror = () => showAlert(t('import.unreadable'));
+    reader.readAsText(file);
+}
+
+// One suggestion chip with an add button (and remove, for own templates)
+function createSuggestionItem(template, removable) {
+    const span = document.createElement('span');
+    span.className = 'suggestion-item';
+    span.title = describeTemplate(template);
+    
+    const text = document.createTextNode(`${template.icon ? template.icon + ' ' : ''}${template.name} `);
+    
+    const addBtn = document.createElement('button');
+    addBtn.className = 'suggestion-add-btn';
+    addBtn.textContent = t('suggestions.add');
+    addBtn.setAttribute('aria-label', t('suggestions.addLabel', { name: template.name }));
+    addBtn.addEventListener('click', () => addActivity(template.name, template));
+    
+    span.appendChild(text);
+    span.appendChild(addBtn);
+    
+    if (removable) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'suggestion-remove-btn';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', t('suggestions.removeTemplate', { name: template.name }));
+        removeBtn.addEventListener('click', () => removeTemplate(template.name));
+        span.appendChild(removeBtn);
+    }
+    return span;
+}
+
+// Card for a starter pack listing its activities
+function createPackCard(data, pack, imported) {
+    const card = document.createElement('div');
+    card.className = 'pack-card';
+    
+    const title = document.createElement('strong');
+    title.textContent = getPackName(pack);
+    card.appendChild(title);
+    
+    const descriptionText = getPackDescription(pack);
+    if (descriptionText) {
+        const description = document.createElement('p');
+        description.className = 'pack-description';
+        description.textContent = descriptionText;
+        card.appendChild(description);
+    }
+    
+    const templates = getPackTemplates(pack);
+    const list = document.createElement('p');
+    list.className = 'pack-activities';
+    templates.forEach((template, index) => {
+        const item = document.createElement('span');
+        const added = isTemplateAdded(data, template);
+        item.className = added ? 'added' : '';
+        item.textContent = `${template.icon ? template.icon + ' ' : ''}${template.name}`;
+        if (added) item.title = t('suggestions.alreadyAdded');
+        list.appendChild(item);
+        if (index < templates.length - 1) list.appendChild(document.createTextNode(', '));
+    });
+    card.appendChild(list);
+    
+    const remaining = templates.filter(template => !isTemplateAdded(data, template)).length;
+    const buttons = document.createElement('div');
+    buttons.className = 'pack-buttons';
+    
+    const addBtn = document.createElement('button');
+    addBtn.className = 'suggestion-add-btn';
+    addBtn.textContent = remaining > 0 ? t('suggestions.addCount', { count: remaining }) : t('suggestions.allAdded');
+    addBtn.disabled = remaining === 0;
+    addBtn.addEventListener('click', () => addPack(pack));
+    buttons.appendChild(addBtn);
+    
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'edit-btn';
+    exportBtn.textContent = t('common.export');
+    exportBtn.addEventListener('click', () => exportPack(pack));
+    buttons.appendChild(exportBtn);
+    
+    if (imported) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'delete-btn';
+        removeBtn.textContent = t('common.remove');
+        removeBtn.addEventListener('click', () => removePack(pack.id));
+        buttons.appendChild(removeBtn);
+    }
+    
+    card.appendChild(buttons);
+    return card;
+}
+
+// Suggestion library by category, own templates first. Anything already
+// tracked (or archived) is left out.
+function renderSuggestions() {
+    const data = getData();
+    const suggestionsContainer = document.getElementById('suggestions');
+    if (!suggestionsContainer) return;
+    
+    const fragment = document.createDocumentFragment();
+    suggestionsContainer.innerHTML = '';
+    
+    const groups = [{ title: t('suggestions.myTemplates'), templates: data.templates, removable: true }];
+    SUGGESTION_LIBRARY.map(entry => getLibraryTemplate(entry.key)).forEach(template => {
+        let group = groups.find(g => g.title === template.category);
+        if (!group) {
+            group = { title: template.category, templates: [], removable: false };
+            groups.push(group);
+        }
+        group.templates.push(template);
+    });
+    
+    groups.forEach(group => {
+        const available = group.templates.filter(template => !isTemplateAdded(data, template));
+        if (available.length === 0) return;
+        
+        const groupEl = document.createElement('div');
+        groupEl.className = 'suggestion-group';
+        const heading = document.createElement('h3');
+        heading.textContent = group.title;
+        const items = document.createElement('div');
+        items.className = 'suggestions';
+        available.forEach(template => items.appendChild(createSuggestionItem(template, group.removable)));
+        
+        groupEl.appendChild(heading);
+        groupEl.appendChild(items);
+        fragment.appendChild(groupEl);
+    });
+    
+    if (!fragment.hasChildNodes()) {
+        const empty = document.createElement('p');
+        empty.className = 'empty-state';
+        empty.textContent = t('suggestions.allInList');
+        fragment.appendChild(empty);
+    }
+    
+    suggestionsContainer.appendChild(fragment);
+    renderStarterPacks(data);
+}
+
+function renderStarterPacks(data) {
+    const container = document.getElementById('starterPacks');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    STARTER_PACKS.forEach(pack => container.appendChild(createPackCard(data, pack, false)));
+    data.packs.forEach(pack => container.appendChild(createPackCard(data, pack, true)));
+}
+
+// ==================== NOTES & JOURNAL ====================
+
+const MAX_NOTE_LENGTH = 500;
+const MAX_JOURNAL_LENGTH = 5000;
+// Mood ratings 1-5, index 0 is mood 1
+const MOOD_EMOJIS = ['😞', '🙁', '😐', '🙂', '😄'];
+
+// Translated name of a mood rating (mood.1 is "Awful" ... mood.5 "Great")
+function getMoodLabel(mood) {
+    return t(`mood.${mood}`);
+}
+
+// Clean free text from notes and journal entries
+function normalizeText(value, maxLength) {
+    return sanitizeInput(value).trim().slice(0, maxLength);
+}
+
+// Validate a mood rating (1-5), or null when unset
+function normalizeMood(value) {
+    const mood = parseInt(value, 10);
+    return mood >= 1 && mood <= 5 ? mood : null;
+}
+
+// Note attached to an activity's check-in on a date
+function getActivityNote(data, activityId, date) {
+    return (data.notes[date] && data.notes[date][activityId]) || '';
+}
+
+// Save (or clear, when empty) the note on an activity's check-in
+function setActivityNote(activityId, text, date = getTodayDate()) {
+    const data = getData();
+    const activity = getActivityById(data, activityId);
+    if (!activity) return false;
+    
+    if (!canEditDate(data, date)) {
+        showAlert(getLockedDateMessage(date));
+        return false;
+    }
+    
+    const note = normalizeText(text, MAX_NOTE_LENGTH);
+    if (note === getActivityNote(data, activityId, date)) return true;
+    recordAction(t(note ? 'actions.savedNote' : 'actions.removedNote', { name: activity.name }), [['notes', date]]);
+    if (note) {
+        if (!data.notes[date]) data.notes[date] = {};
+        data.notes[date][activityId] = note;
+    } else if (data.notes[date]) {
+        delete data.notes[date][activityId];
+        if (Object.keys(data.notes[date]).length === 0) delete data.notes[date];
+    }
+    
+    saveData(data, [date]);
+    renderNoteSearch();
+    return true;
+}
+
+// Journal entry for a date: { mood: 1-5 or null, text }
+function getJournalEntry(data, date) {
+    return data.journal[date] || { mood: null, text: '' };
+}
+
+// Update the mood and/or text of a date's journal entry
+function setJournalEntry(date, changes) {
+    const data = getData();
+    if (!canEditDate(data, date)) {
+        showAlert(getLockedDateMessage(date));
+        return false;
+    }
+    
+    const entry = Object.assign({}, getJournalEntry(data, date));
+    if (changes.mood !== undefined) entry.mood = normalizeMood(changes.mood);
+    if (changes.text !== undefined) entry.text = normalizeText(changes.text, MAX_JOURNAL_LENGTH);
+    
+    const before = getJournalEntry(data, date);
+    if (entry.mood === before.mood && entry.text === before.text) return true;
+    recordAction(t(changes.mood !== undefined ? 'actions.changedMood' : 'actions.savedJournal'), [['journal', date]]);
+    if (entry.mood || entry.text) {
+        data.journal[date] = entry;
+    } else {
+        delete data.journal[date];
+    }
+    
+    saveData(data, [date]);
+    generateCalendar();
+    renderNoteSearch();
+    return true;
+}
+
+// Notes and journal entries matching a query, newest first.
+// An empty query lists the most recent entries.
+function searchNotes(data, query, limit = 50) {
+    const needle = query.trim().toLowerCase();
+    const results = [];
+    const dates = new Set(Object.keys(data.notes).concat(Object.keys(data.journal)));
+    
+    Array.from(dates).sort().reverse().forEach(date => {
+        const entry = data.journal[date];
+        if (entry && entry.text && entry.text.toLowerCase().includes(needle)) {
+            results.push({ date, activity: null, mood: entry.mood, text: entry.text });
+        }
+        const notes = data.notes[date] || {};
+        data.activities.forEach(activity => {
+            const note = notes[activity.id];
+            if (note && note.toLowerCase().includes(needle)) {
+                results.push({ date, activity, text: note });
+            }
+        });
+    });
+    
+    return results.slice(0, limit);
+}
+
+// Append text to an element with matches of the query highlighted
+function appendHighlighted(element, text, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) {
+        element.textContent = text;
+        return;
+    }
+    
+    const lower = text.toLowerCase();
+    let index = 0;
+    let match = lower.indexOf(needle);
+    while (match !== -1) {
+        element.appendChild(document.createTextNode(text.slice(index, match)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(match, match + needle.length);
+        element.appendChild(mark);
+        index = match + needle.length;
+        match = lower.indexOf(needle, index);
+    }
+    element.appendChild(document.createTextNode(text.slice(index)));
+}
+
+// Shorten text to a window around the first match of the query
+function getSnippet(text, query, radius = 60) {
+    const match = text.toLowerCase().indexOf(query.trim().toLowerCase());
+    const start = Math.max(0, match - radius);
+    const end = Math.min(text.length, Math.max(match, 0) + query.trim().length + radius);
+    return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+function renderNoteSearch() {
+    const input = document.getElementById('noteSearchInput');
+    const resultsList = document.getElementById('noteSearchResults');
+    if (!input || !resultsList) return;
+    
+    const data = getData();
+    const query = input.value;
+    const results = searchNotes(data, query, query.trim() ? 50 : 5);
+    
+    const fragment = document.createDocumentFragment();
+    resultsList.innerHTML = '';
+    
+    if (results.length === 0) {
+        const emptyLi = document.createElement('li');
+        emptyLi.className = 'empty-state';
+        emptyLi.textContent = query.trim() ? t('notes.noMatches') : t('notes.empty');
+        fragment.appendChild(emptyLi);
+    }
+    
+    results.forEach(result => {
+        const li = document.createElement('li');
+        li.className = 'note-result';
+        li.tabIndex = 0;
+        
+        const meta = document.createElement('span');
+        meta.className = 'note-result-meta';
+        const dateLabel = formatShortDate(result.date);
+        if (result.activity) {
+            meta.textContent = `${dateLabel} · ${result.activity.name}`;
+        } else {
+            meta.textContent = `${dateLabel} · ${t('journal.title')}${result.mood ? ' ' + MOOD_EMOJIS[result.mood - 1] : ''}`;
+        }
+        
+        const text = document.createElement('span');
+        text.className = 'note-result-text';
+        appendHighlighted(text, getSnippet(result.text, query), query);
+        
+        li.appendChild(meta);
+        li.appendChild(text);
+        li.addEventListener('click', () => showDayDetails(result.date));
+        li.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') showDayDetails(result.date);
+        });
+        fragment.appendChild(li);
+    });
+    
+    resultsList.appendChild(fragment);
+}
+
+// ==================== SCHEDULES ====================
+
+// Validate a schedule rule and return a clean copy, or null if invalid.
+// Supported rules:
+//   { type: 'daily' }
+//   { type: 'weekdays', days: [1, 3, 5] }       specific days of the week
+//   { type: 'weekly', times: 3 }                 X times per calendar week
+//   { type: 'monthly', times: 10 }               X times per calendar month
+//   { type: 'interval', every: 3 }               every N days from creation
+function normalizeSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') return null;
+    const toInt = value => parseInt(value, 10);
+    
+    switch (schedule.type) {
+        case 'daily':
+            return { type: 'daily' };
+        case 'weekdays': {
+            const days = Array.isArray(schedule.days)
+                ? [...new Set(schedule.days.map(toInt))].filter(day => day >= 0 && day <= 6).sort()
+                : [];
+            return days.length > 0 ? { type: 'weekdays', days } : null;
+        }
+        case 'weekly': {
+            const times = toInt(schedule.times);
+            return times >= 1 && times <= 7 ? { type: 'weekly', times } : null;
+        }
+        case 'monthly': {
+            const times = toInt(schedule.times);
+            return times >= 1 && times <= 31 ? { type: 'monthly', times } : null;
+        }
+        case 'interval': {
+            const every = toInt(schedule.every);
+            return every >= 1 && every <= 365 ? { type: 'interval', every } : null;
+        }
+        default:
+            return null;
+    }
+}
+
+// Human readable schedule summary
+function describeSchedule(schedule) {
+    switch (schedule && schedule.type) {
+        case 'weekdays':
+            return getOrderedWeekdays().filter(day => schedule.days.includes(day)).map(day => getWeekdayName(day)).join(', ');
+        case 'weekly':
+            return t('schedule.timesPerWeek', { times: schedule.times });
+        case 'monthly':
+            return t('schedule.timesPerMonth', { times: schedule.times });
+        case 'interval':
+            return schedule.every === 1 ? t('schedule.everyDay') : t('schedule.everyNDays', { count: schedule.every });
+        default:
+            return t('schedule.everyDay');
+    }
+}
+
+// Numeric value logged for a measurable activity on a date
+function getEntryValue(data, activity, date) {
+    const dayData = data.dailyData[date];
+    const value = dayData ? dayData[activity.id] : undefined;
+    return typeof value === 'number' ? value : 0;
+}
+
+// Fraction (0-1) of an activity completed on a date; measurable
+// activities get partial credit towards their target
+function getActivityProgress(data, activity, date) {
+    const dayData = data.dailyData[date];
+    if (!dayData || dayData[activity.id] === undefined) return 0;
+    
+    if (activity.type === 'measure') {
+        return Math.min(getEntryValue(data, activity, date) / activity.target, 1);
+    }
+    return dayData[activity.id] === true ? 1 : 0;
+}
+
+// Whether an activity was completed on a date
+function isActivityCompleted(data, activity, date) {
+    return getActivityProgress(data, activity, date) >= 1;
+}
+
+// Quota schedule lookups: period bounds by "type|date", and per-period
+// counts by data object and then "activityId|periodStart". Streaks and
+// stats ask about every day of every period, so each period is worked out
+// once; the cache is dropped on every save and at the end of the current
+// task, so edits are always seen.
+let quotaPeriodCache = null;
+
+function clearQuotaPeriodCache() {
+    quotaPeriodCache = null;
+}
+
+function getQuotaPeriodCache() {
+    if (!quotaPeriodCache) {
+        quotaPeriodCache = { periods: new Map(), counts: new WeakMap() };
+        Promise.resolve().then(clearQuotaPeriodCache);
+    }
+    return quotaPeriodCache;
+}
+
+// Period that a quota schedule (weekly/monthly) counts towards, with the
+// date's offset from its start
+function getSchedulePeriod(schedule, date) {
+    const periods = getQuotaPeriodCache().periods;
+    const key = `${schedule.type}|${date}`;
+    if (!periods.has(key)) {
+        const bounds = schedule.type === 'monthly' ? getMonthBounds(date) : getWeekBounds(date);
+        periods.set(key, Object.assign({ offset: diffDays(bounds.start, date) }, bounds));
+    }
+    return periods.get(key);
+}
+
+// For each day of a period (by offset from its start): completions
+// before that day, and tracked days from that day to the period's end
+function getQuotaPeriodCounts(data, activity, period) {
+    const allCounts = getQuotaPeriodCache().counts;
+    if (!allCounts.has(data)) allCounts.set(data, new Map());
+    const cache = allCounts.get(data);
+    const key = `${activity.id}|${period.start}`;
+    if (cache.has(key)) return cache.get(key);
+    
+    const days = getDateRange(period.start, period.end);
+    const doneBefore = [0];
+    days.forEach((day, index) => {
+        doneBefore.push(doneBefore[index] + (isActivityCompleted(data, activity, day) ? 1 : 0));
+    });
+    const trackedFrom = new Array(days.length + 1).fill(0);
+    for (let index = days.length - 1; index >= 0; index--) {
+        trackedFrom[index] = trackedFrom[index + 1] + (getInactiveReason(data, activity, days[index]) ? 0 : 1);
+    }
+    
+    const counts = { doneBefore, trackedFrom };
+    cache.set(key, counts);
+    return counts;
+}
+
+// Validate pause ranges; each is { start, end } with an inclusive end,
+// or end null for "until further notice". Returns null if any is invalid.
+function normalizePauses(pauses) {
+    if (!Array.isArray(pauses)) return null;
+    const clean = [];
+    for (const pause of pauses) {
+        if (!pause || !isValidDateKey(pause.start)) return null;
+        const end = pause.end || null;
+        if (end !== null && (!isValidDateKey(end) || end < pause.start)) return null;
+        clean.push({ start: pause.start, end });
+    }
+    return clean.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// The pause covering a date, if any
+function getActivePause(activity, date) {
+    return (activity.pauses || []).find(pause => date >= pause.start && (!pause.end || date <= pause.end)) || null;
+}
+
+function isActivityArchived(activity, date) {
+    return !!activity.archivedAt && date >= activity.archivedAt;
+}
+
+// Why an activity isn't tracked on a date: 'new' (not created yet),
+// 'archived', 'paused' or 'skipped'; null when it is tracked
+function getInactiveReason(data, activity, date) {
+    if (activity.createdAt && date < activity.createdAt) return 'new';
+    if (isActivityArchived(activity, date)) return 'archived';
+    if (getActivePause(activity, date)) return 'paused';
+    if (isDaySkipped(data, activity.id, date)) return 'skipped';
+    return null;
+}
+
+// Whether an activity is due on a date. Archived, paused and skipped
+// days are never due, so they don't affect progress, stats or streaks.
+// Quota schedules (X times per week/month) are due on days they were done,
+// and on days where skipping would make the quota unreachable. Days where
+// the quota can still be met later are free, so they never count as misses.
+function isActivityDue(data, activity, date) {
+    if (getInactiveReason(data, activity, date)) return false;
+    
+    const schedule = activity.schedule || { type: 'daily' };
+    
+    switch (schedule.type) {
+        case 'weekdays':
+            return schedule.days.includes(getDayOfWeek(date));
+        case 'interval':
+            return diffDays(activity.scheduleStart || activity.createdAt || date, date) % schedule.every === 0;
+        case 'weekly':
+        case 'monthly': {
+            if (isActivityCompleted(data, activity, date)) return true;
+            const period = getSchedulePeriod(schedule, date);
+            const counts = getQuotaPeriodCounts(data, activity, period);
+            const remaining = schedule.times - counts.doneBefore[period.offset];
+            return remaining > 0 && remaining >= counts.trackedFrom[period.offset];
+        }
+        default:
+            return true;
+    }
+}
+
+// Progress towards a quota schedule in the period containing a date
+function getQuotaProgress(data, activity, date) {
+    const schedule = activity.schedule;
+    const period = getSchedulePeriod(schedule, date);
+    const counts = getQuotaPeriodCounts(data, activity, period);
+    const done = counts.doneBefore[counts.doneBefore.length - 1];
+    return { done, times: schedule.times, period: schedule.type === 'monthly' ? 'month' : 'week' };
+}
+
+function isQuotaSchedule(schedule) {
+    return !!schedule && (schedule.type === 'weekly' || schedule.type === 'monthly');
+}
+
+// Activities that are due on a date
+function getDueActivities(data, date) {
+    return data.activities.filter(activity => isActivityDue(data, activity, date));
+}
+
+// Completion summary for one day, counting only activities due that day
+// (optionally only some, e.g. one category). percentage includes partial
+// credit from measurable activities.
+function getDaySummary(data, date, activities = data.activities) {
+    const dayData = data.dailyData[date] || {};
+    const due = activities.filter(activity => isActivityDue(data, activity, date));
+    let completed = 0;
+    let score = 0;
+    let hasData = false;
+    
+    due.forEach(activity => {
+        const progress = getActivityProgress(data, activity, date);
+        score += progress;
+        if (progress >= 1) {
+            completed++;
+        }
+        if (dayData[activity.id] !== undefined) {
+            hasData = true;
+        }
+    });
+    
+    const percentage = due.length > 0 ? (score / due.length) * 100 : 0;
+    return { due: due.length, completed, percentage, hasData };
+}
+
+// ==================== PROGRESS CALCULATION ====================
+
+function calculateProgress() {
+    const data = getData();
+    const summary = getDaySummary(data, getTodayDate());
+    return Math.round(summary.percentage);
+}
+
+// Throttled progress update for better performance
+const updateProgressThrottled = throttle(function() {
+    const data = getData();
+    const summary = getDaySummary(data, getTodayDate());
+    const percentage = Math.round(summary.percentage);
+    const progressFill = document.getElementById('progressFill');
+    const percentageText = document.getElementById('percentageText');
+    
+    if (progressFill && percentageText) {
+        requestAnimationFrame(() => {
+            progressFill.style.width = percentage + '%';
+            if (data.activities.length > 0 && summary.due === 0) {
+                percentageText.textContent = t('progress.nothingDue');
+            } else {
+                percentageText.textContent = t('progress.summary', { percentage, completed: summary.completed, due: summary.due });
+            }
+            const progressBar = progressFill.parentElement;
+            progressBar.setAttribute('aria-valuenow', percentage);
+            progressBar.setAttribute('aria-valuetext', percentageText.textContent);
+            renderTimeBlockProgress(data);
+            renderCategoryProgress(data);
+        });
+    }
+}, 100);
+
+function updateProgress() {
+    updateProgressThrottled();
+}
+
+// ==================== STATISTICS CALCULATION ====================
+
+function calculateSuccessPercentage(dateRange, activities) {
+    const data = getData();
+    const counted = activities || data.activities;
+    
+    if (counted.length === 0 || dateRange.length === 0) {
+        return { completedDays: 0, overall: 0, daysWithData: 0 };
+    }
+    
+    let daysWithData = 0;
+    let completedDays = 0;
+    let totalDayPercentage = 0;
+    
+    dateRange.forEach(date => {
+        const summary = getDaySummary(data, date, counted);
+        
+        if (summary.due > 0 && summary.hasData) {
+            daysWithData++;
+            totalDayPercentage += summary.percentage;
+            
+            if (summary.percentage === 100) {
+                completedDays++;
+            }
+        }
+    });
+    
+    const overall = daysWithData > 0 ? Math.round(totalDayPercentage / daysWithData) : 0;
+    
+    return { completedDays, overall, daysWithData };
+}
+
+// The last 7 days, or the calendar week so far when the weekly summary
+// is set to follow calendar weeks
+function getSummaryWeekDates() {
+    return getWeekDates(getData().settings.weeklySummary === 'calendar');
+}
+
+function calculateWeeklyStats() {
+    const weekDates = getSummaryWeekDates();
+    return calculateSuccessPercentage(weekDates);
+}
+
+function calculateMonthlyStats() {
+    const monthDates = getMonthDates();
+    return calculateSuccessPercentage(monthDates);
+}
+
+function updateWeeklyStats() {
+    const stats = calculateWeeklyStats();
+    const weekDates = getSummaryWeekDates();
+    const completedDaysEl = document.getElementById('weeklyCompletedDays');
+    const totalDaysEl = document.getElementById('weeklyTotalDays');
+    const overallEl = document.getElementById('weeklyOverall');
+    
+    if (completedDaysEl) completedDaysEl.textContent = stats.completedDays;
+    if (totalDaysEl) totalDaysEl.textContent = weekDates.length;
+    if (overallEl) overallEl.textContent = stats.overall + '%';
+    renderCategoryStats('weeklyCategories', weekDates);
+}
+
+function updateMonthlyStats() {
+    const stats = calculateMonthlyStats();
+    const monthDates = getMonthDates();
+    const completedDaysEl = document.getElementById('monthlyCompletedDays');
+    const totalDaysEl = document.getElementById('monthlyTotalDays');
+    const overallEl = document.getElementById('monthlyOverall');
+    
+    if (completedDaysEl) completedDaysEl.textContent = stats.completedDays;
+    if (totalDaysEl) totalDaysEl.textContent = monthDates.length;
+    if (overallEl) overallEl.textContent = stats.overall + '%';
+    renderCategoryStats('monthlyCategories', monthDates);
+}
+
+// Re-render the whole app, e.g. after data was replaced
+function renderAll() {
+    applySettings();
+    loadTheme();
+    renderProfileButton();
+    renderSyncStatus();
+    updateDateDisplay();
+    renderActivities();
+    renderSettings();
+    refreshStats();
+}
+
+// Refresh everything derived from dailyData
+function refreshStats() {
+    updateProgress();
+    updateWeeklyStats();
+    updateMonthlyStats();
+    updateStreakDisplay();
+    generateCalendar();
+    renderHeatmap();
+    renderAnalytics();
+    renderNoteSearch();
+    renderGoals();
+    refreshDayDetails();
+}
+
+function updateStreakDisplay() {
+    const data = getData();
+    const perfectStreak = getPerfectDayStreak(data);
+    const currentStreakEl = document.getElementById('currentStreak');
+    const bestStreakEl = document.getElementById('bestStreak');
+    const visitStreakEl = document.getElementById('visitStreak');
+    
+    if (currentStreakEl) currentStreakEl.textContent = perfectStreak.current;
+    if (bestStreakEl) bestStreakEl.textContent = perfectStreak.best;
+    if (visitStreakEl) visitStreakEl.textContent = data.visitStreak || 0;
+}
+
+// ==================== STREAKS ====================
+
+// Streak of due days on which a single activity was completed;
+// days the activity isn't due are skipped
+function getActivityStreak(data, activity) {
+    return calculateStreaks(activity.createdAt, date => {
+        if (!isActivityDue(data, activity, date)) return 'skip';
+        return isActivityCompleted(data, activity, date) ? 'done' : 'missed';
+    });
+}
+
+// A perfect day has every due activity completed
+function isPerfectDay(data, date) {
+    const summary = getDaySummary(data, date);
+    return summary.due > 0 && summary.completed === summary.due;
+}
+
+// Streak of consecutive perfect days; days with nothing due are skipped
+function getPerfectDayStreak(data) {
+    if (data.activities.length === 0) {
+        return { current: 0, best: 0 };
+    }
+    const startDate = data.activities.map(activity => activity.createdAt).sort()[0];
+    return calculateStreaks(startDate, date => {
+        const summary = getDaySummary(data, date);
+        if (summary.due === 0) return 'skip';
+        return summary.completed === summary.due ? 'done' : 'missed';
+    });
+}
+
+// ==================== GOALS ====================
+
+// Goals kept at once, archive included
+const MAX_GOALS = 100;
+const MAX_GOAL_NAME_LENGTH = 60;
+// Longest goal period, in days
+const MAX_GOAL_DAYS = 366;
+// Shares of the target celebrated on the way there
+const GOAL_MILESTONES = [25, 50, 75];
+// 'days': complete an activity on `target` days between the dates;
+// 'challenge': complete it on every day it is due;
+// 'completion': average daily completion of at least `target` percent
+const GOAL_TYPES = ['days', 'challenge', 'completion'];
+const GOAL_STATUSES = ['active', 'completed', 'failed'];
+
+function getGoalById(data, id) {
+    return data.goals.find(goal => goal.id === id) || null;
+}
+
+// Days from the start to the end date, both included
+function getGoalLength(goal) {
+    return diffDays(goal.startDate, goal.endDate) + 1;
+}
+
+// Why goal fields are invalid, or '' when they are fine
+function getGoalError(data, goal) {
+    if (!isValidDateKey(goal.startDate) || !isValidDateKey(goal.endDate) ||
+        goal.endDate < goal.startDate || getGoalLength(goal) > MAX_GOAL_DAYS) {
+        return t('goals.invalidDates', { max: MAX_GOAL_DAYS });
+    }
+    if (goal.type !== 'completion' && !getActivityById(data, goal.activityId)) {
+        return t('goals.activityRequired');
+    }
+    if (goal.type !== 'challenge') {
+        const max = goal.type === 'completion' ? 100 : getGoalLength(goal);
+        if (!Number.isInteger(goal.target) || goal.target < 1 || goal.target > max) {
+            return t('goals.invalidTarget', { max });
+        }
+    }
+    return '';
+}
+
+// Clean a goal from the editor or an import; null when invalid
+function normalizeGoal(data, item) {
+    if (!item || typeof item !== 'object' || !GOAL_TYPES.includes(item.type)) return null;
+    const goal = {
+        id: typeof item.id === 'string' && item.id ? item.id : generateId(),
+        name: sanitizeInput(item.name || '').trim().slice(0, MAX_GOAL_NAME_LENGTH),
+        type: item.type,
+        activityId: item.type === 'completion' ? '' : item.activityId,
+        target: Number(item.target),
+        startDate: item.startDate,
+        endDate: item.endDate,
+        createdAt: isValidDateKey(item.createdAt) ? item.createdAt : getTodayDate(),
+        milestones: Array.isArray(item.milestones) ? GOAL_MILESTONES.filter(m => item.milestones.includes(m)) : [],
+        status: GOAL_STATUSES.includes(item.status) ? item.status : 'active',
+        finishedAt: null
+    };
+    if (!goal.name || getGoalError(data, goal)) return null;
+    if (goal.status !== 'active') {
+        goal.finishedAt = isValidDateKey(item.finishedAt) ? item.finishedAt : getGoalFinishDate(goal);
+    }
+    if (goal.type === 'challenge') goal.target = getGoalLength(goal);
+    return goal;
+}
+
+// Name used when none is given, e.g. "30-day No sugar challenge"
+function getDefaultGoalName(data, goal) {
+    const activity = getActivityById(data, goal.activityId);
+    if (goal.type === 'completion') return t('goals.defaultCompletion', { target: goal.target });
+    if (!activity) return '';
+    if (goal.type === 'challenge') return t('goals.defaultChallenge', { name: activity.name, count: getGoalLength(goal) });
+    return t('goals.defaultDays', { name: activity.name, count: goal.target });
+}
+
+// Where a goal stands: value towards the target, percent of the way
+// there (0-100) and the status that follows. Only days up to today count.
+function getGoalProgress(data, goal, today = getTodayDate()) {
+    const activity = getActivityById(data, goal.activityId);
+    const last = goal.endDate < today ? goal.endDate : today;
+    let value = 0;
+    let status = 'active';
+    
+    if (goal.type === 'completion') {
+        let total = 0;
+        let days = 0;
+        for (let date = goal.startDate; date <= last; date = addDays(date, 1)) {
+            const summary = getDaySummary(data, date);
+            // Today only counts once something was logged
+            if (summary.due === 0 || (date === today && !summary.hasData)) continue;
+            total += summary.percentage;
+            days++;
+        }
+        value = days > 0 ? Math.round(total / days) : 0;
+        if (goal.endDate < today) status = value >= goal.target ? 'completed' : 'failed';
+        return { value, target: goal.target, percent: Math.min(value / goal.target, 1) * 100, status };
+    }
+    
+    if (goal.type === 'challenge') {
+        // Days the activity isn't due (skipped, paused...) are kept too;
+        // a missed today can still be made up
+        for (let date = goal.startDate; date <= last; date = addDays(date, 1)) {
+            const kept = activity && (!isActivityDue(data, activity, date) || isActivityCompleted(data, activity, date));
+            if (kept) {
+                value++;
+            } else if (date < today) {
+                status = 'failed';
+            }
+        }
+        if (status === 'active' && value >= goal.target) status = 'completed';
+    } else {
+        for (let date = goal.startDate; date <= last; date = addDays(date, 1)) {
+            if (activity && isActivityCompleted(data, activity, date)) value++;
+        }
+        // Failed once the days left can't make up the difference
+        const doneToday = !!activity && last === today && isActivityCompleted(data, activity, today);
+        const from = goal.startDate > today ? goal.startDate : addDays(today, doneToday ? 1 : 0);
+        const daysLeft = from > goal.endDate ? 0 : diffDays(from, goal.endDate) + 1;
+        if (value >= goal.target) {
+            status = 'completed';
+        } else if (value + daysLeft < goal.target) {
+            status = 'failed';
+        }
+    }
+    return { value, target: goal.target, percent: Math.min(value / goal.target, 1) * 100, status };
+}
+
+// Day a goal counts as finished on when its status changes today
+function getGoalFinishDate(goal, today = getTodayDate()) {
+    return goal.endDate < today ? goal.endDate : today;
+}
+
+// Milestones a goal has already passed (completion goals have none, as
+// their average goes up and down)
+function getReachedMilestones(data, goal) {
+    if (goal.type === 'completion') return [];
+    const progress = getGoalProgress(data, goal);
+    return GOAL_MILESTONES.filter(milestone => progress.percent >= milestone);
+}
+
+// Bring goal statuses and milestones in line with data, and return what
+// to celebrate as [{ goalId, message }]. saveData calls this for every
+// change, before writing. Active goals are always checked; finished ones
+// only when a changed date falls in their range, so editing a past day can
+// still change how a goal ended. Without changedDates every goal is checked.
+function updateGoals(data, changedDates) {
+    const today = getTodayDate();
+    const events = [];
+    
+    data.goals.forEach(goal => {
+        if (goal.status !== 'active' && changedDates &&
+            !changedDates.some(date => date >= goal.startDate && date <= goal.endDate)) return;
+        
+        const progress = getGoalProgress(data, goal, today);
+        if (progress.status !== goal.status) {
+            goal.status = progress.status;
+            goal.finishedAt = progress.status === 'active' ? null : getGoalFinishDate(goal, today);
+            if (progress.status === 'completed') {
+                events.push({ goalId: goal.id, message: t('goals.completedToast', { name: goal.name }) });
+            }
+        }
+        if (goal.status !== 'active' || goal.type === 'completion') return;
+        
+        const reached = GOAL_MILESTONES.filter(milestone => progress.percent >= milestone && !goal.milestones.includes(milestone));
+        if (reached.length > 0) {
+            goal.milestones = goal.milestones.concat(reached).sort((a, b) => a - b);
+            events.push({ goalId: goal.id, message: t('goals.milestoneToast', { name: goal.name, percent: reached[reached.length - 1] }) });
+        }
+    });
+    
+    return events;
+}
+
+// Goals to highlight on the next render of the goals panel
+const celebratedGoalIds = new Set();
+
+// Celebrate what the change just saved achieved. The message joins the
+// toast on screen, so the Undo offered for that change stays available.
+function celebrateGoals(events) {
+    const message = events.map(event => event.message).join(' ');
+    events.forEach(event => celebratedGoalIds.add(event.goalId));
+    
+    if (shownToast) {
+        showToast(`${shownToast.message} · ${message}`, shownToast.options);
+    } else {
+        showToast(message);
+    }
+    announce(message);
+}
+
+// Add a goal, or change one when goalId is given
+function saveGoal(fields, goalId = null) {
+    const data = getData();
+    const existing = goalId ? getGoalById(data, goalId) : null;
+    const error = getGoalError(data, fields);
+    if (error) {
+        showAlert(error);
+        return false;
+    }
+    if (!existing && data.goals.length >= MAX_GOALS) {
+        showAlert(t('goals.max', { max: MAX_GOALS }));
+        return false;
+    }
+    
+    const name = fields.name.trim() || getDefaultGoalName(data, fields);
+    const goal = normalizeGoal(data, Object.assign({}, existing, fields, { name, status: 'active', finishedAt: null }));
+    if (!goal) return false;
+    // Milestones passed already aren't celebrated again
+    goal.milestones = getReachedMilestones(data, goal);
+    
+    recordAction(t(existing ? 'goals.edited' : 'goals.added', { name: goal.name }), [['goals', goal.id]]);
+    if (existing) {
+        Object.assign(existing, goal);
+    } else {
+        data.goals.push(goal);
+    }
+    saveData(data, []);
+    renderGoals();
+    return true;
+}
+
+// Delete a goal, after an in-app confirmation
+function deleteGoal(id) {
+    const goal = getGoalById(getData(), id);
+    if (!goal) return;
+    
+    showConfirm(t('goals.deleteConfirm', { name: goal.name }), {
+        confirmLabel: t('common.delete'),
+        danger: true
+    }).then(confirmed => {
+        if (!confirmed) return;
+        const data = getData();
+        recordAction(t('goals.deleted', { name: goal.name }), [['goals', id]]);
+        data.goals = data.goals.filter(g => g.id !== id);
+        saveData(data, []);
+        renderGoals();
+    });
+}
+
+// "🧘 Meditation · 42 of 60 days" and where the goal is in time
+function describeGoal(data, goal, progress) {
+    const activity = getActivityById(data, goal.activityId);
+    let subject;
+    if (goal.type === 'completion') {
+        subject = t('goals.allActivities');
+    } else {
+        subject = activity ? `${activity.icon ? activity.icon + ' ' : ''}${activity.name}` : t('goals.removedActivity');
+    }
+    const amount = t(`goals.${goal.type}Progress`, { value: progress.value, target: progress.target });
+    
+    const today = getTodayDate();
+    let when;
+    if (goal.status === 'completed') {
+        when = t('goals.completedOn', { date: formatShortDate(goal.finishedAt) });
+    } else if (goal.status === 'failed') {
+        when = t('goals.failedOn', { date: formatShortDate(goal.finishedAt) });
+    } else if (goal.startDate > today) {
+        when = t('goals.startsOn', { date: formatShortDate(goal.startDate) });
+    } else if (goal.endDate === today) {
+        when = t('goals.lastDay');
+    } else {
+        when = t('goals.daysLeft', { count: diffDays(today, goal.endDate) + 1 });
+    }
+    return { detail: `${subject} · ${amount}`, when };
+}
+
+function createGoalItem(data, goal, celebrate) {
+    const progress = getGoalProgress(data, goal);
+    const { detail, when } = describeGoal(data, goal, progress);
+    const percent = Math.round(progress.percent);
+    
+    const li = document.createElement('li');
+    li.className = `goal-item ${goal.status}` + (celebrate ? ' celebrate' : '');
+    
+    const header = document.createElement('div');
+    header.className = 'goal-header';
+    const name = document.createElement('span');
+    name.className = 'goal-name';
+    name.textContent = goal.name;
+    const dates = document.createElement('span');
+    dates.className = 'goal-dates';
+    dates.textContent = t('goals.dateRange', { start: formatShortDate(goal.startDate), end: formatShortDate(goal.endDate) });
+    header.appendChild(name);
+    header.appendChild(dates);
+    
+    const bar = document.createElement('div');
+    bar.className = 'completion-bar';
+    const track = document.createElement('span');
+    track.className = 'completion-bar-track';
+    track.setAttribute('role', 'progressbar');
+    track.setAttribute('aria-valuemin', '0');
+    track.setAttribute('aria-valuemax', '100');
+    track.setAttribute('aria-valuenow', percent);
+    track.setAttribute('aria-label', goal.name);
+    const fill = document.createElement('span');
+    fill.className = 'completion-bar-fill';
+    fill.style.width = `${percent}%`;
+    track.appendChild(fill);
+    const value = document.createElement('span');
+    value.className = 'completion-bar-value';
+    value.textContent = `${percent}%`;
+    bar.appendChild(track);
+    bar.appendChild(value);
+    
+    const info = document.createElement('div');
+    info.className = 'goal-info';
+    const detailText = document.createElement('span');
+    detailText.textContent = detail;
+    const whenText = document.createElement('span');
+    whenText.className = 'goal-when';
+    whenText.textContent = when;
+    info.appendChild(detailText);
+    info.appendChild(whenText);
+    
+    const actions = document.createElement('div');
+    actions.className = 'goal-actions';
+    if (goal.status === 'active') {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'edit-btn';
+        editBtn.textContent = t('common.edit');
+        editBtn.addEventListener('click', () => showGoalEditor(goal.id));
+        actions.appendChild(editBtn);
+    }
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'delete-btn';
+    deleteBtn.textContent = t('common.delete');
+    deleteBtn.addEventListener('click', () => deleteGoal(goal.id));
+    actions.appendChild(deleteBtn);
+    
+    li.appendChild(header);
+    li.appendChild(bar);
+    li.appendChild(info);
+    li.appendChild(actions);
+    return li;
+}
+
+// Goals panel: active goals, then finished ones in the archive
+function renderGoals() {
+    const data = getData();
+    const list = document.getElementById('goalList');
+    const archive = document.getElementById('goalArchive');
+    const archiveSummary = document.getElementById('goalArchiveSummary');
+    const archiveList = document.getElementById('goalArchiveList');
+    if (!list) return;
+    
+    const celebrated = new Set(celebratedGoalIds);
+    celebratedGoalIds.clear();
+    
+    list.innerHTML = '';
+    const active = data.goals.filter(goal => goal.status === 'active')
+        .sort((a, b) => a.endDate.localeCompare(b.endDate));
+    if (active.length === 0) {
+        const emptyLi = document.createElement('li');
+        emptyLi.className = 'empty-state';
+        emptyLi.textContent = t('goals.empty');
+        list.appendChild(emptyLi);
+    }
+    active.forEach(goal => list.appendChild(createGoalItem(data, goal, celebrated.has(goal.id))));
+    
+    if (archive && archiveSummary && archiveList) {
+        const finished = data.goals.filter(goal => goal.status !== 'active')
+            .sort((a, b) => (b.finishedAt || '').localeCompare(a.finishedAt || ''));
+        archive.hidden = finished.length === 0;
+        archiveSummary.textContent = t('goals.archive', { count: finished.length });
+        archiveList.innerHTML = '';
+        finished.forEach(goal => archiveList.appendChild(createGoalItem(data, goal, celebrated.has(goal.id))));
+    }
+}
+
+// Dialog to set up a new goal or edit an active one
+function showGoalEditor(goalId = null) {
+    const data = getData();
+    const goal = goalId ? getGoalById(data, goalId) : null;
+    const activities = data.activities.filter(activity => !activity.archivedAt || (goal && activity.id === goal.activityId));
+    const today = getTodayDate();
+    
+    const { content, close } = openModal('dialog-modal');
+    content.appendChild(createModalHeader(t(goal ? 'goals.editTitle' : 'goals.newTitle')));
+    
+    const form = document.createElement('form');
+    form.className = 'modal-body';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = MAX_GOAL_NAME_LENGTH;
+    nameInput.placeholder = t('goals.namePlaceholder');
+    nameInput.value = goal ? goal.name : '';
+    
+    const typeSelect = document.createElement('select');
+    GOAL_TYPES.forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = t(`goals.${type}Type`);
+        typeSelect.appendChild(option);
+    });
+    typeSelect.value = goal ? goal.type : (activities.length > 0 ? 'days' : 'completion');
+    
+    const activitySelect = document.createElement('select');
+    activities.forEach(activity => {
+        const option = document.createElement('option');
+        option.value = activity.id;
+        option.textContent = `${activity.icon ? activity.icon + ' ' : ''}${activity.name}`;
+        activitySelect.appendChild(option);
+    });
+    if (goal && goal.activityId) activitySelect.value = goal.activityId;
+    
+    const targetInput = document.createElement('input');
+    targetInput.type = 'number';
+    targetInput.min = 1;
+    targetInput.step = 1;
+    targetInput.value = goal && goal.type !== 'challenge' ? goal.target : 20;
+    
+    const startInput = document.createElement('input');
+    startInput.type = 'date';
+    startInput.value = goal ? goal.startDate : today;
+    const endInput = document.createElement('input');
+    endInput.type = 'date';
+    endInput.value = goal ? goal.endDate : addDays(today, 29);
+    
+    const addField = (labelText, input) => {
+        const row = document.createElement('label');
+        row.className = 'dialog-field';
+        const label = document.createElement('span');
+        label.textContent = labelText;
+        row.appendChild(label);
+        row.appendChild(input);
+        form.appendChild(row);
+        return { row, label };
+    };
+    addField(t('goals.name'), nameInput);
+    addField(t('goals.type'), typeSelect);
+    const activityField = addField(t('goals.activity'), activitySelect);
+    const targetField = addField(t('goals.targetDays'), targetInput);
+    addField(t('goals.start'), startInput);
+    addField(t('goals.end'), endInput);
+    
+    // Quick periods, starting today
+    const presets = document.createElement('div');
+    presets.className = 'goal-presets';
+    [
+        ['goals.next30', { start: today, end: addDays(today, 29) }],
+        ['goals.thisMonth', getMonthBounds(today)],
+        ['goals.thisQuarter', getQuarterBounds(today)]
+    ].forEach(([key, period]) => {
+        const presetBtn = document.createElement('button');
+        presetBtn.type = 'button';
+        presetBtn.className = 'edit-btn';
+        presetBtn.textContent = t(key);
+        presetBtn.addEventListener('click', () => {
+            startInput.value = period.start;
+            endInput.value = period.end;
+        });
+        presets.appendChild(presetBtn);
+    });
+    form.appendChild(presets);
+    
+    const hint = document.createElement('p');
+    hint.className = 'setting-hint';
+    form.appendChild(hint);
+    
+    const updateFields = () => {
+        const type = typeSelect.value;
+        activityField.row.hidden = type === 'completion';
+        targetField.row.hidden = type === 'challenge';
+        targetField.label.textContent = t(type === 'completion' ? 'goals.targetPercent' : 'goals.targetDays');
+        targetInput.max = type === 'completion' ? 100 : MAX_GOAL_DAYS;
+        hint.textContent = t(`goals.${type}Hint`);
+    };
+    typeSelect.addEventListener('change', () => {
+        if (typeSelect.value === 'completion' && Number(targetInput.value) < 50) targetInput.value = 80;
+        updateFields();
+    });
+    updateFields();
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'save-btn';
+    saveBtn.textContent = t('common.save');
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = t('common.cancel');
+    cancelBtn.addEventListener('click', close);
+    buttons.appendChild(saveBtn);
+    buttons.appendChild(cancelBtn);
+    form.appendChild(buttons);
+    content.appendChild(form);
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const saved = saveGoal({
+            name: nameInput.value,
+            type: typeSelect.value,
+            activityId: typeSelect.value === 'completion' ? '' : activitySelect.value,
+            target: Number(targetInput.value),
+            startDate: startInput.value,
+            endDate: endInput.value
+        }, goalId);
+        if (saved) close();
+    });
+    nameInput.focus();
+}
+
+// ==================== RENDERING ====================
+
 function renderActivities() {
     const data = getData();
-    const activityList = document.getElementById('activityList');
-    if (!activityList) return;
+    const activityList = document.getElementById('activityList');
+    if (!activityList) return;
+    
+    // Use document fragment for better performance
+    const fragment = document.createDocumentFragment();
+    const restoreFocus = rememberFocus(activityList);
+    activityList.innerHTML = '';
+    renderArchivedActivities(data);
+    renderCategoryOptions(data);
+    // The suggestion library hides whatever is on the list
+    renderSuggestions();
+    const tag = renderTagFilter(data);
+    
+    const activities = data.activities.filter(activity => !activity.archivedAt && (!tag || activity.tags.includes(tag)));
+    if (activities.length === 0) {
+        const emptyLi = document.createElement('li');
+        emptyLi.className = 'empty-state';
+        if (data.activities.length === 0) {
+            emptyLi.textContent = t('activities.empty');
+        } else if (tag) {
+            emptyLi.textContent = t('activities.emptyTag', { tag });
+        } else {
+            emptyLi.textContent = t('activities.allArchived');
+        }
+        fragment.appendChild(emptyLi);
+        activityList.appendChild(fragment);
+        restoreFocus();
+        return;
+    }
+    
+    const today = getTodayDate();
+    // Without any routines or categories the list stays flat
+    const showBlocks = activities.some(activity => activity.timeOfDay);
+    const collapsed = getCollapsedCategories(data);
+    const currentBlock = getCurrentTimeBlock();
+    
+    groupByTimeBlock(activities).forEach(block => {
+        const isCurrent = showBlocks && block.id === currentBlock;
+        if (showBlocks) {
+            fragment.appendChild(createTimeBlockHeader(data, block, isCurrent, today));
+        }
+        const showCategories = block.activities.some(activity => activity.category);
+        groupActivities(block.activities).forEach(group => {
+            const isCollapsed = showCategories && collapsed.includes(group.category);
+            if (showCategories) {
+                fragment.appendChild(createCategoryHeader(data, group, isCollapsed, today));
+            }
+            if (!isCollapsed) {
+                group.activities.forEach(activity => {
+                    const li = createActivityRow(data, activity, today);
+                    if (isCurrent) li.classList.add('current-block');
+                    fragment.appendChild(li);
+                });
+            }
+        });
+    });
+    
+    activityList.appendChild(fragment);
+    labelActivityShortcuts(activityList);
+    restoreFocus();
+}
+
+// One row of the activity list with its controls
+function createActivityRow(data, activity, today) {
+    const li = document.createElement('li');
+    li.dataset.id = activity.id;
+    const isCompleted = getActivityStatus(activity.id);
+    const isDue = isActivityDue(data, activity, today);
+    const inactiveReason = getInactiveReason(data, activity, today);
+    if (!isDue) {
+        li.classList.add('not-due');
+    }
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = activity.type === 'measure' ? isActivityCompleted(data, activity, today) : isCompleted;
+    if (activity.type === 'measure') {
+        // Measurable activities are completed through their value controls
+        checkbox.disabled = true;
+        checkbox.setAttribute('aria-label', t('activities.targetReached'));
+    } else {
+        checkbox.addEventListener('change', () => toggleActivity(activity.id));
+    }
+    
+    const label = document.createElement('label');
+    const marker = document.createElement('span');
+    marker.className = 'activity-marker';
+    marker.style.backgroundColor = activity.color;
+    marker.textContent = activity.icon || '';
+    
+    const info = document.createElement('span');
+    info.className = 'activity-info';
+    
+    const span = document.createElement('span');
+    span.textContent = activity.name;
+    if (activity.description) {
+        label.title = activity.description;
+    }
+    
+    const scheduleSpan = document.createElement('span');
+    scheduleSpan.className = 'activity-schedule';
+    let scheduleText = describeSchedule(activity.schedule);
+    if (isQuotaSchedule(activity.schedule)) {
+        const quota = getQuotaProgress(data, activity, today);
+        scheduleText += ' · ' + t(quota.period === 'month' ? 'activities.quotaMonth' : 'activities.quotaWeek', quota);
+    }
+    if (inactiveReason === 'paused') {
+        const pause = getActivePause(activity, today);
+        scheduleText += ' · ' + (pause.end ? t('activities.pausedUntil', { date: formatShortDate(pause.end) }) : t('activities.paused'));
+    } else if (inactiveReason === 'skipped') {
+        scheduleText += ' · ' + t('activities.skippedToday');
+    } else {
+        scheduleText += ' · ' + t(isDue ? 'activities.dueToday' : 'activities.notDueToday');
+    }
+    if (activity.reminderTime) {
+        scheduleText += ` · 🔔 ${activity.reminderTime}`;
+    }
+    if (activity.tags.length > 0) {
+        scheduleText += ' · ' + activity.tags.map(tag => `#${tag}`).join(' ');
+    }
+    scheduleSpan.textContent = scheduleText;
+    
+    info.appendChild(span);
+    info.appendChild(scheduleSpan);
+    
+    const streak = getActivityStreak(data, activity);
+    const streakBadge = document.createElement('span');
+    streakBadge.className = 'activity-streak' + (streak.current > 0 ? ' active' : '');
+    streakBadge.textContent = `🔥 ${streak.current}`;
+    streakBadge.title = t('activities.streakTitle', streak);
+    
+    label.appendChild(checkbox);
+    label.appendChild(marker);
+    label.appendChild(info);
+    label.appendChild(streakBadge);
+    
+    const editBtn = document.createElement('button');
+    editBtn.className = 'edit-btn';
+    editBtn.textContent = t('common.edit');
+    editBtn.addEventListener('click', () => renderActivityEditor(li, activity));
+    
+    const archiveBtn = document.createElement('button');
+    archiveBtn.className = 'edit-btn';
+    archiveBtn.textContent = t('common.archive');
+    archiveBtn.title = t('activities.archiveTitle');
+    archiveBtn.addEventListener('click', () => archiveActivity(activity.id));
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'delete-btn';
+    deleteBtn.textContent = t('common.delete');
+    deleteBtn.addEventListener('click', () => deleteActivity(activity.id));
+    
+    li.appendChild(label);
+    if (activity.type === 'measure') {
+        li.appendChild(createMeasureControls(data, activity, today));
+    }
+    if (inactiveReason === 'skipped' || (isDue && !isActivityCompleted(data, activity, today))) {
+        li.appendChild(createSkipButton(activity, inactiveReason === 'skipped', today));
+    }
+    li.appendChild(editBtn);
+    li.appendChild(archiveBtn);
+    li.appendChild(deleteBtn);
+    li.insertBefore(createDragHandle(li, activity), label);
+    makeDropTarget(li, activity);
+    
+    return li;
+}
+
+// Button that skips a day (or undoes the skip) without breaking the streak
+function createSkipButton(activity, skipped, date) {
+    const skipBtn = document.createElement('button');
+    skipBtn.className = 'skip-btn' + (skipped ? ' active' : '');
+    skipBtn.textContent = t(skipped ? 'skip.unskip' : 'skip.skip');
+    skipBtn.title = t(skipped ? 'skip.unskipTitle' : 'skip.skipTitle');
+    skipBtn.setAttribute('aria-pressed', skipped ? 'true' : 'false');
+    skipBtn.setAttribute('aria-label', t(skipped ? 'skip.unskipLabel' : 'skip.skipLabel', { name: activity.name }));
+    skipBtn.addEventListener('click', () => setDaySkipped(activity.id, !skipped, date));
+    return skipBtn;
+}
+
+// Collapsible list of archived activities with restore and delete
+function renderArchivedActivities(data) {
+    const container = document.getElementById('archivedActivities');
+    const summary = document.getElementById('archivedSummary');
+    const list = document.getElementById('archivedList');
+    if (!container || !summary || !list) return;
+    
+    const archived = data.activities.filter(activity => activity.archivedAt);
+    container.hidden = archived.length === 0;
+    summary.textContent = t('activities.archivedCount', { count: archived.length });
+    list.innerHTML = '';
+    
+    archived.forEach(activity => {
+        const li = document.createElement('li');
+        
+        const marker = document.createElement('span');
+        marker.className = 'activity-marker';
+        marker.style.backgroundColor = activity.color;
+        marker.textContent = activity.icon || '';
+        
+        const info = document.createElement('span');
+        info.className = 'activity-info';
+        const name = document.createElement('span');
+        name.textContent = activity.name;
+        const since = document.createElement('span');
+        since.className = 'activity-schedule';
+        since.textContent = t('activities.archivedOn', { date: formatShortDate(activity.archivedAt) });
+        info.appendChild(name);
+        info.appendChild(since);
+        
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'edit-btn';
+        restoreBtn.textContent = t('common.restore');
+        restoreBtn.addEventListener('click', () => restoreActivity(activity.id));
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'delete-btn';
+        deleteBtn.textContent = t('common.delete');
+        deleteBtn.addEventListener('click', () => deleteActivity(activity.id));
+        
+        li.appendChild(marker);
+        li.appendChild(info);
+        li.appendChild(restoreBtn);
+        li.appendChild(deleteBtn);
+        list.appendChild(li);
+    });
+}
+
+// Increment/decrement controls for a measurable activity
+function createMeasureControls(data, activity, date) {
+    const controls = document.createElement('div');
+    controls.className = 'measure-controls';
+    
+    const minusBtn = document.createElement('button');
+    minusBtn.className = 'measure-btn';
+    minusBtn.textContent = '−';
+    minusBtn.setAttribute('aria-label', t('measure.decrease', { name: activity.name }));
+    minusBtn.addEventListener('click', () => incrementActivity(activity.id, -1, date));
+    
+    const valueInput = document.createElement('input');
+    valueInput.type = 'number';
+    valueInput.className = 'measure-value';
+    valueInput.min = 0;
+    valueInput.step = 'any';
+    valueInput.value = getEntryValue(data, activity, date);
+    valueInput.setAttribute('aria-label', t('measure.value', { name: activity.name }));
+    valueInput.addEventListener('change', () => {
+        const value = parseFloat(valueInput.value);
+        setActivityValue(activity.id, value > 0 ? value : 0, date);
+    });
+    
+    const targetSpan = document.createElement('span');
+    targetSpan.className = 'measure-target';
+    targetSpan.textContent = `/ ${activity.target}${activity.unit ? ' ' + activity.unit : ''}`;
+    
+    const plusBtn = document.createElement('button');
+    plusBtn.className = 'measure-btn';
+    plusBtn.textContent = '+';
+    plusBtn.setAttribute('aria-label', t('measure.increase', { name: activity.name }));
+    plusBtn.addEventListener('click', () => incrementActivity(activity.id, 1, date));
+    
+    controls.appendChild(minusBtn);
+    controls.appendChild(valueInput);
+    controls.appendChild(targetSpan);
+    controls.appendChild(plusBtn);
+    return controls;
+}
+
+// Replace an activity row with an inline edit form
+function renderActivityEditor(li, activity) {
+    li.innerHTML = '';
+    li.classList.add('editing');
+    
+    const form = document.createElement('div');
+    form.className = 'activity-editor';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = activity.name;
+    nameInput.maxLength = 100;
+    nameInput.placeholder = t('editor.name');
+    
+    const iconInput = document.createElement('input');
+    iconInput.type = 'text';
+    iconInput.className = 'icon-input';
+    iconInput.value = activity.icon || '';
+    iconInput.maxLength = 4;
+    iconInput.placeholder = t('editor.icon');
+    
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = activity.color;
+    
+    const descriptionInput = document.createElement('input');
+    descriptionInput.type = 'text';
+    descriptionInput.value = activity.description || '';
+    descriptionInput.maxLength = 300;
+    descriptionInput.placeholder = t('editor.description');
+    
+    const categoryFields = createCategoryFields(activity);
+    const timeOfDayField = createTimeOfDayField(activity.timeOfDay);
+    const scheduleFields = createScheduleFields(activity.schedule);
+    const typeFields = createTypeFields(activity);
+    const reminderField = createReminderField(activity.reminderTime);
+    const pauseFields = createPauseFields(activity.pauses);
+    
+    const row = document.createElement('div');
+    row.className = 'editor-row';
+    row.appendChild(iconInput);
+    row.appendChild(colorInput);
+    row.appendChild(nameInput);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'save-btn';
+    saveBtn.textContent = t('common.save');
+    saveBtn.addEventListener('click', () => {
+        updateActivity(activity.id, {
+            name: nameInput.value,
+            icon: iconInput.value,
+            color: colorInput.value,
+            description: descriptionInput.value,
+            schedule: scheduleFields.getSchedule(),
+            reminderTime: reminderField.getValue(),
+            timeOfDay: timeOfDayField.getValue(),
+            pauses: pauseFields.getPauses(),
+            ...categoryFields.getValues(),
+            ...typeFields.getValues()
+        });
+    });
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = t('common.cancel');
+    cancelBtn.addEventListener('click', () => renderActivities());
+    
+    // Saves what's in the form, without applying it to the activity
+    const templateBtn = document.createElement('button');
+    templateBtn.className = 'edit-btn';
+    templateBtn.textContent = t('editor.saveAsTemplate');
+    templateBtn.addEventListener('click', () => {
+        saveTemplate({
+            name: nameInput.value,
+            icon: iconInput.value,
+            color: colorInput.value,
+            description: descriptionInput.value,
+            schedule: scheduleFields.getSchedule(),
+            timeOfDay: timeOfDayField.getValue(),
+            ...categoryFields.getValues(),
+            ...typeFields.getValues()
+        });
+    });
+    
+    buttons.appendChild(saveBtn);
+    buttons.appendChild(cancelBtn);
+    buttons.appendChild(templateBtn);
+    
+    form.appendChild(row);
+    form.appendChild(descriptionInput);
+    form.appendChild(categoryFields.element);
+    form.appendChild(timeOfDayField.element);
+    form.appendChild(scheduleFields.element);
+    form.appendChild(typeFields.element);
+    form.appendChild(reminderField.element);
+    form.appendChild(pauseFields.element);
+    form.appendChild(buttons);
+    li.appendChild(form);
+    
+    nameInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') saveBtn.click();
+    });
+    nameInput.focus();
+}
+
+// Build schedule inputs; returns the element and a reader for its value
+function createScheduleFields(schedule) {
+    const current = schedule || { type: 'daily' };
+    
+    const container = document.createElement('div');
+    container.className = 'schedule-fields';
+    
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'schedule-type';
+    typeSelect.setAttribute('aria-label', t('schedule.label'));
+    [
+        ['daily', t('schedule.everyDay')],
+        ['weekdays', t('schedule.weekdays')],
+        ['weekly', t('schedule.weekly')],
+        ['monthly', t('schedule.monthly')],
+        ['interval', t('schedule.interval')]
+    ].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        option.selected = value === current.type;
+        typeSelect.appendChild(option);
+    });
+    
+    const weekdays = document.createElement('div');
+    weekdays.className = 'schedule-weekdays';
+    const dayCheckboxes = getOrderedWeekdays().map(day => {
+        const dayLabel = document.createElement('label');
+        const dayCheckbox = document.createElement('input');
+        dayCheckbox.type = 'checkbox';
+        dayCheckbox.value = day;
+        dayCheckbox.checked = current.type === 'weekdays' && current.days.includes(day);
+        dayLabel.appendChild(dayCheckbox);
+        dayLabel.appendChild(document.createTextNode(getWeekdayName(day)));
+        weekdays.appendChild(dayLabel);
+        return dayCheckbox;
+    });
+    
+    const numberInput = document.createElement('input');
+    numberInput.type = 'number';
+    numberInput.className = 'schedule-number';
+    numberInput.min = 1;
+    numberInput.setAttribute('aria-label', t('schedule.amount'));
+    numberInput.value = current.times || current.every || 3;
+    
+    const updateVisibility = () => {
+        const type = typeSelect.value;
+        weekdays.style.display = type === 'weekdays' ? 'flex' : 'none';
+        numberInput.style.display = ['weekly', 'monthly', 'interval'].includes(type) ? 'inline-block' : 'none';
+        numberInput.max = type === 'weekly' ? 7 : (type === 'monthly' ? 31 : 365);
+    };
+    typeSelect.addEventListener('change', updateVisibility);
+    updateVisibility();
+    
+    container.appendChild(typeSelect);
+    container.appendChild(numberInput);
+    container.appendChild(weekdays);
+    
+    return {
+        element: container,
+        getSchedule() {
+            const type = typeSelect.value;
+            const amount = parseInt(numberInput.value, 10);
+            switch (type) {
+                case 'weekdays':
+                    return { type, days: dayCheckboxes.filter(cb => cb.checked).map(cb => parseInt(cb.value, 10)) };
+                case 'weekly':
+                case 'monthly':
+                    return { type, times: amount };
+                case 'interval':
+                    return { type, every: amount };
+                default:
+                    return { type: 'daily' };
+            }
+        },
+        reset() {
+            typeSelect.value = 'daily';
+            dayCheckboxes.forEach(cb => { cb.checked = false; });
+            numberInput.value = 3;
+            updateVisibility();
+        }
+    };
+}
+
+// Build activity type inputs (checkbox vs measurable with target and unit)
+function createTypeFields(activity) {
+    const current = activity || { type: 'check', target: 1, unit: '', step: 1 };
+    
+    const container = document.createElement('div');
+    container.className = 'type-fields';
+    
+    const typeSelect = document.createElement('select');
+    typeSelect.setAttribute('aria-label', t('measure.type'));
+    [['check', t('measure.check')], ['measure', t('measure.measure')]].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        option.selected = value === current.type;
+        typeSelect.appendChild(option);
+    });
+    
+    const makeInput = (type, value, placeholder) => {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        input.placeholder = placeholder;
+        input.setAttribute('aria-label', placeholder);
+        return input;
+    };
+    
+    const targetInput = makeInput('number', current.type === 'measure' ? current.target : 30, t('measure.target'));
+    targetInput.min = 0;
+    targetInput.step = 'any';
+    const unitInput = makeInput('text', current.unit || '', t('measure.unit'));
+    unitInput.maxLength = 20;
+    const stepInput = makeInput('number', current.step || 1, t('measure.step'));
+    stepInput.min = 0;
+    stepInput.step = 'any';
+    
+    const measureInputs = document.createElement('div');
+    measureInputs.className = 'measure-inputs';
+    measureInputs.appendChild(targetInput);
+    measureInputs.appendChild(unitInput);
+    measureInputs.appendChild(stepInput);
+    
+    const updateVisibility = () => {
+        measureInputs.style.display = typeSelect.value === 'measure' ? 'flex' : 'none';
+    };
+    typeSelect.addEventListener('change', updateVisibility);
+    updateVisibility();
+    
+    container.appendChild(typeSelect);
+    container.appendChild(measureInputs);
+    
+    return {
+        element: container,
+        getValues() {
+            return {
+                type: typeSelect.value,
+                target: targetInput.value,
+                unit: unitInput.value,
+                step: stepInput.value
+            };
+        },
+        reset() {
+            typeSelect.value = 'check';
+            targetInput.value = 30;
+            unitInput.value = '';
+            stepInput.value = 1;
+            updateVisibility();
+        }
+    };
+}
+
+// Build the pause list editor (vacation, illness...); pauses are only
+// stored when the activity editor is saved
+function createPauseFields(pauses) {
+    let current = (pauses || []).map(pause => Object.assign({}, pause));
+    
+    const container = document.createElement('div');
+    container.className = 'pause-fields';
+    
+    const heading = document.createElement('span');
+    heading.className = 'pause-heading';
+    heading.textContent = t('pauses.title');
+    
+    const list = document.createElement('ul');
+    list.className = 'pause-list';
+    
+    const startInput = document.createElement('input');
+    startInput.type = 'date';
+    startInput.value = getTodayDate();
+    startInput.setAttribute('aria-label', t('pauses.start'));
+    
+    const endInput = document.createElement('input');
+    endInput.type = 'date';
+    endInput.setAttribute('aria-label', t('pauses.end'));
+    endInput.title = t('pauses.endHint');
+    
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'edit-btn';
+    addBtn.textContent = t('pauses.add');
+    
+    const renderList = () => {
+        list.innerHTML = '';
+        current.forEach((pause, index) => {
+            const li = document.createElement('li');
+            li.textContent = pause.end
+                ? t('pauses.range', { start: formatShortDate(pause.start), end: formatShortDate(pause.end) })
+                : t('pauses.openEnded', { start: formatShortDate(pause.start) });
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'pause-remove';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', t('pauses.remove'));
+            removeBtn.addEventListener('click', () => {
+                current.splice(index, 1);
+                renderList();
+            });
+            li.appendChild(removeBtn);
+            list.appendChild(li);
+        });
+    };
+    
+    addBtn.addEventListener('click', () => {
+        const pauses = normalizePauses(current.concat({ start: startInput.value, end: endInput.value || null }));
+        if (!pauses) {
+            showAlert(t('activities.invalidPauses'));
+            return;
+        }
+        current = pauses;
+        endInput.value = '';
+        renderList();
+    });
+    
+    const inputs = document.createElement('div');
+    inputs.className = 'pause-inputs';
+    inputs.appendChild(startInput);
+    inputs.appendChild(document.createTextNode(t('common.to')));
+    inputs.appendChild(endInput);
+    inputs.appendChild(addBtn);
+    
+    container.appendChild(heading);
+    container.appendChild(list);
+    container.appendChild(inputs);
+    renderList();
+    
+    return {
+        element: container,
+        getPauses() {
+            return current;
+        }
+    };
+}
+
+// Build the optional reminder time input for an activity
+function createReminderField(time) {
+    const container = document.createElement('label');
+    container.className = 'reminder-field';
+    container.appendChild(document.createTextNode(t('editor.remindAt')));
+    
+    const input = document.createElement('input');
+    input.type = 'time';
+    input.value = time || '';
+    container.appendChild(input);
+    
+    return {
+        element: container,
+        getValue() {
+            return input.value;
+        },
+        reset() {
+            input.value = '';
+        }
+    };
+}
+
+// Update date display
+function updateDateDisplay() {
+    const dateString = formatDate(getTodayDate(), { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    const dateDisplayEl = document.getElementById('dateDisplay');
+    if (dateDisplayEl) {
+        dateDisplayEl.textContent = dateString;
+    }
+}
+
+// Month shown in the calendar; null means the current month
+let calendarView = null;
+
+// Month currently displayed as { year, month }
+function getCalendarMonth() {
+    if (calendarView) return calendarView;
+    const today = parseDateKey(getTodayDate());
+    return { year: today.getFullYear(), month: today.getMonth() };
+}
+
+// Show a specific month in the calendar (month is zero-based, may overflow)
+function setCalendarMonth(year, month) {
+    const first = new Date(year, month, 1);
+    calendarView = { year: first.getFullYear(), month: first.getMonth() };
+    generateCalendar();
+}
+
+// Move the calendar by a number of months
+function shiftCalendarMonth(offset) {
+    const current = getCalendarMonth();
+    setCalendarMonth(current.year, current.month + offset);
+}
+
+// Update the month title and picker above the calendar
+function updateCalendarNav(year, month) {
+    const titleEl = document.getElementById('calendarTitle');
+    const pickerEl = document.getElementById('calendarMonthPicker');
+    if (titleEl) {
+        titleEl.textContent = formatDate(makeDateKey(year, month, 1), { month: 'long', year: 'numeric' });
+    }
+    if (pickerEl) {
+        pickerEl.value = `${year}-${String(month + 1).padStart(2, '0')}`;
+    }
+}
+
+// Generate monthly calendar view
+function generateCalendar() {
+    const data = getData();
+    const activities = data.activities;
+    const { year, month } = getCalendarMonth();
+    
+    const calendarContainer = document.getElementById('calendarContainer');
+    if (!calendarContainer) return;
+    
+    updateCalendarNav(year, month);
+    
+    const firstDay = new Date(year, month, 1);
+    const lastDay = new Date(year, month + 1, 0);
+    const daysInMonth = lastDay.getDate();
+    // Blank cells before the 1st, counted from the configured week start
+    const startingDayOfWeek = (firstDay.getDay() - getWeekStart() + 7) % 7;
+    
+    const fragment = document.createDocumentFragment();
+    const hadFocus = calendarContainer.contains(document.activeElement);
+    const focusDate = getCalendarFocusDate(year, month);
+    calendarContainer.innerHTML = '';
+    
+    // Days are reached with the arrow keys; only one is in the tab order
+    const calendarGrid = document.createElement('div');
+    calendarGrid.className = 'calendar-grid';
+    calendarGrid.setAttribute('role', 'group');
+    calendarGrid.setAttribute('aria-label', formatDate(makeDateKey(year, month, 1), { month: 'long', year: 'numeric' }));
+    calendarGrid.addEventListener('keydown', handleCalendarKeydown);
+    
+    getOrderedWeekdays().forEach(day => {
+        const header = document.createElement('div');
+        header.className = 'calendar-header';
+        header.setAttribute('aria-hidden', 'true');
+        header.textContent = getWeekdayName(day);
+        calendarGrid.appendChild(header);
+    });
+    
+    for (let i = 0; i < startingDayOfWeek; i++) {
+        const emptyCell = document.createElement('div');
+        emptyCell.className = 'calendar-day blank';
+        emptyCell.setAttribute('aria-hidden', 'true');
+        calendarGrid.appendChild(emptyCell);
+    }
+    
+    for (let day = 1; day <= daysInMonth; day++) {
+        const dateStr = makeDateKey(year, month, day);
+        const summary = getDaySummary(data, dateStr);
+        const hasData = summary.hasData;
+        const completionPercentage = summary.percentage;
+        
+        const dayCell = document.createElement('div');
+        dayCell.className = 'calendar-day';
+        dayCell.dataset.date = dateStr;
+        dayCell.setAttribute('role', 'button');
+        dayCell.setAttribute('aria-label', describeCalendarDay(data, dateStr, summary));
+        dayCell.tabIndex = dateStr === focusDate ? 0 : -1;
+        
+        if (activities.length > 0 && summary.due === 0) {
+            dayCell.classList.add('rest');
+        } else if (activities.length > 0) {
+            if (completionPercentage === 100) {
+                dayCell.classList.add('completed');
+            } else if (completionPercentage > 0 && completionPercentage < 100) {
+                dayCell.classList.add('partial');
+            } else if (hasData) {
+                dayCell.classList.add('empty');
+            }
+        }
+        
+        const todayStr = getTodayDate();
+        if (dateStr === todayStr) {
+            dayCell.classList.add('today');
+            dayCell.setAttribute('aria-current', 'date');
+        }
+        
+        const dayNumber = document.createElement('span');
+        dayNumber.className = 'day-number';
+        dayNumber.textContent = day;
+        dayCell.appendChild(dayNumber);
+        
+        if (activities.length > 0) {
+            const percentageSpan = document.createElement('span');
+            percentageSpan.className = 'day-percentage';
+            if (summary.due === 0) {
+                percentageSpan.textContent = t('calendar.rest');
+            } else if (hasData) {
+                percentageSpan.textContent = Math.round(completionPercentage) + '%';
+            } else {
+                percentageSpan.textContent = '-';
+            }
+            dayCell.appendChild(percentageSpan);
+        }
+        
+        const mood = data.journal[dateStr] && data.journal[dateStr].mood;
+        if (mood) {
+            const moodSpan = document.createElement('span');
+            moodSpan.className = 'calendar-mood';
+            moodSpan.textContent = MOOD_EMOJIS[mood - 1];
+            moodSpan.title = t('calendar.moodTitle', { mood: getMoodLabel(mood) });
+            dayCell.appendChild(moodSpan);
+        }
+        
+        dayCell.addEventListener('click', () => {
+            calendarFocusDate = dateStr;
+            showDayDetails(dateStr);
+        });
+        
+        calendarGrid.appendChild(dayCell);
+    }
+    
+    fragment.appendChild(calendarGrid);
+    calendarContainer.appendChild(fragment);
+    
+    if (hadFocus) {
+        const focusCell = calendarGrid.querySelector('.calendar-day[tabindex="0"]');
+        if (focusCell) focusCell.focus();
+    }
+}
+
+// ==================== ANALYTICS ====================
+
+const ANALYTICS_MAX_DAYS = 3660;
+
+// Completion rate (0-100) of one activity, or of all activities when no
+// id is given, for each date. Days with nothing due are null, and so is
+// today until something is logged, since it can still be completed.
+function getDailyRates(data, dates, activityId) {
+    const today = getTodayDate();
+    const activity = activityId ? getActivityById(data, activityId) : null;
+    
+    return dates.map(date => {
+        let rate = null;
+        if (activity) {
+            if (isActivityDue(data, activity, date)) {
+                rate = getActivityProgress(data, activity, date) * 100;
+            }
+        } else {
+            const summary = getDaySummary(data, date);
+            if (summary.due > 0) rate = summary.percentage;
+        }
+        return date === today && rate === 0 ? null : rate;
+    });
+}
+
+// Average of the non-null rates, or null when there are none
+function averageRates(rates) {
+    const counted = rates.filter(rate => rate !== null);
+    if (counted.length === 0) return null;
+    return counted.reduce((sum, rate) => sum + rate, 0) / counted.length;
+}
+
+// Trailing average over `window` days at each position
+function getRollingAverage(rates, window) {
+    return rates.map((rate, index) => averageRates(rates.slice(Math.max(0, index - window + 1), index + 1)));
+}
+
+// Average rate per weekday (0 = Sunday)
+function getWeekdayRates(dates, rates) {
+    const byDay = [[], [], [], [], [], [], []];
+    dates.forEach((date, index) => byDay[getDayOfWeek(date)].push(rates[index]));
+    return byDay.map(averageRates);
+}
+
+// Selected range and the period of equal length right before it.
+// Returns null when a custom range is incomplete or invalid.
+function getAnalyticsRange(rangeValue, customStart, customEnd) {
+    const today = getTodayDate();
+    let start;
+    let end = today;
+    
+    if (rangeValue === 'custom') {
+        if (!isValidDateKey(customStart) || !isValidDateKey(customEnd) || customStart > customEnd) return null;
+        start = customStart;
+        end = customEnd;
+        if (diffDays(start, end) >= ANALYTICS_MAX_DAYS) {
+            start = addDays(end, -(ANALYTICS_MAX_DAYS - 1));
+        }
+    } else {
+        start = addDays(today, -((parseInt(rangeValue, 10) || 30) - 1));
+    }
+    
+    const length = diffDays(start, end) + 1;
+    return {
+        start,
+        end,
+        previousStart: addDays(start, -length),
+        previousEnd: addDays(start, -1)
+    };
+}
+
+// Rates for a range and the one before it, for all activities or one
+function getPeriodComparison(data, range, activityId) {
+    const current = averageRates(getDailyRates(data, getDateRange(range.start, range.end), activityId));
+    const previous = averageRates(getDailyRates(data, getDateRange(range.previousStart, range.previousEnd), activityId));
+    return { current, previous };
+}
+
+function formatRate(rate) {
+    return rate === null ? '–' : `${Math.round(rate)}%`;
+}
+
+// "+12 pts" style change between two rates, with a direction class
+function describeRateChange(current, previous) {
+    if (current === null || previous === null) {
+        return { text: t('analytics.noEarlierData'), className: 'flat' };
+    }
+    const delta = Math.round(current - previous);
+    if (delta === 0) return { text: t('analytics.sameAsBefore'), className: 'flat' };
+    const points = t('analytics.points', { delta: `${delta > 0 ? '▲ +' : '▼ '}${delta}` });
+    return {
+        text: t('analytics.vsPrevious', { points }),
+        points,
+        className: delta > 0 ? 'up' : 'down'
+    };
+}
+
+function createSummaryCard(label, value, detail, detailClass) {
+    const card = document.createElement('div');
+    card.className = 'analytics-card';
+    
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'stat-label';
+    labelSpan.textContent = label;
+    
+    const valueSpan = document.createElement('span');
+    valueSpan.className = 'analytics-card-value';
+    valueSpan.textContent = value;
+    
+    card.appendChild(labelSpan);
+    card.appendChild(valueSpan);
+    if (detail) {
+        const detailSpan = document.createElement('span');
+        detailSpan.className = 'analytics-change ' + (detailClass || '');
+        detailSpan.textContent = detail;
+        card.appendChild(detailSpan);
+    }
+    return card;
+}
+
+// Per-activity rates for the range compared with the previous period
+function renderAnalyticsTable(data, range) {
+    const table = document.getElementById('analyticsTable');
+    if (!table) return;
+    table.innerHTML = '';
+    
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['analytics.activity', 'analytics.completion', 'analytics.previous', 'analytics.change'].forEach(key => {
+        const th = document.createElement('th');
+        th.textContent = t(key);
+        headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+    
+    const body = document.createElement('tbody');
+    const rows = data.activities.map(activity => Object.assign({ activity }, getPeriodComparison(data, range, activity.id)));
+    rows.sort((a, b) => (b.current === null ? -1 : b.current) - (a.current === null ? -1 : a.current));
+    
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        const change = describeRateChange(row.current, row.previous);
+        
+        const nameCell = document.createElement('td');
+        const marker = document.createElement('span');
+        marker.className = 'activity-marker small';
+        marker.style.backgroundColor = row.activity.color;
+        nameCell.appendChild(marker);
+        nameCell.appendChild(document.createTextNode(row.activity.name));
+        
+        const currentCell = document.createElement('td');
+        currentCell.textContent = formatRate(row.current);
+        const previousCell = document.createElement('td');
+        previousCell.textContent = formatRate(row.previous);
+        const changeCell = document.createElement('td');
+        changeCell.className = 'analytics-change ' + change.className;
+        changeCell.textContent = change.className === 'flat' ? '–' : change.points;
+        
+        tr.appendChild(nameCell);
+        tr.appendChild(currentCell);
+        tr.appendChild(previousCell);
+        tr.appendChild(changeCell);
+        body.appendChild(tr);
+    });
+    
+    table.appendChild(head);
+    table.appendChild(body);
+}
+
+// Statistics view: summary, trend line, weekday breakdown and per-activity table
+function renderAnalytics() {
+    const summaryEl = document.getElementById('analyticsSummary');
+    const trendEl = document.getElementById('analyticsTrend');
+    const weekdaysEl = document.getElementById('analyticsWeekdays');
+    const weekdayNote = document.getElementById('analyticsWeekdayNote');
+    const rangeSelect = document.getElementById('analyticsRange');
+    const customRange = document.getElementById('analyticsCustomRange');
+    const startInput = document.getElementById('analyticsStart');
+    const endInput = document.getElementById('analyticsEnd');
+    const tableWrapper = document.getElementById('analyticsTableWrapper');
+    if (!summaryEl || !trendEl || !weekdaysEl || !rangeSelect) return;
+    
+    const data = getData();
+    const activityId = renderActivityFilter(data, 'analyticsActivity');
+    const rangeValue = rangeSelect.value;
+    if (customRange) customRange.hidden = rangeValue !== 'custom';
+    if (endInput) endInput.max = getTodayDate();
+    
+    summaryEl.innerHTML = '';
+    trendEl.innerHTML = '';
+    weekdaysEl.innerHTML = '';
+    if (weekdayNote) weekdayNote.textContent = '';
+    
+    const range = getAnalyticsRange(rangeValue, startInput && startInput.value, endInput && endInput.value);
+    if (data.activities.length === 0 || !range) {
+        const empty = document.createElement('p');
+        empty.className = 'empty-state';
+        empty.textContent = data.activities.length === 0 ? t('analytics.noActivities') : t('analytics.pickRange');
+        summaryEl.appendChild(empty);
+        if (tableWrapper) tableWrapper.hidden = true;
+        return;
+    }
+    
+    const dates = getDateRange(range.start, range.end);
+    const rates = getDailyRates(data, dates, activityId);
+    const comparison = getPeriodComparison(data, range, activityId);
+    const change = describeRateChange(comparison.current, comparison.previous);
+    const counted = rates.filter(rate => rate !== null);
+    
+    summaryEl.appendChild(createSummaryCard(t('analytics.completionRate'), formatRate(comparison.current), change.text, change.className));
+    summaryEl.appendChild(createSummaryCard(t('analytics.previousPeriod'), formatRate(comparison.previous)));
+    summaryEl.appendChild(createSummaryCard(t(activityId ? 'analytics.daysDone' : 'analytics.perfectDays'), `${counted.filter(rate => rate >= 100).length} / ${counted.length}`));
+    
+    // A week smooths out daily noise; longer ranges use a monthly window
+    const window = dates.length > 120 ? 30 : 7;
+    const labelFormat = dates.length > 120 ? { month: 'short', year: '2-digit' } : { month: 'short', day: 'numeric' };
+    trendEl.appendChild(renderTrendChart({
+        values: rates,
+        trend: getRollingAverage(rates, window),
+        labels: dates.map(date => formatDate(date, labelFormat)),
+        label: t('analytics.trendLabel', { window })
+    }));
+    
+    const weekdayRates = getWeekdayRates(dates, rates);
+    let worst = -1;
+    weekdayRates.forEach((rate, day) => {
+        if (rate !== null && rate < 100 && (worst === -1 || rate < weekdayRates[worst])) worst = day;
+    });
+    // Bars follow the configured week start
+    const weekdays = getOrderedWeekdays();
+    weekdaysEl.appendChild(renderBarChart({
+        values: weekdays.map(day => weekdayRates[day]),
+        labels: weekdays.map(day => getWeekdayName(day)),
+        highlight: weekdays.indexOf(worst),
+        label: t('analytics.weekdayLabel')
+    }));
+    if (weekdayNote) {
+        weekdayNote.textContent = worst === -1
+            ? t('analytics.noWeakDays')
+            : t('analytics.mostMissed', { day: getWeekdayName(worst, 'long'), rate: formatRate(weekdayRates[worst]) });
+    }
+    
+    if (tableWrapper) {
+        tableWrapper.hidden = !!activityId;
+        if (!activityId) renderAnalyticsTable(data, range);
+    }
+}
+
+// ==================== HEATMAP ====================
+
+// Completion fraction (0-1) for a heatmap cell, or null when nothing was due
+function getHeatmapValue(data, date, activityId) {
+    if (activityId) {
+        const activity = getActivityById(data, activityId);
+        if (!activity || !isActivityDue(data, activity, date)) return null;
+        return getActivityProgress(data, activity, date);
+    }
+    const summary = getDaySummary(data, date);
+    return summary.due > 0 ? summary.percentage / 100 : null;
+}
+
+// Map a completion fraction onto one of five shades
+function getHeatmapLevel(value) {
+    if (value === null) return 'rest';
+    if (value <= 0) return 'level-0';
+    if (value < 1 / 3) return 'level-1';
+    if (value < 2 / 3) return 'level-2';
+    if (value < 1) return 'level-3';
+    return 'level-4';
+}
+
+// Fill an activity filter select and return the selected id ('' for all)
+function renderActivityFilter(data, selectId) {
+    const select = document.getElementById(selectId);
+    if (!select) return '';
+    
+    const selected = select.value;
+    select.innerHTML = '';
+    
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = t('filters.allActivities');
+    select.appendChild(allOption);
+    
+    data.activities.forEach(activity => {
+        const option = document.createElement('option');
+        option.value = activity.id;
+        option.textContent = activity.name;
+        select.appendChild(option);
+    });
+    
+    select.value = getActivityById(data, selected) ? selected : '';
+    return select.value;
+}
+
+// GitHub-style grid of the last 12 months, one column per week
+function renderHeatmap() {
+    const container = document.getElementById('heatmapContainer');
+    if (!container) return;
+    
+    const data = getData();
+    const activityId = renderActivityFilter(data, 'heatmapActivity');
+    const today = getTodayDate();
+    const start = getWeekBounds(addDays(addDays(today, 1), -365)).start;
+    if (!heatmapFocusDate || heatmapFocusDate < start || heatmapFocusDate > today) heatmapFocusDate = today;
+    const hadFocus = container.contains(document.activeElement);
+    
+    const fragment = document.createDocumentFragment();
+    container.innerHTML = '';
+    
+    const months = document.createElement('div');
+    months.className = 'heatmap-months';
+    
+    const grid = document.createElement('div');
+    grid.className = 'heatmap-grid';
+    grid.addEventListener('keydown', handleHeatmapKeydown);
+    
+    let column = 0;
+    for (let date = start; date <= today; date = addDays(date, 1)) {
+        const row = (getDayOfWeek(date) - getDayOfWeek(start) + 7) % 7;
+        if (row === 0) column++;
+        
+        if (date.endsWith('-01') || date === start) {
+            const monthLabel = document.createElement('span');
+            monthLabel.textContent = formatDate(date, { month: 'short' });
+            monthLabel.style.gridColumn = column;
+            months.appendChild(monthLabel);
+        }
+        
+        const value = getHeatmapValue(data, date, activityId);
+        const cell = document.createElement('div');
+        cell.className = 'heatmap-cell ' + getHeatmapLevel(value);
+        cell.style.gridColumn = column;
+        cell.style.gridRow = row + 1;
+        cell.title = `${formatShortDate(date)}: ${value === null ? t('calendar.nothingDue') : Math.round(value * 100) + '%'}`;
+        cell.dataset.date = date;
+        cell.setAttribute('role', 'button');
+        cell.setAttribute('aria-label', cell.title);
+        cell.tabIndex = date === heatmapFocusDate ? 0 : -1;
+        if (date === today) cell.classList.add('today');
+        cell.addEventListener('click', () => {
+            heatmapFocusDate = date;
+            showDayDetails(date);
+        });
+        grid.appendChild(cell);
+    }
+    
+    months.style.gridTemplateColumns = `repeat(${column}, 1fr)`;
+    grid.style.gridTemplateColumns = `repeat(${column}, 1fr)`;
+    
+    fragment.appendChild(months);
+    fragment.appendChild(grid);
+    container.appendChild(fragment);
+    // Re-rendering replaced the focused day, so focus its new cell
+    if (hadFocus) focusHeatmapDay(heatmapFocusDate);
+}
+
+// ==================== MODALS ====================
+
+// Create an overlay modal; closes on overlay click, × button or Escape.
+// Focus moves into the modal, stays there while it's open and returns to
+// the element that opened it. onClose runs however the modal was closed.
+// With { dismissible: false } only the caller's close() closes it.
+function openModal(className, onClose, options = {}) {
+    const dismissible = options.dismissible !== false;
+    const modal = document.createElement('div');
+    modal.className = 'day-modal' + (className ? ' ' + className : '');
+    const opener = document.activeElement;
+    
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.setAttribute('role', 'dialog');
+    modalContent.setAttribute('aria-modal', 'true');
+    modalContent.tabIndex = -1;
+    modal.appendChild(modalContent);
+    
+    // Only the topmost modal reacts to Escape and Tab
+    const keyHandler = (e) => {
+        const modals = document.querySelectorAll('.day-modal');
+        if (modals[modals.length - 1] !== modal) return;
+        if (e.key === 'Escape' && dismissible) {
+            closeModal();
+        } else if (e.key === 'Tab') {
+            trapFocus(e, modalContent);
+        }
+    };
+    
+    const closeModal = () => {
+        if (!modal.isConnected) return;
+        modal.remove();
+        document.removeEventListener('keydown', keyHandler);
+        if (opener && opener !== document.body && opener.isConnected) {
+            opener.focus();
+        }
+        if (onClose) onClose();
+    };
+    
+    modal.addEventListener('click', (e) => {
+        if (!dismissible) return;
+        if (e.target === modal || e.target.classList.contains('modal-close')) {
+            closeModal();
+        }
+    });
+    
+    document.addEventListener('keydown', keyHandler);
+    document.body.appendChild(modal);
+    
+    // Callers fill the modal right after this returns; dialogs that
+    // focus a button themselves keep it
+    Promise.resolve().then(() => {
+        labelModal(modalContent);
+        if (!modal.isConnected || modalContent.contains(document.activeElement)) return;
+        const first = getFocusableElements(modalContent).find(element => !element.classList.contains('modal-close'));
+        (first || modalContent).focus();
+    });
+    
+    return { modal, content: modalContent, close: closeModal };
+}
+
+// Header with a title and a close button
+function createModalHeader(title) {
+    const modalHeader = document.createElement('div');
+    modalHeader.className = 'modal-header';
+    
+    const headerTitle = document.createElement('h3');
+    headerTitle.textContent = title;
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'modal-close';
+    closeBtn.textContent = '×';
+    closeBtn.setAttribute('aria-label', t('common.close'));
+    
+    modalHeader.appendChild(headerTitle);
+    modalHeader.appendChild(closeBtn);
+    return modalHeader;
+}
+
+// Show day details in a modal/popup
+function showDayDetails(dateStr) {
+    // The calendar or heatmap may have been re-rendered while the modal
+    // was open, replacing the day that opened it
+    const fromHeatmap = document.activeElement.classList.contains('heatmap-cell');
+    const { modal } = openModal('', () => {
+        if (document.activeElement !== document.body) return;
+        if (fromHeatmap) {
+            focusHeatmapDay(dateStr);
+        } else if (calendarFocusDate === dateStr) {
+            focusCalendarDay(dateStr);
+        }
+    });
+    modal.dataset.date = dateStr;
+    renderDayDetails(modal);
+}
+
+// Re-render an open day modal after its data changed
+function refreshDayDetails() {
+    const modal = document.querySelector('.day-modal[data-date]');
+    if (modal) {
+        renderDayDetails(modal);
+    }
+}
+
+// Build the header, stats and activity list of a day modal
+function renderDayDetails(modal) {
+    const dateStr = modal.dataset.date;
+    const data = getData();
+    const dayData = data.dailyData[dateStr] || {};
+    const activities = data.activities;
+    const summary = getDaySummary(data, dateStr);
+    const editable = canEditDate(data, dateStr);
+    
+    const completedCount = summary.completed;
+    const totalCount = summary.due;
+    const completionPercentage = Math.round(summary.percentage);
+    
+    const modalContent = modal.querySelector('.modal-content');
+    const restoreFocus = rememberFocus(modalContent);
+    const restoreDrafts = rememberDayDrafts(modalContent);
+    modalContent.innerHTML = '';
+    
+    const modalHeader = createModalHeader(formatDate(dateStr, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }));
+    
+    const modalStats = document.createElement('div');
+    modalStats.className = 'modal-stats';
+    const statsPara = document.createElement('p');
+    const statsStrong = document.createElement('strong');
+    statsStrong.textContent = completionPercentage + '%';
+    statsPara.appendChild(document.createTextNode(t('day.completion') + ' '));
+    statsPara.appendChild(statsStrong);
+    statsPara.appendChild(document.createTextNode(` (${completedCount} / ${totalCount})`));
+    modalStats.appendChild(statsPara);
+    
+    if (!editable) {
+        const lockedPara = document.createElement('p');
+        lockedPara.className = 'modal-locked';
+        lockedPara.textContent = '🔒 ' + getLockedDateMessage(dateStr);
+        modalStats.appendChild(lockedPara);
+    }
+    
+    const modalBody = document.createElement('div');
+    modalBody.className = 'modal-body';
+    
+    if (activities.length === 0) {
+        const noActivities = document.createElement('p');
+        noActivities.className = 'no-activities';
+        noActivities.textContent = t('day.noActivities');
+        modalBody.appendChild(noActivities);
+    } else {
+        activities.forEach(activity => {
+            const isCompleted = isActivityCompleted(data, activity, dateStr);
+            const isStarted = dayData[activity.id] !== undefined;
+            const isDue = isActivityDue(data, activity, dateStr);
+            const inactiveReason = getInactiveReason(data, activity, dateStr);
+            
+            // Archived activities only show up on days they have history
+            if (inactiveReason === 'archived' && !isStarted) return;
+            
+            const activityDiv = document.createElement('div');
+            activityDiv.className = 'modal-activity';
+            activityDiv.dataset.id = activity.id;
+            
+            let statusEl;
+            if (editable && activity.type !== 'measure') {
+                statusEl = document.createElement('input');
+                statusEl.type = 'checkbox';
+                statusEl.className = 'modal-checkbox';
+                statusEl.checked = isCompleted;
+                statusEl.setAttribute('aria-label', activity.name);
+                statusEl.addEventListener('change', () => toggleActivity(activity.id, dateStr));
+            } else {
+                statusEl = document.createElement('span');
+                statusEl.className = 'activity-status ' + (isCompleted ? 'completed' : (!isDue ? 'not-due' : (isStarted ? 'not-completed' : 'not-started')));
+                statusEl.textContent = isCompleted ? '✓' : (!isDue ? '–' : (isStarted ? '○' : '-'));
+            }
+            
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'activity-name';
+            nameSpan.textContent = activity.name;
+            
+            activityDiv.appendChild(statusEl);
+            activityDiv.appendChild(nameSpan);
+            
+            if (activity.type === 'measure') {
+                if (editable) {
+                    activityDiv.appendChild(createMeasureControls(data, activity, dateStr));
+                } else {
+                    const valueSpan = document.createElement('span');
+                    valueSpan.className = 'activity-value';
+                    valueSpan.textContent = `${getEntryValue(data, activity, dateStr)} / ${activity.target}${activity.unit ? ' ' + activity.unit : ''}`;
+                    activityDiv.appendChild(valueSpan);
+                }
+            }
+            
+            if (!isDue && !isCompleted) {
+                activityDiv.classList.add('not-due');
+                const dueSpan = document.createElement('span');
+                dueSpan.className = 'activity-due-note';
+                dueSpan.textContent = t(`day.${inactiveReason || 'notDue'}`);
+                activityDiv.appendChild(dueSpan);
+            }
+            
+            if (editable && (inactiveReason === 'skipped' || (isDue && !isCompleted))) {
+                activityDiv.appendChild(createSkipButton(activity, inactiveReason === 'skipped', dateStr));
+            }
+            
+            const note = getActivityNote(data, activity.id, dateStr);
+            if (editable) {
+                const noteInput = document.createElement('input');
+                noteInput.type = 'text';
+                noteInput.className = 'modal-note';
+                noteInput.defaultValue = note;
+                noteInput.maxLength = MAX_NOTE_LENGTH;
+                noteInput.placeholder = t('day.notePlaceholder');
+                noteInput.setAttribute('aria-label', t('day.noteLabel', { name: activity.name }));
+                noteInput.addEventListener('change', () => {
+                    if (setActivityNote(activity.id, noteInput.value, dateStr)) noteInput.defaultValue = noteInput.value;
+                });
+                activityDiv.appendChild(noteInput);
+            } else if (note) {
+                const noteSpan = document.createElement('span');
+                noteSpan.className = 'modal-note';
+                noteSpan.textContent = note;
+                activityDiv.appendChild(noteSpan);
+            }
+            
+            modalBody.appendChild(activityDiv);
+        });
+    }
+    
+    modalContent.appendChild(modalHeader);
+    modalContent.appendChild(modalStats);
+    modalContent.appendChild(modalBody);
+    modalContent.appendChild(createJournalEditor(data, dateStr, editable));
+    labelModal(modalContent);
+    restoreFocus();
+    restoreDrafts();
+}
+
+// Note and journal text typed into a day modal but not saved yet (the
+// fields save on change). Returns a function that puts it, and the
+// caret, back into the re-rendered fields.
+function rememberDayDrafts(modalContent) {
+    const selector = 'input.modal-note, textarea.journal-text';
+    const findField = id => {
+        if (!id) return modalContent.querySelector('textarea.journal-text');
+        const row = Array.from(modalContent.querySelectorAll('.modal-activity')).find(element => element.dataset.id === id);
+        return row ? row.querySelector('input.modal-note') : null;
+    };
+    
+    const drafts = Array.from(modalContent.querySelectorAll(selector))
+        .filter(field => field.value !== field.defaultValue)
+        .map(field => {
+            const row = field.closest('.modal-activity');
+            return { id: row ? row.dataset.id : null, value: field.value };
+        });
+    const active = document.activeElement;
+    const caret = active && modalContent.contains(active) && active.matches(selector)
+        ? { start: active.selectionStart, end: active.selectionEnd }
+        : null;
+    
+    return () => {
+        drafts.forEach(({ id, value }) => {
+            const field = findField(id);
+            if (field) field.value = value;
+        });
+        const focused = document.activeElement;
+        if (caret && focused && modalContent.contains(focused) && focused.matches(selector)) {
+            focused.setSelectionRange(caret.start, caret.end);
+        }
+    };
+}
+
+// Mood picker and journal text for a day modal
+function createJournalEditor(data, dateStr, editable) {
+    const entry = getJournalEntry(data, dateStr);
+    
+    const journal = document.createElement('div');
+    journal.className = 'modal-journal';
+    
+    const heading = document.createElement('h4');
+    heading.textContent = t('journal.title');
+    journal.appendChild(heading);
+    
+    const moodPicker = document.createElement('div');
+    moodPicker.className = 'mood-picker';
+    moodPicker.setAttribute('role', 'group');
+    moodPicker.setAttribute('aria-label', t('journal.mood'));
+    const moodButtons = MOOD_EMOJIS.map((emoji, index) => {
+        const mood = index + 1;
+        const moodBtn = document.createElement('button');
+        moodBtn.className = 'mood-btn' + (entry.mood === mood ? ' selected' : '');
+        moodBtn.textContent = emoji;
+        moodBtn.title = getMoodLabel(mood);
+        moodBtn.setAttribute('aria-label', getMoodLabel(mood));
+        moodBtn.setAttribute('aria-pressed', entry.mood === mood ? 'true' : 'false');
+        moodBtn.disabled = !editable;
+        moodBtn.addEventListener('click', () => {
+            // Clicking the selected mood again clears it
+            const next = getJournalEntry(getData(), dateStr).mood === mood ? null : mood;
+            if (!setJournalEntry(dateStr, { mood: next })) return;
+            moodButtons.forEach((button, i) => {
+                button.classList.toggle('selected', next === i + 1);
+                button.setAttribute('aria-pressed', next === i + 1 ? 'true' : 'false');
+            });
+        });
+        moodPicker.appendChild(moodBtn);
+        return moodBtn;
+    });
+    journal.appendChild(moodPicker);
+    
+    if (editable) {
+        const textArea = document.createElement('textarea');
+        textArea.className = 'journal-text';
+        textArea.rows = 4;
+        textArea.maxLength = MAX_JOURNAL_LENGTH;
+        textArea.defaultValue = entry.text;
+        textArea.placeholder = t('journal.placeholder');
+        textArea.setAttribute('aria-label', t('journal.label'));
+        textArea.addEventListener('change', () => {
+            if (setJournalEntry(dateStr, { text: textArea.value })) textArea.defaultValue = textArea.value;
+        });
+        journal.appendChild(textArea);
+    } else {
+        const text = document.createElement('p');
+        text.className = 'journal-text';
+        text.textContent = entry.text || t('journal.empty');
+        journal.appendChild(text);
+    }
+    
+    return journal;
+}
+
+// ==================== DIALOGS & TOASTS ====================
+
+// Non-blocking replacement for alert(); resolves once dismissed
+function showAlert(message, title = t('app.name')) {
+    return new Promise(resolve => {
+        const { content, close } = openModal('dialog-modal', resolve);
+        content.setAttribute('role', 'alertdialog');
+        content.appendChild(createModalHeader(title));
+        
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+        const text = document.createElement('p');
+        text.className = 'dialog-message';
+        text.textContent = message;
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'form-buttons';
+        const okBtn = document.createElement('button');
+        okBtn.className = 'save-btn';
+        okBtn.textContent = t('common.ok');
+        okBtn.addEventListener('click', close);
+        buttons.appendChild(okBtn);
+        
+        body.appendChild(text);
+        body.appendChild(buttons);
+        content.appendChild(body);
+        okBtn.focus();
+    });
+}
+
+// Non-blocking replacement for confirm(); resolves to true when confirmed
+function showConfirm(message, options = {}) {
+    return new Promise(resolve => {
+        let confirmed = false;
+        const { content, close } = openModal('dialog-modal', () => resolve(confirmed));
+        content.setAttribute('role', 'alertdialog');
+        content.appendChild(createModalHeader(options.title || t('dialog.confirmTitle')));
+        
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+        const text = document.createElement('p');
+        text.className = 'dialog-message';
+        text.textContent = message;
+        body.appendChild(text);
+        
+        if (options.detail) {
+            const detail = document.createElement('p');
+            detail.className = 'setting-hint';
+            detail.textContent = options.detail;
+            body.appendChild(detail);
+        }
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'form-buttons';
+        const confirmBtn = document.createElement('button');
+        confirmBtn.className = options.danger ? 'delete-btn' : 'save-btn';
+        confirmBtn.textContent = options.confirmLabel || t('common.ok');
+        confirmBtn.addEventListener('click', () => {
+            confirmed = true;
+            close();
+        });
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'cancel-btn';
+        cancelBtn.textContent = t('common.cancel');
+        cancelBtn.addEventListener('click', close);
+        buttons.appendChild(confirmBtn);
+        buttons.appendChild(cancelBtn);
+        
+        body.appendChild(buttons);
+        content.appendChild(body);
+        cancelBtn.focus();
+    });
+}
+
+let toastTimer = null;
+// Message and options of the toast on screen, or null
+let shownToast = null;
+
+// Show a short message at the bottom of the screen, optionally with an
+// action button (e.g. Undo). A new toast replaces the current one.
+function showToast(message, options = {}) {
+    const toast = document.getElementById('toast');
+    if (!toast) return;
+    
+    clearTimeout(toastTimer);
+    toast.innerHTML = '';
+    
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+    
+    if (options.actionLabel && options.onAction) {
+        const actionBtn = document.createElement('button');
+        actionBtn.className = 'toast-action';
+        actionBtn.textContent = options.actionLabel;
+        actionBtn.addEventListener('click', () => {
+            hideToast();
+            options.onAction();
+        });
+        toast.appendChild(actionBtn);
+    }
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'toast-close';
+    closeBtn.textContent = '×';
+    closeBtn.setAttribute('aria-label', t('common.dismiss'));
+    closeBtn.addEventListener('click', hideToast);
+    toast.appendChild(closeBtn);
+    
+    toast.hidden = false;
+    shownToast = { message, options };
+    toastTimer = setTimeout(hideToast, options.duration || 5000);
+}
+
+function hideToast() {
+    const toast = document.getElementById('toast');
+    clearTimeout(toastTimer);
+    shownToast = null;
+    if (toast) toast.hidden = true;
+}
+
+// ==================== UNDO & REDO ====================
+
+const HISTORY_LIMIT = 30;
+// Each entry is { label, changes }: the parts of the data the action
+// touched, as they were before it. Undo puts back only those parts, so
+// unrecorded changes (theme, settings, visits) made since are kept.
+const undoStack = [];
+const redoStack = [];
+
+// A history path is [field] for a whole field, [field, date] for a day of
+// a PER_DAY_FIELDS map (see storage.js), or [field, id] for an item of the activity or goal list.
+// List items are read as { index, item } so they go back in their place.
+function readHistoryPath(data, path) {
+    const [field, key] = path;
+    if (key === undefined) return data[field];
+    if (Array.isArray(data[field])) {
+        const index = data[field].findIndex(item => item.id === key);
+        return index === -1 ? undefined : { index, item: data[field][index] };
+    }
+    return data[field][key];
+}
+
+function writeHistoryPath(data, path, value) {
+    const [field, key] = path;
+    if (key === undefined) {
+        data[field] = value;
+    } else if (Array.isArray(data[field])) {
+        const list = data[field].filter(item => item.id !== key);
+        if (value) list.splice(Math.min(value.index, list.length), 0, value.item);
+        data[field] = list;
+    } else if (value === undefined) {
+        delete data[field][key];
+    } else {
+        data[field][key] = value;
+    }
+}
+
+// Copy the current values at the given paths
+function captureHistory(data, paths) {
+    return paths.map(path => {
+        const value = readHistoryPath(data, path);
+        return { path, value: value === undefined ? undefined : JSON.parse(JSON.stringify(value)) };
+    });
+}
+
+// Remember the parts of the data the change about to be made touches, so
+// it can be undone. Call after validation, right before mutating, so no-ops
+// aren't recorded.
+function recordAction(label, paths) {
+    undoStack.push({ label, changes: captureHistory(getData(), paths) });
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+    showToast(label, { actionLabel: t('undo.undo'), onAction: undo });
+}
+
+// Put recorded values back and re-render. Returns the entry that reverses
+// this one, for the other stack.
+function restoreChanges(entry) {
+    const data = getData();
+    const reverse = { label: entry.label, changes: captureHistory(data, entry.changes.map(change => change.path)) };
+    entry.changes.slice().reverse().forEach(change => writeHistoryPath(data, change.path, change.value));
+    
+    // Only days of the day maps need comparing, unless a whole map changed
+    const paths = entry.changes.map(change => change.path);
+    const dayPaths = paths.filter(([field]) => PER_DAY_FIELDS.includes(field));
+    const changedDates = dayPaths.every(path => path[1] !== undefined)
+        ? Array.from(new Set(dayPaths.map(path => path[1])))
+        : undefined;
+    saveData(data, changedDates);
+    renderAll();
+    return reverse;
+}
+
+function undo() {
+    const entry = undoStack.pop();
+    if (!entry) {
+        showToast(t('undo.nothingToUndo'));
+        return;
+    }
+    redoStack.push(restoreChanges(entry));
+    showToast(t('undo.undone', entry), { actionLabel: t('undo.redo'), onAction: redo });
+}
+
+function redo() {
+    const entry = redoStack.pop();
+    if (!entry) {
+        showToast(t('undo.nothingToRedo'));
+        return;
+    }
+    undoStack.push(restoreChanges(entry));
+    showToast(t('undo.redone', entry), { actionLabel: t('undo.undo'), onAction: undo });
+}
+
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Text fields
+// keep their own undo.
+function handleUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (isTypingTarget(e.target)) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+    }
+}
+
+// ==================== KEYBOARD & ACCESSIBILITY ====================
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+// Arrow key moves in the calendar, in days
+const CALENDAR_KEY_OFFSETS = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+// Arrow key moves in the heatmap, whose columns are weeks
+const HEATMAP_KEY_OFFSETS = { ArrowLeft: -7, ArrowRight: 7, ArrowUp: -1, ArrowDown: 1 };
+// Keys with the catalogue entry describing them
+const KEYBOARD_SHORTCUTS = [
+    ['1 – 9', 'shortcuts.toggle'],
+    ['Ctrl+Z / Ctrl+Shift+Z', 'shortcuts.undo'],
+    ['← ↑ → ↓', 'shortcuts.arrows'],
+    ['Home / End', 'shortcuts.homeEnd'],
+    ['Page Up / Page Down', 'shortcuts.pages'],
+    ['Enter', 'shortcuts.enter'],
+    ['Escape', 'shortcuts.escape'],
+    ['?', 'shortcuts.help']
+];
+
+let modalTitleCount = 0;
+// Day the calendar keeps in the tab order (roving tabindex)
+let calendarFocusDate = null;
+// Day the heatmap keeps in the tab order
+let heatmapFocusDate = null;
+
+// Keys typed into form fields belong to the field, not to shortcuts
+function isTypingTarget(target) {
+    return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+// Read a message out to screen readers. Clearing the region first makes
+// the same message announce again.
+function announce(message) {
+    const region = document.getElementById('liveAnnouncer');
+    if (!region) return;
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+}
+
+// "Today: 3 of 5 done (60%)", announced after a check-in changes
+function describeDayProgress(data, date) {
+    const summary = getDaySummary(data, date);
+    const when = date === getTodayDate() ? t('progress.today') : formatShortDate(date);
+    if (summary.due === 0) return t('progress.announceNothingDue', { when });
+    return t('progress.announce', { when, completed: summary.completed, due: summary.due, percentage: Math.round(summary.percentage) });
+}
+
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(element => !element.closest('[hidden]'));
+}
+
+// Keep Tab and Shift+Tab cycling inside a container
+function trapFocus(e, container) {
+    const focusable = getFocusableElements(container);
+    if (focusable.length === 0) {
+        e.preventDefault();
+        container.focus();
+        return;
+    }
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = container.contains(document.activeElement);
+    if (e.shiftKey && (!inside || document.activeElement === first || document.activeElement === container)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// Name a dialog after the title in its header
+function labelModal(content) {
+    const title = content.querySelector('.modal-header h3');
+    if (!title) return;
+    if (!title.id) {
+        modalTitleCount++;
+        title.id = `modalTitle${modalTitleCount}`;
+    }
+    content.setAttribute('aria-labelledby', title.id);
+}
+
+// Re-rendering replaces elements and would drop keyboard focus. Call
+// before re-rendering; the returned function focuses the same control
+// again, found by its activity row (data-id) or the position of its
+// top-level block, and its position within that.
+function rememberFocus(container) {
+    const active = document.activeElement;
+    if (!active || active === container || !container.contains(active)) return () => {};
+    
+    const keyed = active.closest('[data-id]');
+    const row = keyed && container.contains(keyed) ? keyed : Array.from(container.children).find(child => child.contains(active));
+    const id = row.dataset.id;
+    const rowIndex = Array.from(container.children).indexOf(row);
+    const controlIndex = getFocusableElements(row).indexOf(active);
+    
+    return () => {
+        const newRow = id
+            ? Array.from(container.querySelectorAll('[data-id]')).find(element => element.dataset.id === id)
+            : container.children[rowIndex];
+        if (!newRow) return;
+        const controls = getFocusableElements(newRow);
+        const target = controls[controlIndex] || controls[0];
+        if (target) target.focus();
+    };
+}
+
+// Number keys 1-9 check off the Nth activity on today's list
+function handleActivityShortcut(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented || !/^[1-9]$/.test(e.key)) return;
+    if (isTypingTarget(e.target) || document.querySelector('.day-modal, #activityList .activity-editor')) return;
+    
+    const row = document.querySelectorAll('#activityList li[data-id]')[Number(e.key) - 1];
+    const activity = row && getActivityById(getData(), row.dataset.id);
+    if (!activity) return;
+    
+    e.preventDefault();
+    if (activity.type === 'measure') {
+        incrementActivity(activity.id, 1);
+    } else {
+        toggleActivity(activity.id);
+    }
+}
+
+// Advertise the number shortcuts on the first nine rows
+function labelActivityShortcuts(activityList) {
+    activityList.querySelectorAll('li[data-id]').forEach((row, index) => {
+        const control = row.querySelector('input[type="checkbox"]:not([disabled])') || row.querySelector('.measure-controls button:last-child');
+        if (control && index < 9) {
+            control.setAttribute('aria-keyshortcuts', String(index + 1));
+        }
+    });
+}
+
+// Same day of the month, `offset` months away (clamped to the month's end)
+function addMonthsToDate(date, offset) {
+    const current = parseDateKey(date);
+    const target = new Date(current.getFullYear(), current.getMonth() + offset, 1);
+    const daysInMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    return makeDateKey(target.getFullYear(), target.getMonth(), Math.min(current.getDate(), daysInMonth));
+}
+
+// Day of the displayed month that should be reachable with Tab
+function getCalendarFocusDate(year, month) {
+    const first = makeDateKey(year, month, 1);
+    const last = makeDateKey(year, month + 1, 0);
+    const today = getTodayDate();
+    if (calendarFocusDate && calendarFocusDate >= first && calendarFocusDate <= last) return calendarFocusDate;
+    return today >= first && today <= last ? today : first;
+}
+
+// Move keyboard focus to a calendar day, switching months when needed
+function focusCalendarDay(date) {
+    calendarFocusDate = date;
+    const target = parseDateKey(date);
+    const view = getCalendarMonth();
+    if (view.year !== target.getFullYear() || view.month !== target.getMonth()) {
+        setCalendarMonth(target.getFullYear(), target.getMonth());
+    }
+    
+    document.querySelectorAll('#calendarContainer .calendar-day[data-date]').forEach(cell => {
+        cell.tabIndex = cell.dataset.date === date ? 0 : -1;
+        if (cell.dataset.date === date) cell.focus();
+    });
+}
+
+function handleCalendarKeydown(e) {
+    const cell = e.target.closest('.calendar-day[data-date]');
+    if (!cell || e.ctrlKey || e.metaKey || e.altKey) return;
+    const date = cell.dataset.date;
+    
+    let next = null;
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        calendarFocusDate = date;
+        showDayDetails(date);
+        return;
+    } else if (CALENDAR_KEY_OFFSETS[e.key]) {
+        // Left and right follow the screen, so they swap in right-to-left layouts
+        const offset = CALENDAR_KEY_OFFSETS[e.key];
+        const mirrored = document.documentElement.dir === 'rtl' && Math.abs(offset) === 1;
+        next = addDays(date, mirrored ? -offset : offset);
+    } else if (e.key === 'Home' || e.key === 'End') {
+        const week = getWeekBounds(date);
+        next = e.key === 'Home' ? week.start : week.end;
+    } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+        next = addMonthsToDate(date, e.key === 'PageUp' ? -1 : 1);
+    }
+    if (!next) return;
+    
+    e.preventDefault();
+    focusCalendarDay(next);
+}
+
+// Move keyboard focus to a heatmap day if it's on the grid
+function focusHeatmapDay(date) {
+    const target = document.querySelector(`#heatmapContainer .heatmap-cell[data-date="${date}"]`);
+    if (!target) return;
+    heatmapFocusDate = date;
+    document.querySelectorAll('#heatmapContainer .heatmap-cell[data-date]').forEach(cell => {
+        cell.tabIndex = cell === target ? 0 : -1;
+    });
+    target.focus();
+}
+
+function handleHeatmapKeydown(e) {
+    const cell = e.target.closest('.heatmap-cell[data-date]');
+    if (!cell || e.ctrlKey || e.metaKey || e.altKey) return;
+    const date = cell.dataset.date;
+    
+    if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        heatmapFocusDate = date;
+        showDayDetails(date);
+    } else if (HEATMAP_KEY_OFFSETS[e.key]) {
+        e.preventDefault();
+        const offset = HEATMAP_KEY_OFFSETS[e.key];
+        const mirrored = document.documentElement.dir === 'rtl' && Math.abs(offset) === 7;
+        focusHeatmapDay(addDays(date, mirrored ? -offset : offset));
+    }
+}
+
+// What a screen reader says for a calendar day
+function describeCalendarDay(data, date, summary) {
+    const parts = [formatDate(date, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })];
+    if (date === getTodayDate()) parts.push(t('calendar.isToday'));
+    if (data.activities.length > 0) {
+        if (summary.due === 0) {
+            parts.push(t('calendar.nothingDue'));
+        } else if (summary.hasData) {
+            parts.push(t('calendar.doneCount', summary));
+        } else {
+            parts.push(t('calendar.notStarted'));
+        }
+    }
+    const mood = data.journal[date] && data.journal[date].mood;
+    if (mood) parts.push(t('calendar.mood', { mood: getMoodLabel(mood) }));
+    return parts.join(', ');
+}
+
+function showKeyboardShortcuts() {
+    const { content } = openModal('dialog-modal');
+    content.appendChild(createModalHeader(t('shortcuts.title')));
+    
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+    const list = document.createElement('dl');
+    list.className = 'shortcut-list';
+    KEYBOARD_SHORTCUTS.forEach(([keys, description]) => {
+        const term = document.createElement('dt');
+        const kbd = document.createElement('kbd');
+        kbd.textContent = keys;
+        term.appendChild(kbd);
+        const detail = document.createElement('dd');
+        detail.textContent = t(description);
+        list.appendChild(term);
+        list.appendChild(detail);
+    });
+    body.appendChild(list);
+    content.appendChild(body);
+}
+
+// "?" opens the shortcut list from anywhere outside a text field
+function handleHelpShortcut(e) {
+    if (e.key !== '?' || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+    if (document.querySelector('.day-modal')) return;
+    e.preventDefault();
+    showKeyboardShortcuts();
+}
+
+// ==================== SETTINGS ====================
+
+// Push stored preferences into the helpers that depend on them
+function applySettings() {
+    const data = getData();
+    setDayStartHour(data.settings.dayStartHour);
+    setWeekStart(data.settings.weekStartsOn);
+    clearQuotaPeriodCache();
+    setLocale(data.settings.locale);
+    translatePage();
+}
+
+function renderSettings() {
+    const data = getData();
+    const dayStartSelect = document.getElementById('dayStartSelect');
+    const backfillSelect = document.getElementById('backfillSelect');
+    const languageSelect = document.getElementById('languageSelect');
+    const weekStartSelect = document.getElementById('weekStartSelect');
+    const weeklySummarySelect = document.getElementById('weeklySummarySelect');
     
-    // Use document fragment for better performance
-    const fragment = document.createDocumentFragment();
-    activityList.innerHTML = '';
+    if (dayStartSelect) {
+        dayStartSelect.innerHTML = '';
+        for (let hour = 0; hour <= 6; hour++) {
+            const option = document.createElement('option');
+            option.value = hour;
+            option.textContent = hour === 0 ? t('settings.midnight') : formatHour(hour);
+            option.selected = hour === data.settings.dayStartHour;
+            dayStartSelect.appendChild(option);
+        }
+    }
+    
+    if (backfillSelect) {
+        backfillSelect.innerHTML = '';
+        [0, 1, 2, 3, 7, 14, 30].forEach(days => {
+            const option = document.createElement('option');
+            option.value = days;
+            option.textContent = days === 0 ? t('settings.noLimit') : t('common.dayCount', { count: days });
+            option.selected = days === data.settings.backfillDays;
+            backfillSelect.appendChild(option);
+        });
+    }
+    
+    if (languageSelect) {
+        languageSelect.innerHTML = '';
+        const autoOption = document.createElement('option');
+        autoOption.value = '';
+        autoOption.textContent = t('settings.languageAuto', { name: LOCALES[resolveLocale('')].name });
+        languageSelect.appendChild(autoOption);
+        Object.keys(LOCALES).forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = LOCALES[locale].name;
+            languageSelect.appendChild(option);
+        });
+        languageSelect.value = data.settings.locale;
+    }
+    
+    if (weekStartSelect) {
+        weekStartSelect.innerHTML = '';
+        // Sunday, Monday and Saturday cover the common conventions
+        [0, 1, 6].forEach(day => {
+            const option = document.createElement('option');
+            option.value = day;
+            option.textContent = getWeekdayName(day, 'long');
+            option.selected = day === data.settings.weekStartsOn;
+            weekStartSelect.appendChild(option);
+        });
+    }
+    
+    if (weeklySummarySelect) {
+        weeklySummarySelect.value = data.settings.weeklySummary;
+    }
+    
+    renderReminderSettings(data.settings);
+}
+
+// Save a single setting and re-render anything that depends on it
+function updateSetting(key, value) {
+    const data = getData();
+    data.settings[key] = value;
+    saveData(data, []);
+    applySettings();
+    checkDailyReset();
+    updateDateDisplay();
+    renderActivities();
+    refreshStats();
+}
+
+// ==================== BACKUP & RESTORE ====================
+
+// Version of the export file format (independent of DATA_SCHEMA_VERSION)
+const EXPORT_FORMAT_VERSION = 1;
+
+// Trigger a browser download for generated content
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Download the full data blob as a versioned JSON file
+function exportData() {
+    const data = getData();
+    const payload = {
+        app: 'tickora',
+        formatVersion: EXPORT_FORMAT_VERSION,
+        schemaVersion: data.schemaVersion,
+        exportedAt: new Date().toISOString(),
+        data: data
+    };
+    downloadFile(`tickora-backup-${getTodayDate()}.json`, JSON.stringify(payload, null, 2), 'application/json');
+}
+
+// Check an entry value: booleans for checkboxes, non-negative numbers for measurable
+function isValidEntryValue(value) {
+    return typeof value === 'boolean' || (typeof value === 'number' && isFinite(value) && value >= 0);
+}
+
+// Clean an activity from a backup or another device, filling in fields
+// older versions didn't have. Returns { activity } or { error }.
+function normalizeStoredActivity(item) {
+    if (!item || typeof item !== 'object') {
+        return { error: t('import.invalidActivity') };
+    }
+    const name = validateActivityName(item.name);
+    if (!name) {
+        return { error: t('import.invalidName') };
+    }
+    if (typeof item.id !== 'string' || !item.id) {
+        return { error: t('import.duplicateActivity', { name }) };
+    }
+    const schedule = normalizeSchedule(item.schedule || { type: 'daily' });
+    const measure = normalizeMeasure(item);
+    if (!schedule || !measure) {
+        return { error: t('import.invalidActivitySettings', { name }) };
+    }
+    const createdAt = isValidDateKey(item.createdAt) ? item.createdAt : getTodayDate();
+    return {
+        activity: Object.assign(createActivity(name), {
+            id: item.id,
+            createdAt,
+            scheduleStart: isValidDateKey(item.scheduleStart) ? item.scheduleStart : createdAt,
+            color: /^#[0-9a-fA-F]{6}$/.test(item.color) ? item.color : ACTIVITY_COLORS[0],
+            icon: sanitizeInput(item.icon || '').slice(0, 4),
+            description: sanitizeInput(item.description || '').slice(0, 300),
+            schedule,
+            reminderTime: normalizeTime(item.reminderTime),
+            archivedAt: isValidDateKey(item.archivedAt) ? item.archivedAt : null,
+            pauses: normalizePauses(item.pauses) || [],
+            category: normalizeCategory(item.category),
+            tags: normalizeTags(item.tags),
+            timeOfDay: normalizeTimeOfDay(item.timeOfDay),
+            suggestionKey: normalizeSuggestionKey(item.suggestionKey)
+        }, measure)
+    };
+}
+
+// Parse and validate an exported file. Returns { data } or { error }.
+function parseImportFile(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { error: t('import.invalidJson') };
+    }
+    
+    if (!parsed || typeof parsed !== 'object') {
+        return { error: t('import.notTickora') };
+    }
+    
+    // Accept both the export envelope and a raw tickoraData dump
+    let data = parsed;
+    if (parsed.app === 'tickora') {
+        if (parsed.formatVersion > EXPORT_FORMAT_VERSION) {
+            return { error: t('import.newerVersion') };
+        }
+        data = parsed.data;
+    }
+    
+    if (!data || typeof data !== 'object' || !Array.isArray(data.activities)) {
+        return { error: t('import.notTickora') };
+    }
+    if (data.schemaVersion > DATA_SCHEMA_VERSION) {
+        return { error: t('import.newerVersion') };
+    }
+    
+    data = JSON.parse(JSON.stringify(data));
+    if (!data.dailyData || typeof data.dailyData !== 'object') data.dailyData = {};
+    if (!Array.isArray(data.appOpens)) data.appOpens = [];
+    
+    try {
+        migrateData(data);
+    } catch (error) {
+        return { error: t('import.upgradeFailed') };
+    }
+    
+    return validateImportData(data);
+}
+
+// Validate migrated import data and return a clean copy
+function validateImportData(data) {
+    if (data.activities.length > MAX_ACTIVITIES) {
+        return { error: t('import.tooManyActivities', { max: MAX_ACTIVITIES }) };
+    }
+    
+    const activities = [];
+    const ids = new Set();
+    const names = new Set();
+    
+    for (const item of data.activities) {
+        const { activity, error } = normalizeStoredActivity(item);
+        if (error) return { error };
+        if (ids.has(activity.id) || names.has(activity.name)) {
+            return { error: t('import.duplicateActivity', { name: activity.name }) };
+        }
+        ids.add(activity.id);
+        names.add(activity.name);
+        activities.push(activity);
+    }
+    
+    const dailyData = {};
+    for (const date of Object.keys(data.dailyData)) {
+        if (!isValidDateKey(date)) {
+            return { error: t('import.invalidDate', { date: sanitizeInput(date).slice(0, 20) }) };
+        }
+        const dayData = data.dailyData[date];
+        if (!dayData || typeof dayData !== 'object') continue;
+        Object.keys(dayData).forEach(id => {
+            if (ids.has(id) && isValidEntryValue(dayData[id])) {
+                if (!dailyData[date]) dailyData[date] = {};
+                dailyData[date][id] = dayData[id];
+            }
+        });
+    }
+    
+    const notes = {};
+    const journal = {};
+    Object.keys(data.notes || {}).forEach(date => {
+        const dayNotes = data.notes[date];
+        if (!isValidDateKey(date) || !dayNotes || typeof dayNotes !== 'object') return;
+        Object.keys(dayNotes).forEach(id => {
+            const note = ids.has(id) ? normalizeText(dayNotes[id], MAX_NOTE_LENGTH) : '';
+            if (note) {
+                if (!notes[date]) notes[date] = {};
+                notes[date][id] = note;
+            }
+        });
+    });
+    const skips = {};
+    Object.keys(data.skips || {}).forEach(date => {
+        const daySkips = data.skips[date];
+        if (!isValidDateKey(date) || !daySkips || typeof daySkips !== 'object') return;
+        Object.keys(daySkips).forEach(id => {
+            if (ids.has(id) && daySkips[id] === true) {
+                if (!skips[date]) skips[date] = {};
+                skips[date][id] = true;
+            }
+        });
+    });
+    Object.keys(data.journal || {}).forEach(date => {
+        const entry = data.journal[date];
+        if (!isValidDateKey(date) || !entry || typeof entry !== 'object') return;
+        const mood = normalizeMood(entry.mood);
+        const text = normalizeText(entry.text, MAX_JOURNAL_LENGTH);
+        if (mood || text) journal[date] = { mood, text };
+    });
+    
+    const clean = initializeDataObject();
+    clean.activities = activities;
+    clean.dailyData = dailyData;
+    clean.notes = notes;
+    clean.journal = journal;
+    clean.skips = skips;
+    clean.appOpens = data.appOpens.filter(isValidDateKey);
+    clean.theme = data.theme === 'dark' ? 'dark' : 'light';
+    clean.settings = normalizeSettings(data.settings);
+    clean.visitStreak = data.visitStreak || 0;
+    clean.bestVisitStreak = data.bestVisitStreak || 0;
+    clean.templates = (Array.isArray(data.templates) ? data.templates : [])
+        .map(normalizeTemplate).filter(Boolean).slice(0, MAX_TEMPLATES);
+    clean.packs = (Array.isArray(data.packs) ? data.packs : [])
+        .map(normalizePack).filter(Boolean).slice(0, MAX_PACKS);
+    const goalIds = new Set();
+    clean.goals = (Array.isArray(data.goals) ? data.goals : [])
+        .map(item => normalizeGoal(clean, item))
+        .filter(goal => {
+            if (!goal || goalIds.has(goal.id)) return false;
+            goalIds.add(goal.id);
+            return true;
+        })
+        .slice(0, MAX_GOALS);
+    
+    return { data: clean };
+}
+
+// An entry value in the form an activity's type uses. A measured value
+// counts as checked when it reached the target it was logged against, and
+// a checked day counts as the full target.
+function convertEntryValue(value, activity, sourceTarget = activity.target) {
+    if (activity.type === 'measure') {
+        return typeof value === 'number' ? value : (value ? activity.target : 0);
+    }
+    return typeof value === 'number' ? value >= sourceTarget : !!value;
+}
+
+// Merge two entry values of the same type, keeping the one with more progress
+function mergeEntryValues(current, incoming) {
+    if (current === undefined) return incoming;
+    if (typeof current === 'number') return Math.max(current, incoming);
+    return current || incoming;
+}
+
+// Work out the result of an import and what it would change.
+// Merge matches activities by id, then by name, and keeps the
+// value with more progress when both sides have an entry.
+function buildImportPlan(current, incoming, mode) {
+    const changes = { activitiesAdded: [], activitiesRemoved: [], activitiesMatched: 0, entriesAdded: 0, entriesChanged: 0, entriesRemoved: 0, notesAdded: 0, skipped: [] };
+    
+    const countEntries = data => Object.keys(data.dailyData).reduce((sum, date) => sum + Object.keys(data.dailyData[date]).length, 0);
+    
+    if (mode === 'replace') {
+        const result = JSON.parse(JSON.stringify(incoming));
+        changes.activitiesAdded = incoming.activities.filter(a => !getActivityById(current, a.id)).map(a => a.name);
+        changes.activitiesRemoved = current.activities.filter(a => !getActivityById(incoming, a.id)).map(a => a.name);
+        changes.activitiesMatched = incoming.activities.length - changes.activitiesAdded.length;
+        changes.entriesRemoved = countEntries(current);
+        changes.entriesAdded = countEntries(incoming);
+        return { result, changes };
+    }
+    
+    const result = JSON.parse(JSON.stringify(current));
+    const idMap = {};
+    
+    incoming.activities.forEach(activity => {
+        const match = getActivityById(result, activity.id) ||
+            result.activities.find(a => a.name.toLowerCase() === activity.name.toLowerCase());
+        if (match) {
+            idMap[activity.id] = match.id;
+            changes.activitiesMatched++;
+            // Earlier history extends the tracked range; the schedule anchor stays
+            if (activity.createdAt < match.createdAt) match.createdAt = activity.createdAt;
+        } else if (result.activities.length < MAX_ACTIVITIES) {
+            result.activities.push(JSON.parse(JSON.stringify(activity)));
+            idMap[activity.id] = activity.id;
+            changes.activitiesAdded.push(activity.name);
+        } else {
+            changes.skipped.push(activity.name);
+        }
+    });
+    
+    Object.keys(incoming.dailyData).forEach(date => {
+        Object.keys(incoming.dailyData[date]).forEach(id => {
+            const targetId = idMap[id];
+            if (!targetId) return;
+            if (!result.dailyData[date]) result.dailyData[date] = {};
+            // Either side may track the activity as the other type
+            const target = getActivityById(result, targetId);
+            const before = result.dailyData[date][targetId];
+            const value = convertEntryValue(incoming.dailyData[date][id], target, getActivityById(incoming, id).target);
+            const after = mergeEntryValues(before === undefined ? undefined : convertEntryValue(before, target), value);
+            if (before === undefined) {
+                changes.entriesAdded++;
+            } else if (before !== after) {
+                changes.entriesChanged++;
+            }
+            result.dailyData[date][targetId] = after;
+        });
+    });
+    
+    // Skips only apply where nothing was logged for that day
+    Object.keys(incoming.skips).forEach(date => {
+        Object.keys(incoming.skips[date]).forEach(id => {
+            const targetId = idMap[id];
+            if (!targetId || (result.dailyData[date] && result.dailyData[date][targetId] !== undefined)) return;
+            if (!result.skips[date]) result.skips[date] = {};
+            result.skips[date][targetId] = true;
+        });
+    });
+    
+    // Notes and journal text already present locally are kept as they are
+    Object.keys(incoming.notes).forEach(date => {
+        Object.keys(incoming.notes[date]).forEach(id => {
+            const targetId = idMap[id];
+            if (!targetId || getActivityNote(result, targetId, date)) return;
+            if (!result.notes[date]) result.notes[date] = {};
+            result.notes[date][targetId] = incoming.notes[date][id];
+            changes.notesAdded++;
+        });
+    });
+    Object.keys(incoming.journal).forEach(date => {
+        const before = getJournalEntry(result, date);
+        const entry = incoming.journal[date];
+        const merged = { mood: before.mood || entry.mood, text: before.text || entry.text };
+        if (merged.mood !== before.mood || merged.text !== before.text) {
+            result.journal[date] = merged;
+            changes.notesAdded++;
+        }
+    });
+    
+    // Templates and packs are added by name; local ones win
+    incoming.templates.forEach(template => {
+        if (result.templates.length < MAX_TEMPLATES && !result.templates.some(t => t.name === template.name)) {
+            result.templates.push(template);
+        }
+    });
+    incoming.packs.forEach(pack => {
+        if (result.packs.length < MAX_PACKS && !result.packs.some(p => p.name === pack.name)) {
+            result.packs.push(pack);
+        }
+    });
+    
+    // Goals are added by id and follow their activity's local id
+    incoming.goals.forEach(goal => {
+        if (result.goals.length >= MAX_GOALS || getGoalById(result, goal.id)) return;
+        if (goal.activityId && !idMap[goal.activityId]) return;
+        result.goals.push(Object.assign({}, goal, { activityId: goal.activityId ? idMap[goal.activityId] : '' }));
+    });
+    
+    result.appOpens = [...new Set(result.appOpens.concat(incoming.appOpens))].sort();
+    updateVisitStreak(result);
+    
+    return { result, changes };
+}
+
+// Read a chosen backup file and show the import preview
+function importDataFile(file) {
+    if (!file) return;
+    if (file.size > 10000000) {
+        showAlert(t('import.tooLarge'));
+        return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        const parsed = parseImportFile(String(reader.result));
+        if (parsed.error) {
+            showAlert(t('import.failed', { error: parsed.error }));
+            return;
+        }
+        showImportPreview(parsed.data);
+    };
+    reader.onerror = () => showAlert(t('import.unreadable'));
+    reader.readAsText(file);
+}
+
+// Preview what an import will change before committing it
+function showImportPreview(incoming, options = {}) {
+    const { content, close } = openModal('import-modal');
+    const allowReplace = options.allowReplace !== false;
+    let mode = 'merge';
+    
+    content.appendChild(createModalHeader(t('import.title')));
+    
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+    
+    const modeGroup = document.createElement('div');
+    modeGroup.className = 'import-modes';
+    [['merge', t('import.merge')], ['replace', t('import.replace')]].forEach(([value, text]) => {
+        const label = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'importMode';
+        radio.value = value;
+        radio.checked = value === mode;
+        radio.addEventListener('change', () => {
+            mode = value;
+            renderPreview();
+        });
+        label.appendChild(radio);
+        label.appendChild(document.createTextNode(' ' + text));
+        modeGroup.appendChild(label);
+    });
+    
+    const preview = document.createElement('ul');
+    preview.className = 'import-preview';
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'save-btn';
+    confirmBtn.textContent = t('import.import');
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = t('common.cancel');
+    cancelBtn.addEventListener('click', close);
+    buttons.appendChild(confirmBtn);
+    buttons.appendChild(cancelBtn);
+    
+    const addLine = (text, className) => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        if (className) li.className = className;
+        preview.appendChild(li);
+    };
+    
+    const renderPreview = () => {
+        const { changes } = buildImportPlan(getData(), incoming, mode);
+        preview.innerHTML = '';
+        const listNames = names => {
+            const shown = names.slice(0, 5).join(', ');
+            return names.length > 5 ? t('import.more', { names: shown, count: names.length - 5 }) : shown;
+        };
+        
+        addLine(t('import.activitiesInFile', { count: incoming.activities.length, matched: changes.activitiesMatched }));
+        if (changes.activitiesAdded.length > 0) {
+            addLine(t('import.newActivities', { names: listNames(changes.activitiesAdded) }));
+        }
+        if (changes.activitiesRemoved.length > 0) {
+            addLine(t('import.removedActivities', { names: listNames(changes.activitiesRemoved) }), 'warning');
+        }
+        if (changes.skipped.length > 0) {
+            addLine(t('import.skipped', { max: MAX_ACTIVITIES, names: listNames(changes.skipped) }), 'warning');
+        }
+        if (mode === 'replace') {
+            addLine(t('import.entriesReplaced', { removed: changes.entriesRemoved, added: changes.entriesAdded }), 'warning');
+        } else {
+            addLine(t('import.entriesAdded', { added: changes.entriesAdded, changed: changes.entriesChanged }));
+            if (changes.notesAdded > 0) {
+                addLine(t('import.notesAdded', { count: changes.notesAdded }));
+            }
+        }
+    };
+    
+    confirmBtn.addEventListener('click', () => {
+        const current = getData();
+        const { result } = buildImportPlan(current, incoming, mode);
+        // Undo covers every field the import changed
+        const fields = Object.keys(Object.assign({}, current, result))
+            .filter(field => JSON.stringify(current[field]) !== JSON.stringify(result[field]));
+        recordAction(t(mode === 'replace' ? 'actions.replacedData' : 'actions.importedData'), fields.map(field => [field]));
+        saveData(result);
+        close();
+        renderAll();
+    });
+    
+    if (allowReplace) {
+        body.appendChild(modeGroup);
+    }
+    body.appendChild(preview);
+    body.appendChild(buttons);
+    content.appendChild(body);
+    
+    renderPreview();
+}
+
+// ==================== CSV EXPORT & IMPORT ====================
+
+// Build a <select> from [value, text] pairs
+function createSelect(options, selected, ariaLabel) {
+    const select = document.createElement('select');
+    if (ariaLabel) select.setAttribute('aria-label', ariaLabel);
+    options.forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        option.selected = String(value) === String(selected);
+        select.appendChild(option);
+    });
+    return select;
+}
+
+// Quote a CSV cell when needed; cells that spreadsheets would treat
+// as formulas are prefixed with an apostrophe
+function csvEscape(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// Entry value as a spreadsheet friendly cell (1/0 for checkboxes)
+function formatCsvValue(value) {
+    if (value === true) return '1';
+    if (value === false) return '0';
+    return value === undefined ? '' : String(value);
+}
+
+// Build a CSV of dailyData between two dates.
+// 'long' has one row per check-in, 'wide' one column per activity.
+function buildCsv(data, format, start, end) {
+    const rows = [];
+    const dates = getDateRange(start, end);
+    
+    if (format === 'wide') {
+        rows.push(['date'].concat(data.activities.map(activity => activity.name)));
+        dates.forEach(date => {
+            const dayData = data.dailyData[date] || {};
+            rows.push([date].concat(data.activities.map(activity => formatCsvValue(dayData[activity.id]))));
+        });
+    } else {
+        rows.push(['date', 'activity', 'value']);
+        dates.forEach(date => {
+            const dayData = data.dailyData[date];
+            if (!dayData) return;
+            data.activities.forEach(activity => {
+                if (dayData[activity.id] !== undefined) {
+                    rows.push([date, activity.name, formatCsvValue(dayData[activity.id])]);
+                }
+            });
+        });
+    }
+    
+    return rows.map(row => row.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+}
+
+// First date with any recorded history
+function getFirstDataDate(data) {
+    const dates = Object.keys(data.dailyData).sort();
+    return dates[0] || getTodayDate();
+}
+
+// Ask for format and date range, then download the CSV
+function showCsvExportDialog() {
+    const data = getData();
+    const { content, close } = openModal('csv-modal');
+    content.appendChild(createModalHeader(t('csv.exportTitle')));
+    
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+    
+    const formatSelect = createSelect([
+        ['long', t('csv.longFormat')],
+        ['wide', t('csv.wideFormat')]
+    ], 'long', t('csv.formatLabel'));
+    
+    const fromInput = document.createElement('input');
+    fromInput.type = 'date';
+    fromInput.value = getFirstDataDate(data);
+    fromInput.setAttribute('aria-label', t('csv.fromDate'));
+    
+    const toInput = document.createElement('input');
+    toInput.type = 'date';
+    toInput.value = getTodayDate();
+    toInput.setAttribute('aria-label', t('csv.toDate'));
+    
+    const addField = (labelText, input) => {
+        const row = document.createElement('label');
+        row.className = 'dialog-field';
+        row.appendChild(document.createTextNode(labelText));
+        row.appendChild(input);
+        body.appendChild(row);
+    };
+    addField(t('csv.format'), formatSelect);
+    addField(t('csv.from'), fromInput);
+    addField(t('csv.to'), toInput);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'save-btn';
+    exportBtn.textContent = t('common.export');
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = t('common.cancel');
+    cancelBtn.addEventListener('click', close);
+    buttons.appendChild(exportBtn);
+    buttons.appendChild(cancelBtn);
+    body.appendChild(buttons);
+    content.appendChild(body);
+    
+    exportBtn.addEventListener('click', () => {
+        const start = fromInput.value;
+        const end = toInput.value;
+        if (!isValidDateKey(start) || !isValidDateKey(end) || start > end) {
+            showAlert(t('csv.invalidRange'));
+            return;
+        }
+        if (diffDays(start, end) > 3660) {
+            showAlert(t('csv.rangeTooLong'));
+            return;
+        }
+        const csv = buildCsv(getData(), formatSelect.value, start, end);
+        downloadFile(`tickora-${formatSelect.value}-${start}-to-${end}.csv`, csv, 'text/csv');
+        close();
+    });
+}
+
+// Parse CSV text into rows of cells (RFC 4180 quoting, , ; or tab separated)
+function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Turn a date cell from another tracker into a day key
+function parseCsvDate(value) {
+    const text = String(value).trim();
+    const isoMatch = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (isoMatch) {
+        const key = makeDateKey(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]));
+        return key === `${isoMatch[1]}-${isoMatch[2].padStart(2, '0')}-${isoMatch[3].padStart(2, '0')}` ? key : null;
+    }
+    const timestamp = Date.parse(text);
+    return isNaN(timestamp) ? null : formatDateKey(new Date(timestamp));
+}
+
+// Interpret a cell as a check-in. Returns true/false, a number, or
+// undefined for empty cells. Loop Habit Tracker uses 2 (done),
+// 0 (not done) and -1 (unknown); Habitica rows have no completion column.
+function parseCsvValue(value, activity) {
+    if (value === null) return true;
+    const text = String(value).trim().toLowerCase();
+    if (text === '' || text === '-1') return undefined;
     
-    if (data.activities.length === 0) {
-        const emptyLi = document.createElement('li');
-        emptyLi.className = 'empty-state';
-        emptyLi.textContent = 'No activities yet. Add one to get started!';
-        fragment.appendChild(emptyLi);
-        activityList.appendChild(fragment);
+    const number = parseFloat(text);
+    if (activity && activity.type === 'measure') {
+        return isFinite(number) && number >= 0 ? number : undefined;
+    }
+    if (['true', 'yes', 'y', 'x', '✓', 'done'].includes(text)) return true;
+    if (['false', 'no', 'n'].includes(text)) return false;
+    return isFinite(number) ? number > 0 : undefined;
+}
+
+// Guess which header holds a given kind of column
+function findCsvColumn(headers, patterns) {
+    const index = headers.findIndex(header => patterns.some(pattern => pattern.test(header.trim())));
+    return index;
+}
+
+// Read a chosen CSV file and show the column mapping step
+function importCsvFile(file) {
+    if (!file) return;
+    if (file.size > 10000000) {
+        showAlert(t('import.tooLarge'));
         return;
     }
     
-    data.activities.forEach((activity, index) => {
-        const li = document.createElement('li');
-        const isCompleted = getActivityStatus(activity);
-        
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.checked = isCompleted;
-        checkbox.addEventListener('change', () => toggleActivity(activity));
-        
-        const label = document.createElement('label');
-        const span = document.createElement('span');
-        span.textContent = activity;
-        
-        label.appendChild(checkbox);
-        label.appendChild(span);
-        
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'delete-btn';
-        deleteBtn.textContent = 'Delete';
-        deleteBtn.addEventListener('click', () => deleteActivity(activity));
+    const reader = new FileReader();
+    reader.onload = () => {
+        const rows = parseCsv(String(reader.result));
+        if (rows.length < 2) {
+            showAlert(t('import.failed', { error: t('csv.noRows') }));
+            return;
+        }
+        showCsvMappingDialog(rows[0].map(header => header.trim()), rows.slice(1));
+    };
+    reader.onerror = () => showAlert(t('import.unreadable'));
+    reader.readAsText(file);
+}
+
+// Map CSV columns (and the habits they contain) onto Tickora activities
+function showCsvMappingDialog(headers, rows) {
+    const data = getData();
+    const { content, close } = openModal('csv-modal');
+    content.appendChild(createModalHeader(t('csv.importTitle')));
+    
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+    
+    const columnOptions = headers.map((header, index) => [index, header || t('csv.column', { number: index + 1 })]);
+    const dateGuess = Math.max(0, findCsvColumn(headers, [/^date$/i, /date/i, /day/i]));
+    const activityGuess = findCsvColumn(headers, [/^activity$/i, /^habit/i, /task name/i, /^name$/i, /^task$/i]);
+    const valueGuess = findCsvColumn(headers, [/^value$/i, /^done$/i, /complet/i, /^status$/i]);
+    
+    const layoutSelect = createSelect([
+        ['long', t('csv.longLayout')],
+        ['wide', t('csv.wideLayout')]
+    ], activityGuess >= 0 ? 'long' : 'wide', t('csv.layoutLabel'));
+    const dateSelect = createSelect(columnOptions, dateGuess, t('csv.dateColumn'));
+    const activitySelect = createSelect(columnOptions, Math.max(0, activityGuess), t('csv.activityColumn'));
+    const valueSelect = createSelect([[-1, t('csv.noValueColumn')]].concat(columnOptions), valueGuess, t('csv.valueColumn'));
+    
+    const fields = document.createElement('div');
+    const addField = (labelText, input, className) => {
+        const row = document.createElement('label');
+        row.className = 'dialog-field' + (className ? ' ' + className : '');
+        row.appendChild(document.createTextNode(labelText));
+        row.appendChild(input);
+        fields.appendChild(row);
+        return row;
+    };
+    addField(t('csv.layout'), layoutSelect);
+    addField(t('csv.dateColumn'), dateSelect);
+    const activityField = addField(t('csv.activityColumn'), activitySelect, 'long-only');
+    const valueField = addField(t('csv.valueColumn'), valueSelect, 'long-only');
+    
+    const mappingHeading = document.createElement('h4');
+    mappingHeading.className = 'mapping-heading';
+    mappingHeading.textContent = t('csv.mappingTitle');
+    const mappingList = document.createElement('div');
+    mappingList.className = 'csv-mapping';
+    
+    const targetOptions = [['', t('csv.skip')], ['new', t('csv.newActivity')]]
+        .concat(data.activities.map(activity => [activity.id, activity.name]));
+    let mappingSelects = {};
+    
+    // Source habit names: distinct activity cells (long) or headers (wide)
+    const getSourceNames = () => {
+        const dateIndex = Number(dateSelect.value);
+        if (layoutSelect.value === 'wide') {
+            return headers.filter((header, index) => index !== dateIndex && header);
+        }
+        const activityIndex = Number(activitySelect.value);
+        return [...new Set(rows.map(row => (row[activityIndex] || '').trim()).filter(Boolean))];
+    };
+    
+    const renderMapping = () => {
+        const isWide = layoutSelect.value === 'wide';
+        activityField.style.display = isWide ? 'none' : '';
+        valueField.style.display = isWide ? 'none' : '';
         
-        li.appendChild(label);
-        li.appendChild(deleteBtn);
+        mappingList.innerHTML = '';
+        const previous = mappingSelects;
+        mappingSelects = {};
         
-        fragment.appendChild(li);
+        getSourceNames().slice(0, 200).forEach(name => {
+            const existing = findActivityByName(data, name) ||
+                data.activities.find(activity => activity.name.toLowerCase() === name.toLowerCase());
+            const selected = previous[name] ? previous[name].value : (existing ? existing.id : 'new');
+            const select = createSelect(targetOptions, selected, t('csv.map', { name }));
+            mappingSelects[name] = select;
+            
+            const row = document.createElement('label');
+            row.className = 'dialog-field';
+            const nameSpan = document.createElement('span');
+            nameSpan.textContent = name;
+            row.appendChild(nameSpan);
+            row.appendChild(select);
+            mappingList.appendChild(row);
+        });
+    };
+    [layoutSelect, dateSelect, activitySelect].forEach(select => select.addEventListener('change', renderMapping));
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const continueBtn = document.createElement('button');
+    continueBtn.className = 'save-btn';
+    continueBtn.textContent = t('csv.continue');
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = t('common.cancel');
+    cancelBtn.addEventListener('click', close);
+    buttons.appendChild(continueBtn);
+    buttons.appendChild(cancelBtn);
+    
+    continueBtn.addEventListener('click', () => {
+        const mapping = {};
+        Object.keys(mappingSelects).forEach(name => {
+            mapping[name] = mappingSelects[name].value;
+        });
+        const result = buildCsvImport(getData(), headers, rows, {
+            layout: layoutSelect.value,
+            dateColumn: Number(dateSelect.value),
+            activityColumn: Number(activitySelect.value),
+            valueColumn: Number(valueSelect.value),
+            mapping
+        });
+        if (result.error) {
+            showAlert(t('import.failed', { error: result.error }));
+            return;
+        }
+        close();
+        showImportPreview(result.data, { allowReplace: false });
     });
     
-    activityList.appendChild(fragment);
+    body.appendChild(fields);
+    body.appendChild(mappingHeading);
+    body.appendChild(mappingList);
+    body.appendChild(buttons);
+    content.appendChild(body);
+    
+    renderMapping();
 }
 
-function renderSuggestions() {
-    const suggestions = [
-        'Gym / Workout',
-        'Coding Practice',
-        'Book Reading',
-        'Study / Revision',
-        'Jogging / Walk',
-        'Meditation',
-        'Namaz / Prayer',
-        'Skill Learning'
-    ];
+// Convert mapped CSV rows into import data for buildImportPlan.
+// mapping: source habit name -> existing activity id, 'new' or '' (skip)
+function buildCsvImport(data, headers, rows, options) {
+    const incoming = initializeDataObject();
+    const targets = {};
     
-    const suggestionsContainer = document.getElementById('suggestions');
-    if (!suggestionsContainer) return;
+    Object.keys(options.mapping).forEach(name => {
+        const target = options.mapping[name];
+        if (!target) return;
+        
+        let activity = target === 'new' ? null : getActivityById(data, target);
+        if (!activity) {
+            const validatedName = validateActivityName(name);
+            if (!validatedName) return;
+            activity = incoming.activities.find(a => a.name === validatedName) || createActivity(validatedName);
+        }
+        if (!getActivityById(incoming, activity.id)) {
+            incoming.activities.push(JSON.parse(JSON.stringify(activity)));
+        }
+        targets[name] = getActivityById(incoming, activity.id);
+    });
     
-    const fragment = document.createDocumentFragment();
-    suggestionsContainer.innerHTML = '';
+    if (incoming.activities.length === 0) {
+        return { error: t('csv.nothingMapped') };
+    }
     
-    suggestions.forEach(suggestion => {
-        const span = document.createElement('span');
-        span.className = 'suggestion-item';
-        
-        const text = document.createTextNode(suggestion + ' ');
-        
-        const addBtn = document.createElement('button');
-        addBtn.className = 'suggestion-add-btn';
-        addBtn.textContent = '+ Add';
-        addBtn.addEventListener('click', () => addActivity(suggestion));
-        
-        span.appendChild(text);
-        span.appendChild(addBtn);
-        fragment.appendChild(span);
+    let invalidDates = 0;
+    const record = (date, activity, rawValue) => {
+        const value = parseCsvValue(rawValue, activity);
+        if (value === undefined) return;
+        if (!incoming.dailyData[date]) incoming.dailyData[date] = {};
+        incoming.dailyData[date][activity.id] = mergeEntryValues(incoming.dailyData[date][activity.id], value);
+    };
+    
+    rows.forEach(row => {
+        const date = parseCsvDate(row[options.dateColumn] || '');
+        if (!date) {
+            invalidDates++;
+            return;
+        }
+        if (options.layout === 'wide') {
+            headers.forEach((header, index) => {
+                if (index !== options.dateColumn && targets[header]) {
+                    record(date, targets[header], row[index] === undefined ? '' : row[index]);
+                }
+            });
+        } else {
+            const activity = targets[(row[options.activityColumn] || '').trim()];
+            if (activity) {
+                record(date, activity, options.valueColumn >= 0 ? (row[options.valueColumn] || '') : null);
+            }
+        }
     });
     
-    suggestionsContainer.appendChild(fragment);
+    if (Object.keys(incoming.dailyData).length === 0) {
+        return { error: t(invalidDates > 0 ? 'csv.noDates' : 'csv.noCheckIns') };
+    }
+    
+    // Track new activities from their first imported day; their schedule anchor stays
+    const dates = Object.keys(incoming.dailyData).sort();
+    incoming.activities.forEach(activity => {
+        const first = dates.find(date => incoming.dailyData[date][activity.id] !== undefined);
+        if (first && first < activity.createdAt) activity.createdAt = first;
+    });
+    
+    return { data: incoming };
 }
 
-// Update date display
-function updateDateDisplay() {
-    const today = new Date();
-    const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-    const dateString = today.toLocaleDateString('en-US', options);
-    const dateDisplayEl = document.getElementById('dateDisplay');
-    if (dateDisplayEl) {
-        dateDisplayEl.textContent = dateString;
+// ==================== THEME MANAGEMENT ====================
+
+function loadTheme() {
+    const data = getData();
+    const theme = data.theme || 'light';
+    const themeBtn = document.getElementById('themeToggleBtn');
+    
+    if (theme === 'dark') {
+        document.body.classList.add('dark-mode');
+        if (themeBtn) themeBtn.textContent = '☀️';
+    } else {
+        document.body.classList.remove('dark-mode');
+        if (themeBtn) themeBtn.textContent = '🌙';
     }
 }
 
-// Generate monthly calendar view
-function generateCalendar() {
+function toggleTheme() {
     const data = getData();
-    const activities = data.activities;
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = today.getMonth();
+    const currentTheme = data.theme || 'light';
+    const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+    data.theme = newTheme;
+    saveData(data, []);
+    loadTheme();
+}
+
+// ==================== REMINDERS ====================
+
+// Reminder notifications are tagged with this prefix so that pending
+// ones can be found and replaced whenever the plan changes
+const REMINDER_TAG_PREFIX = 'tickora-reminder-';
+// Days (starting today) covered by the reminder plan
+const REMINDER_PLAN_DAYS = 2;
+
+let reminderTimer = null;
+
+// Validate an HH:MM time and return it zero-padded, or '' if invalid
+function normalizeTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return '';
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return '';
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Whether a time falls within quiet hours (the range may wrap past midnight)
+function isQuietTime(settings, time) {
+    const start = normalizeTime(settings.quietHoursStart);
+    const end = normalizeTime(settings.quietHoursEnd);
+    if (!start || !end || start === end) return false;
     
-    const calendarContainer = document.getElementById('calendarContainer');
-    if (!calendarContainer) return;
+    const minutes = timeToMinutes(time);
+    const from = timeToMinutes(start);
+    const to = timeToMinutes(end);
+    return from < to ? (minutes >= from && minutes < to) : (minutes >= from || minutes < to);
+}
+
+// Moment a reminder time happens on a tracked day. Times before the
+// day start hour belong to the end of that day (the next calendar date).
+function getReminderTimestamp(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const moment = parseDateKey(date);
+    if (hours < getDayStartHour()) {
+        moment.setDate(moment.getDate() + 1);
+    }
+    moment.setHours(hours, minutes, 0, 0);
+    return moment.getTime();
+}
+
+// Content of the daily summary for a date, or null to stay silent
+function getDailyReminderContent(data, date) {
+    const title = t('reminders.title');
+    const pending = getDueActivities(data, date)
+        .filter(activity => !isActivityCompleted(data, activity, date));
+    const remaining = pending.length;
     
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    const daysInMonth = lastDay.getDate();
-    const startingDayOfWeek = firstDay.getDay();
+    const routines = describePendingRoutines(pending);
+    if (routines) {
+        return { title, body: t('reminders.stillToDo', { routines }) };
+    }
+    if (remaining > 0) {
+        return { title, body: t('reminders.remaining', { count: remaining }) };
+    }
+    if (data.settings.remindOnlyIncomplete) return null;
+    if (data.activities.length === 0) {
+        return { title, body: t('reminders.noActivities') };
+    }
+    return { title, body: t('reminders.allDone') };
+}
+
+// Content of an activity's own reminder for a date, or null to stay silent.
+// Quota schedules are worth a nudge on any day while the quota is unmet.
+function getActivityReminderContent(data, activity, date) {
+    if (getInactiveReason(data, activity, date)) return null;
     
-    const fragment = document.createDocumentFragment();
-    calendarContainer.innerHTML = '';
+    const completed = isActivityCompleted(data, activity, date);
+    if (completed && data.settings.remindOnlyIncomplete) return null;
     
-    const calendarGrid = document.createElement('div');
-    calendarGrid.className = 'calendar-grid';
+    if (isQuotaSchedule(activity.schedule)) {
+        const quota = getQuotaProgress(data, activity, date);
+        if (quota.done >= quota.times && !completed) return null;
+    } else if (!isActivityDue(data, activity, date)) {
+        return null;
+    }
     
-    const dayHeaders = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    dayHeaders.forEach(day => {
-        const header = document.createElement('div');
-        header.className = 'calendar-header';
-        header.textContent = day;
-        calendarGrid.appendChild(header);
+    let body = t('reminders.checkOff');
+    if (completed) {
+        body = t('reminders.alreadyDone');
+    } else if (activity.type === 'measure') {
+        body = t('reminders.soFar', { value: `${getEntryValue(data, activity, date)} / ${activity.target}${activity.unit ? ' ' + activity.unit : ''}` });
+    }
+    return { title: `${activity.icon ? activity.icon + ' ' : ''}${activity.name}`, body };
+}
+
+// Upcoming reminders for today and tomorrow, soonest first. The plan is
+// rebuilt on every save, so "only if incomplete" reflects current data.
+function buildReminderPlan(data, now = Date.now()) {
+    const settings = data.settings;
+    const plan = [];
+    if (!settings.remindersEnabled) return plan;
+    
+    const today = getTodayDate();
+    for (let offset = 0; offset < REMINDER_PLAN_DAYS; offset++) {
+        const date = addDays(today, offset);
+        const add = (key, time, content) => {
+            if (!content || isQuietTime(settings, time)) return;
+            const timestamp = getReminderTimestamp(date, time);
+            if (timestamp <= now) return;
+            plan.push({ tag: `${REMINDER_TAG_PREFIX}${date}-${key}`, timestamp, title: content.title, body: content.body });
+        };
+        
+        const dailyTime = normalizeTime(settings.dailyReminderTime);
+        if (dailyTime) {
+            add('daily', dailyTime, getDailyReminderContent(data, date));
+        }
+        data.activities.forEach(activity => {
+            const time = normalizeTime(activity.reminderTime);
+            if (time) {
+                add(activity.id, time, getActivityReminderContent(data, activity, date));
+            }
+        });
+    }
+    
+    return plan.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function canNotify() {
+    return 'Notification' in window && Notification.permission === 'granted';
+}
+
+// Notification Triggers let the service worker schedule exact times itself
+function supportsNotificationTriggers() {
+    return 'Notification' in window && 'showTrigger' in Notification.prototype && 'TimestampTrigger' in window;
+}
+
+// Ask for notification permission; resolves to true once granted
+function requestNotificationPermission() {
+    if (!('Notification' in window)) return Promise.resolve(false);
+    if (Notification.permission !== 'default') {
+        return Promise.resolve(Notification.permission === 'granted');
+    }
+    return Promise.resolve(Notification.requestPermission()).then(permission => permission === 'granted');
+}
+
+// Show a reminder now, through the service worker when one is active
+function showReminder(reminder) {
+    const options = {
+        body: reminder.body,
+        tag: reminder.tag,
+        icon: 'icons/icon-192.png',
+        badge: 'icons/icon-192.png'
+    };
+    
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.ready
+            .then(registration => registration.showNotification(reminder.title, options))
+            .catch(error => console.error('Error showing reminder:', error));
+    } else {
+        new Notification(reminder.title, options);
+    }
+}
+
+// Rebuild the reminder plan and hand it to the service worker, which
+// schedules it with Notification Triggers or catches up via periodic sync.
+// While the page is open, a timer shows the next reminder as a fallback.
+function syncReminders() {
+    clearTimeout(reminderTimer);
+    reminderTimer = null;
+    
+    const plan = canNotify() ? buildReminderPlan(getData()) : [];
+    
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.ready.then(registration => {
+            if (registration.active) {
+                registration.active.postMessage({ type: 'REMINDER_PLAN', plan });
+            }
+        });
+    }
+    
+    if (plan.length === 0 || supportsNotificationTriggers()) return;
+    
+    reminderTimer = setTimeout(() => {
+        plan.filter(reminder => reminder.timestamp <= Date.now()).forEach(showReminder);
+        syncReminders();
+    }, plan[0].timestamp - Date.now());
+}
+
+const scheduleReminderSync = throttle(syncReminders, 2000);
+
+// Periodic background sync lets the worker show reminders while the app
+// is closed; browsers without it rely on triggers or the in-page timer
+function registerReminderSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready.then(registration => {
+        if (!registration.periodicSync) return;
+        return registration.periodicSync.register('tickora-reminders', { minInterval: 60 * 60 * 1000 });
+    }).catch(error => {
+        console.warn('Periodic reminder sync unavailable:', error);
     });
+}
+
+// Turn reminders on (asking for permission first) or off
+function setRemindersEnabled(enabled) {
+    if (!enabled) {
+        updateSetting('remindersEnabled', false);
+        renderSettings();
+        return;
+    }
     
-    for (let i = 0; i < startingDayOfWeek; i++) {
-        const emptyCell = document.createElement('div');
-        emptyCell.className = 'calendar-day empty';
-        calendarGrid.appendChild(emptyCell);
+    requestNotificationPermission().then(granted => {
+        if (!granted) {
+            showAlert(t('settings.notificationsDenied'));
+            renderSettings();
+            return;
+        }
+        updateSetting('remindersEnabled', true);
+        registerReminderSync();
+        renderSettings();
+    });
+}
+
+function renderReminderSettings(settings) {
+    const remindersToggle = document.getElementById('remindersToggle');
+    const dailyReminderInput = document.getElementById('dailyReminderInput');
+    const onlyIncompleteToggle = document.getElementById('onlyIncompleteToggle');
+    const quietStartInput = document.getElementById('quietStartInput');
+    const quietEndInput = document.getElementById('quietEndInput');
+    const reminderHint = document.getElementById('reminderHint');
+    
+    const enabled = settings.remindersEnabled && canNotify();
+    if (remindersToggle) remindersToggle.checked = enabled;
+    if (dailyReminderInput) dailyReminderInput.value = settings.dailyReminderTime || '';
+    if (onlyIncompleteToggle) onlyIncompleteToggle.checked = settings.remindOnlyIncomplete;
+    if (quietStartInput) quietStartInput.value = settings.quietHoursStart || '';
+    if (quietEndInput) quietEndInput.value = settings.quietHoursEnd || '';
+    
+    if (reminderHint) {
+        if (!('Notification' in window)) {
+            reminderHint.textContent = t('settings.notificationsUnsupported');
+        } else if (settings.remindersEnabled && Notification.permission === 'denied') {
+            reminderHint.textContent = t('settings.notificationsBlocked');
+        } else {
+            reminderHint.textContent = t('settings.reminderHint');
+        }
     }
+}
+
+// ==================== OFFLINE & UPDATES ====================
+
+// Register the service worker that makes Tickora installable and offline-capable
+// Set once the user accepts the update prompt. Control also changes on
+// the first visit (clients.claim()), which must not reload the page.
+let updateAccepted = false;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
     
-    for (let day = 1; day <= daysInMonth; day++) {
-        const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-        const dayData = data.dailyData[dateStr] || {};
-        
-        const dayCell = document.createElement('div');
-        dayCell.className = 'calendar-day';
-        
-        let completedCount = 0;
-        let hasData = false;
-        let completionPercentage = 0;
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // A new version may already be waiting from an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(registration.waiting);
+        }
         
-        if (activities.length > 0) {
-            activities.forEach(activity => {
-                if (dayData[activity] === true) {
-                    completedCount++;
-                }
-                if (dayData[activity] !== undefined) {
-                    hasData = true;
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(worker);
                 }
             });
-            
-            completionPercentage = (completedCount / activities.length) * 100;
-            
-            if (completionPercentage === 100) {
-                dayCell.classList.add('completed');
-            } else if (completionPercentage > 0 && completionPercentage < 100) {
-                dayCell.classList.add('partial');
-            } else if (hasData) {
-                dayCell.classList.add('empty');
-            }
-        }
+        });
+        
+        // The app tends to stay open all day, so look for updates hourly
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    }).catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+    
+    let refreshing = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (refreshing || !updateAccepted) return;
+        refreshing = true;
+        window.location.reload();
+    });
+}
+
+// Offer to reload into the new version once it has been downloaded
+function showUpdatePrompt(worker) {
+    const banner = document.getElementById('updateBanner');
+    const reloadBtn = document.getElementById('updateReloadBtn');
+    const dismissBtn = document.getElementById('updateDismissBtn');
+    if (!banner || !reloadBtn) return;
+    
+    banner.hidden = false;
+    reloadBtn.onclick = () => {
+        reloadBtn.disabled = true;
+        updateAccepted = true;
+        // Let pending writes finish before the page reloads
+        flushStorage().then(() => worker.postMessage({ type: 'SKIP_WAITING' }));
+    };
+    if (dismissBtn) {
+        dismissBtn.onclick = () => {
+            banner.hidden = true;
+        };
+    }
+}
+
+// ==================== PROFILES ====================
+
+const MAX_PROFILES = 10;
+const MAX_PROFILE_NAME_LENGTH = 30;
+const PIN_PATTERN = /^\d{4,8}$/;
+// Profiles unlocked with their PIN in this tab; forgotten when it closes
+const UNLOCKED_PROFILES_KEY = 'tickoraUnlockedProfiles';
+
+// Profile whose data this tab loaded; switching reloads the page
+let currentProfileId = getActiveProfileId();
+
+function getProfileName(profile) {
+    return profile.name || t('profiles.defaultName');
+}
+
+function getProfileById(profileId) {
+    return loadProfiles().find(profile => profile.id === profileId) || null;
+}
+
+function normalizeProfileName(value) {
+    return sanitizeInput(value || '').trim().replace(/\s+/g, ' ').slice(0, MAX_PROFILE_NAME_LENGTH);
+}
+
+// PINs are hashed with Web Crypto, which browsers only offer on secure origins
+function canUsePin() {
+    return !!(window.crypto && window.crypto.subtle && window.TextEncoder);
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Salted SHA-256 of a PIN. The PIN keeps others out of a profile in the
+// app; the stored data itself is not encrypted.
+async function hashPin(pin, salt) {
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`));
+    return toHex(new Uint8Array(digest));
+}
+
+async function createPin(pin) {
+    const salt = toHex(window.crypto.getRandomValues(new Uint8Array(16)));
+    return { salt, hash: await hashPin(pin, salt) };
+}
+
+async function checkPin(profile, pin) {
+    if (!profile.pin || !canUsePin()) return false;
+    return await hashPin(pin, profile.pin.salt) === profile.pin.hash;
+}
+
+function getUnlockedProfileIds() {
+    try {
+        const ids = JSON.parse(sessionStorage.getItem(UNLOCKED_PROFILES_KEY));
+        return Array.isArray(ids) ? ids : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function isProfileUnlocked(profile) {
+    return !profile.pin || getUnlockedProfileIds().includes(profile.id);
+}
+
+function setProfileUnlocked(profileId, unlocked) {
+    const ids = getUnlockedProfileIds().filter(id => id !== profileId);
+    if (unlocked) ids.push(profileId);
+    sessionStorage.setItem(UNLOCKED_PROFILES_KEY, JSON.stringify(ids));
+}
+
+// Ask for a profile's PIN; resolves to true once the right one is entered.
+// The lock screen shown on start can't be dismissed, only left by
+// switching to another profile.
+function askForPin(profile, options = {}) {
+    return new Promise(resolve => {
+        let unlocked = false;
+        const { content, close } = openModal('dialog-modal', () => resolve(unlocked), { dismissible: !options.lockScreen });
+        const header = createModalHeader(t('profiles.unlockTitle', { name: getProfileName(profile) }));
+        if (options.lockScreen) header.querySelector('.modal-close').remove();
+        content.appendChild(header);
         
-        const todayStr = getTodayDate();
-        if (dateStr === todayStr) {
-            dayCell.classList.add('today');
-        }
+        const form = document.createElement('form');
+        form.className = 'modal-body';
+        const text = document.createElement('p');
+        text.className = 'dialog-message';
+        text.textContent = t('profiles.enterPin', { name: getProfileName(profile) });
         
-        const dayNumber = document.createElement('span');
-        dayNumber.className = 'day-number';
-        dayNumber.textContent = day;
-        dayCell.appendChild(dayNumber);
+        const input = document.createElement('input');
+        input.type = 'password';
+        input.className = 'pin-input';
+        input.inputMode = 'numeric';
+        input.autocomplete = 'off';
+        input.maxLength = 8;
+        input.setAttribute('aria-label', t('profiles.pin'));
         
-        if (activities.length > 0) {
-            const percentageSpan = document.createElement('span');
-            percentageSpan.className = 'day-percentage';
-            if (hasData) {
-                percentageSpan.textContent = Math.round(completionPercentage) + '%';
-            } else {
-                percentageSpan.textContent = '-';
-            }
-            dayCell.appendChild(percentageSpan);
-        }
+        const error = document.createElement('p');
+        error.className = 'setting-hint form-error';
+        error.setAttribute('role', 'alert');
         
-        dayCell.addEventListener('click', () => showDayDetails(dateStr, day, month, year));
+        const buttons = document.createElement('div');
+        buttons.className = 'form-buttons';
+        const unlockBtn = document.createElement('button');
+        unlockBtn.type = 'submit';
+        unlockBtn.className = 'save-btn';
+        unlockBtn.textContent = t('profiles.unlock');
+        const otherBtn = document.createElement('button');
+        otherBtn.type = 'button';
+        otherBtn.className = 'cancel-btn';
+        otherBtn.textContent = options.lockScreen ? t('profiles.switchProfile') : t('common.cancel');
+        otherBtn.addEventListener('click', options.lockScreen ? showProfiles : close);
+        buttons.appendChild(unlockBtn);
+        buttons.appendChild(otherBtn);
         
-        calendarGrid.appendChild(dayCell);
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (await checkPin(profile, input.value)) {
+                unlocked = true;
+                setProfileUnlocked(profile.id, true);
+                close();
+                return;
+            }
+            error.textContent = t('profiles.wrongPin');
+            input.value = '';
+            input.focus();
+        });
+        
+        form.appendChild(text);
+        form.appendChild(input);
+        form.appendChild(error);
+        form.appendChild(buttons);
+        content.appendChild(form);
+        input.focus();
+    });
+}
+
+function requireUnlocked(profile) {
+    return isProfileUnlocked(profile) ? Promise.resolve(true) : askForPin(profile);
+}
+
+// Open another profile. The page reloads so nothing from the current
+// profile (undo history, open dialogs, sync channel) carries over.
+async function switchProfile(profileId) {
+    const profile = getProfileById(profileId);
+    if (!profile || profileId === currentProfileId) return;
+    if (!(await requireUnlocked(profile))) return;
+    
+    await flushStorage();
+    setActiveProfileId(profileId);
+    window.location.reload();
+}
+
+// Lock the current profile so its PIN is asked for again
+async function lockProfile() {
+    setProfileUnlocked(currentProfileId, false);
+    await flushStorage();
+    window.location.reload();
+}
+
+function addProfile(name) {
+    const profileName = normalizeProfileName(name);
+    if (!profileName) {
+        showAlert(t('profiles.nameRequired'));
+        return null;
+    }
+    const profiles = loadProfiles();
+    if (profiles.length >= MAX_PROFILES) {
+        showAlert(t('profiles.max', { max: MAX_PROFILES }));
+        return null;
     }
     
-    fragment.appendChild(calendarGrid);
-    calendarContainer.appendChild(fragment);
+    const profile = { id: generateId(), name: profileName, pin: null };
+    profiles.push(profile);
+    saveProfiles(profiles);
+    return profile;
 }
 
-// Show day details in a modal/popup
-function showDayDetails(dateStr, day, month, year) {
-    const data = getData();
-    const dayData = data.dailyData[dateStr] || {};
-    const activities = data.activities;
+// Rename a profile and set, keep (pin undefined) or remove (pin null) its PIN
+async function updateProfile(profileId, changes) {
+    const profiles = loadProfiles();
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile) return false;
     
-    let completedCount = 0;
-    let totalCount = activities.length;
+    // The default profile may stay unnamed and show the translated default
+    const name = normalizeProfileName(changes.name);
+    if (!name && profileId !== DEFAULT_PROFILE_ID) {
+        showAlert(t('profiles.nameRequired'));
+        return false;
+    }
+    if (changes.pin && !PIN_PATTERN.test(changes.pin)) {
+        showAlert(t('profiles.invalidPin'));
+        return false;
+    }
     
-    activities.forEach(activity => {
-        if (dayData[activity] === true) {
-            completedCount++;
-        }
+    profile.name = name;
+    if (changes.pin) {
+        profile.pin = await createPin(changes.pin);
+        setProfileUnlocked(profileId, true);
+    } else if (changes.pin === null) {
+        profile.pin = null;
+    }
+    saveProfiles(profiles);
+    renderProfileButton();
+    return true;
+}
+
+async function deleteProfile(profileId) {
+    const profile = getProfileById(profileId);
+    if (!profile || profileId === DEFAULT_PROFILE_ID || profileId === currentProfileId) return false;
+    if (!(await requireUnlocked(profile))) return false;
+    
+    const confirmed = await showConfirm(t('profiles.deleteConfirm', { name: getProfileName(profile) }), {
+        detail: t('profiles.deleteDetail'),
+        confirmLabel: t('common.delete'),
+        danger: true
     });
+    if (!confirmed) return false;
     
-    const completionPercentage = totalCount > 0 ? Math.round((completedCount / totalCount) * 100) : 0;
+    saveProfiles(loadProfiles().filter(p => p.id !== profileId));
+    setProfileUnlocked(profileId, false);
+    try {
+        await deleteProfileData(profileId);
+    } catch (error) {
+        console.error('Error deleting profile data:', error);
+    }
+    return true;
+}
+
+// Header button showing the current profile; opens the profile list
+function renderProfileButton() {
+    const button = document.getElementById('profileBtn');
+    const profile = getProfileById(currentProfileId);
+    if (!button || !profile) return;
     
-    const modal = document.createElement('div');
-    modal.className = 'day-modal';
+    const name = getProfileName(profile);
+    button.textContent = `👤 ${name}`;
+    button.title = t('profiles.button', { name });
+    button.setAttribute('aria-label', t('profiles.button', { name }));
+}
+
+// Name and PIN form for a profile
+function showProfileEditor(profile, onSaved) {
+    const { content, close } = openModal('dialog-modal');
+    content.appendChild(createModalHeader(t('profiles.editTitle')));
     
-    const modalContent = document.createElement('div');
-    modalContent.className = 'modal-content';
+    const form = document.createElement('form');
+    form.className = 'modal-body';
     
-    const modalHeader = document.createElement('div');
-    modalHeader.className = 'modal-header';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = MAX_PROFILE_NAME_LENGTH;
+    nameInput.value = profile.name;
+    nameInput.placeholder = t('profiles.defaultName');
     
-    const headerTitle = document.createElement('h3');
-    headerTitle.textContent = new Date(year, month, day).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    const pinInput = document.createElement('input');
+    pinInput.type = 'password';
+    pinInput.className = 'pin-input';
+    pinInput.inputMode = 'numeric';
+    pinInput.autocomplete = 'new-password';
+    pinInput.maxLength = 8;
     
-    const closeBtn = document.createElement('button');
-    closeBtn.className = 'modal-close';
-    closeBtn.textContent = '×';
+    const addField = (labelText, input) => {
+        const row = document.createElement('label');
+        row.className = 'dialog-field';
+        row.appendChild(document.createTextNode(labelText));
+        row.appendChild(input);
+        form.appendChild(row);
+    };
+    addField(t('profiles.name'), nameInput);
     
-    modalHeader.appendChild(headerTitle);
-    modalHeader.appendChild(closeBtn);
+    let removePinCheckbox = null;
+    if (canUsePin()) {
+        addField(t('profiles.pin'), pinInput);
+        const hint = document.createElement('p');
+        hint.className = 'setting-hint';
+        hint.textContent = t(profile.pin ? 'profiles.pinKeepHint' : 'profiles.pinHint');
+        form.appendChild(hint);
+        
+        if (profile.pin) {
+            removePinCheckbox = document.createElement('input');
+            removePinCheckbox.type = 'checkbox';
+            addField(t('profiles.removePin'), removePinCheckbox);
+        }
+    } else {
+        const hint = document.createElement('p');
+        hint.className = 'setting-hint';
+        hint.textContent = t('profiles.pinUnavailable');
+        form.appendChild(hint);
+    }
     
-    const modalStats = document.createElement('div');
-    modalStats.className = 'modal-stats';
-    const statsPara = document.createElement('p');
-    const statsStrong = document.createElement('strong');
-    statsStrong.textContent = completionPercentage + '%';
-    statsPara.appendChild(document.createTextNode('Completion: '));
-    statsPara.appendChild(statsStrong);
-    statsPara.appendChild(document.createTextNode(` (${completedCount} / ${totalCount})`));
-    modalStats.appendChild(statsPara);
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'save-btn';
+    saveBtn.textContent = t('common.save');
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = t('common.cancel');
+    cancelBtn.addEventListener('click', close);
+    buttons.appendChild(saveBtn);
+    buttons.appendChild(cancelBtn);
+    form.appendChild(buttons);
+    content.appendChild(form);
     
-    const modalBody = document.createElement('div');
-    modalBody.className = 'modal-body';
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        let pin;
+        if (removePinCheckbox && removePinCheckbox.checked) {
+            pin = null;
+        } else if (pinInput.value) {
+            pin = pinInput.value;
+        }
+        if (await updateProfile(profile.id, { name: nameInput.value, pin })) {
+            close();
+            if (onSaved) onSaved();
+        }
+    });
+}
+
+// Profile switcher: every profile with switch, edit and delete buttons,
+// plus a form to add one
+function showProfiles() {
+    const { content } = openModal('dialog-modal profiles-modal');
+    content.appendChild(createModalHeader(t('profiles.title')));
     
-    if (activities.length === 0) {
-        const noActivities = document.createElement('p');
-        noActivities.className = 'no-activities';
-        noActivities.textContent = 'No activities added yet.';
-        modalBody.appendChild(noActivities);
-    } else {
-        activities.forEach(activity => {
-            const activityDiv = document.createElement('div');
-            activityDiv.className = 'modal-activity';
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+    const list = document.createElement('ul');
+    list.className = 'profile-list';
+    
+    const renderList = () => {
+        list.innerHTML = '';
+        loadProfiles().forEach(profile => {
+            const li = document.createElement('li');
+            li.className = 'profile-item' + (profile.id === currentProfileId ? ' current' : '');
+            li.dataset.id = profile.id;
             
-            const statusSpan = document.createElement('span');
-            const isCompleted = dayData[activity] === true;
-            const isStarted = dayData[activity] !== undefined;
-            statusSpan.className = 'activity-status ' + (isCompleted ? 'completed' : (isStarted ? 'not-completed' : 'not-started'));
-            statusSpan.textContent = isCompleted ? '✓' : (isStarted ? '○' : '-');
+            const name = document.createElement('span');
+            name.className = 'profile-name';
+            name.textContent = getProfileName(profile);
+            li.appendChild(name);
+            if (profile.pin) {
+                const lock = document.createElement('span');
+                lock.className = 'profile-lock';
+                lock.textContent = '🔒';
+                lock.title = t('profiles.locked');
+                lock.setAttribute('aria-label', t('profiles.locked'));
+                li.appendChild(lock);
+            }
             
-            const nameSpan = document.createElement('span');
-            nameSpan.className = 'activity-name';
-            nameSpan.textContent = activity;
+            const actions = document.createElement('span');
+            actions.className = 'profile-actions';
+            const addAction = (label, className, handler) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = className;
+                button.textContent = label;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            };
             
-            activityDiv.appendChild(statusSpan);
-            activityDiv.appendChild(nameSpan);
-            modalBody.appendChild(activityDiv);
+            if (profile.id === currentProfileId) {
+                const current = document.createElement('span');
+                current.className = 'profile-current';
+                current.textContent = t('profiles.current');
+                actions.appendChild(current);
+                if (profile.pin && isProfileUnlocked(profile)) {
+                    addAction(t('profiles.lockNow'), 'edit-btn', lockProfile);
+                }
+            } else {
+                addAction(t('profiles.switch'), 'save-btn', () => switchProfile(profile.id));
+            }
+            addAction(t('common.edit'), 'edit-btn', async () => {
+                if (await requireUnlocked(profile)) showProfileEditor(profile, renderList);
+            });
+            if (profile.id !== DEFAULT_PROFILE_ID && profile.id !== currentProfileId) {
+                addAction(t('common.delete'), 'delete-btn', async () => {
+                    if (await deleteProfile(profile.id)) renderList();
+                });
+            }
+            
+            li.appendChild(actions);
+            list.appendChild(li);
         });
-    }
-    
-    modalContent.appendChild(modalHeader);
-    modalContent.appendChild(modalStats);
-    modalContent.appendChild(modalBody);
-    modal.appendChild(modalContent);
-    
-    document.body.appendChild(modal);
-    
-    if (closeBtn) {
-        closeBtn.addEventListener('click', () => modal.remove());
-    }
+    };
+    renderList();
     
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            modal.remove();
+    const form = document.createElement('form');
+    form.className = 'profile-add';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = MAX_PROFILE_NAME_LENGTH;
+    nameInput.placeholder = t('profiles.namePlaceholder');
+    nameInput.setAttribute('aria-label', t('profiles.namePlaceholder'));
+    const addBtn = document.createElement('button');
+    addBtn.type = 'submit';
+    addBtn.className = 'save-btn';
+    addBtn.textContent = t('profiles.add');
+    form.appendChild(nameInput);
+    form.appendChild(addBtn);
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (addProfile(nameInput.value)) {
+            nameInput.value = '';
+            renderList();
         }
     });
     
-    const escapeHandler = (e) => {
-        if (e.key === 'Escape') {
-            modal.remove();
-            document.removeEventListener('keydown', escapeHandler);
-        }
-    };
-    document.addEventListener('keydown', escapeHandler);
+    body.appendChild(list);
+    body.appendChild(form);
+    content.appendChild(body);
 }
 
-// ==================== THEME MANAGEMENT ====================
+// ==================== SYNC ====================
 
-function loadTheme() {
-    const data = getData();
-    const theme = data.theme || 'light';
-    const themeBtn = document.getElementById('themeToggleBtn');
+// Human-readable name of a synced entry (see flattenForSync)
+function describeSyncPath(data, path) {
+    const [field, key, id] = path.split('/');
+    const activityName = activityId => {
+        const activity = getActivityById(data, activityId);
+        return activity ? activity.name : t('sync.removedActivity');
+    };
     
-    if (theme === 'dark') {
-        document.body.classList.add('dark-mode');
-        if (themeBtn) themeBtn.textContent = '☀️';
-    } else {
-        document.body.classList.remove('dark-mode');
-        if (themeBtn) themeBtn.textContent = '🌙';
+    if (field === 'activities') return activityName(key);
+    if (field === 'activityOrder') return t('sync.pathOrder');
+    if (field === 'dailyData') return t('sync.pathCheckIn', { name: activityName(id), date: formatShortDate(key) });
+    if (field === 'notes') return t('sync.pathNote', { name: activityName(id), date: formatShortDate(key) });
+    if (field === 'skips') return t('sync.pathSkip', { name: activityName(id), date: formatShortDate(key) });
+    if (field === 'journal') return t('sync.pathJournal', { date: formatShortDate(key) });
+    if (field === 'templates') return t('suggestions.myTemplates');
+    if (field === 'packs') return t('suggestions.starterPacks');
+    if (field === 'theme') return t('sync.pathTheme');
+    if (field === 'goals') {
+        const goal = getGoalById(data, key);
+        return goal ? goal.name : t('goals.title');
     }
+    return t('settings.title');
 }
 
-function toggleTheme() {
-    const data = getData();
-    const currentTheme = data.theme || 'light';
-    const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-    data.theme = newTheme;
-    saveData(data);
-    loadTheme();
+function formatSyncTime(time) {
+    return new Date(time).toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
 }
 
-// ==================== NOTIFICATIONS ====================
+function describeSyncStatus(status) {
+    switch (status.state) {
+        case 'syncing':
+            return t('sync.syncing');
+        case 'offline':
+            return t('sync.offline', { count: status.pending });
+        case 'otherTab':
+            return t('sync.otherTab');
+        case 'outdated':
+            return t('sync.outdated');
+        case 'error':
+            return t('sync.failed', { error: status.error });
+        default:
+            if (!status.connected) return t('sync.off');
+            return status.lastSync ? t('sync.syncedAt', { time: formatSyncTime(status.lastSync) }) : t('sync.neverSynced');
+    }
+}
 
-function requestNotificationPermission() {
-    if ('Notification' in window && Notification.permission === 'default') {
-        Notification.requestPermission();
+// Sync part of the settings: status line, connection and conflicts
+function renderSyncStatus(status = getSyncStatus()) {
+    const statusText = document.getElementById('syncStatusText');
+    const detail = document.getElementById('syncDetail');
+    const setupBtn = document.getElementById('syncSetupBtn');
+    const syncNowBtn = document.getElementById('syncNowBtn');
+    const disconnectBtn = document.getElementById('syncDisconnectBtn');
+    const conflictsBtn = document.getElementById('syncConflictsBtn');
+    if (!statusText) return;
+    
+    statusText.textContent = describeSyncStatus(status);
+    statusText.className = 'sync-status ' + status.state;
+    if (detail) {
+        detail.textContent = status.connected
+            ? t('sync.account', { account: status.account, server: status.serverUrl })
+            : t('sync.hint');
+    }
+    if (setupBtn) setupBtn.hidden = status.connected;
+    if (syncNowBtn) {
+        syncNowBtn.hidden = !status.connected;
+        syncNowBtn.disabled = status.state === 'syncing';
+    }
+    if (disconnectBtn) disconnectBtn.hidden = !status.connected;
+    if (conflictsBtn) {
+        conflictsBtn.hidden = status.conflicts.length === 0;
+        conflictsBtn.textContent = t('sync.conflicts', { count: status.conflicts.length });
     }
 }
 
-function sendDailyReminderNotification() {
-    if ('Notification' in window && Notification.permission === 'granted') {
-        const data = getData();
-        const today = getTodayDate();
-        const todayData = data.dailyData[today] || {};
-        const activities = data.activities;
-        
-        if (activities.length === 0) {
-            const notification = new Notification('Tickora Daily Reminder', {
-                body: `Don't forget to complete your activities today! 🎯`,
-                icon: '🔔'
-            });
-            setTimeout(() => notification.close(), 5000);
-            return;
-        }
-        
-        let incompleteCount = 0;
-        activities.forEach(activity => {
-            if (!todayData[activity]) {
-                incompleteCount++;
-            }
+// Another device's changes were applied to the data: re-render like for
+// another tab's save, and point out edits that clashed
+function handleRemoteSyncChanges(conflicts) {
+    adoptExternalData(getData());
+    if (conflicts.length > 0) {
+        showToast(t('sync.conflictsToast', { count: conflicts.length }), {
+            actionLabel: t('sync.review'),
+            onAction: showSyncConflicts
         });
-        
-        if (incompleteCount > 0) {
-            const notification = new Notification('Tickora Daily Reminder', {
-                body: `You have ${incompleteCount} incomplete activity${incompleteCount > 1 ? 'ies' : ''} today. Complete them to maintain your streak! 💪`,
-                icon: '🔔'
-            });
-            setTimeout(() => notification.close(), 5000);
-        } else {
-            const notification = new Notification('Tickora Daily Reminder', {
-                body: `Great job! All activities completed today! 🎉 Keep up the streak!`,
-                icon: '🔔'
-            });
-            setTimeout(() => notification.close(), 5000);
-        }
     }
 }
 
-function scheduleDailyReminder() {
-    const today = getTodayDate();
-    const reminderKey = `daily_reminder_${today}`;
-    
-    if (!localStorage.getItem(reminderKey)) {
-        sendDailyReminderNotification();
-        localStorage.setItem(reminderKey, 'sent');
+function showSyncSetup() {
+    if (!canUsePin()) {
+        showAlert(t('sync.unavailable'));
+        return;
     }
+    const { content, close } = openModal('dialog-modal');
+    content.appendChild(createModalHeader(t('sync.setUp')));
+    
+    const form = document.createElement('form');
+    form.className = 'modal-body';
+    
+    const serverInput = document.createElement('input');
+    serverInput.type = 'url';
+    serverInput.placeholder = 'https://sync.example.com';
+    serverInput.autocomplete = 'url';
+    
+    const accountInput = document.createElement('input');
+    accountInput.type = 'text';
+    accountInput.autocomplete = 'username';
+    
+    const passphraseInput = document.createElement('input');
+    passphraseInput.type = 'password';
+    passphraseInput.autocomplete = 'new-password';
+    
+    const addField = (labelText, input) => {
+        const row = document.createElement('label');
+        row.className = 'dialog-field';
+        row.appendChild(document.createTextNode(labelText));
+        row.appendChild(input);
+        form.appendChild(row);
+    };
+    addField(t('sync.server'), serverInput);
+    addField(t('sync.accountName'), accountInput);
+    addField(t('sync.passphrase'), passphraseInput);
+    
+    const hint = document.createElement('p');
+    hint.className = 'setting-hint';
+    hint.textContent = t('sync.setupHint');
+    const error = document.createElement('p');
+    error.className = 'setting-hint form-error';
+    error.setAttribute('role', 'alert');
+    form.appendChild(hint);
+    form.appendChild(error);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const connectBtn = document.createElement('button');
+    connectBtn.type = 'submit';
+    connectBtn.className = 'save-btn';
+    connectBtn.textContent = t('sync.connect');
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'cancel-btn';
+    cancelBtn.textContent = t('common.cancel');
+    cancelBtn.addEventListener('click', close);
+    buttons.appendChild(connectBtn);
+    buttons.appendChild(cancelBtn);
+    form.appendChild(buttons);
+    content.appendChild(form);
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        error.textContent = '';
+        connectBtn.disabled = true;
+        connectBtn.textContent = t('sync.connecting');
+        try {
+            await connectSync(serverInput.value, accountInput.value, passphraseInput.value);
+            close();
+        } catch (connectError) {
+            error.textContent = connectError.message;
+            connectBtn.disabled = false;
+            connectBtn.textContent = t('sync.connect');
+        }
+    });
+}
+
+async function confirmDisconnectSync() {
+    const confirmed = await showConfirm(t('sync.disconnectConfirm'), {
+        detail: t('sync.disconnectDetail'),
+        confirmLabel: t('sync.disconnect')
+    });
+    if (confirmed) disconnectSync();
+}
+
+// Edits made on two devices before they synced, and which one was kept
+function showSyncConflicts() {
+    const data = getData();
+    const { content, close } = openModal('dialog-modal');
+    content.appendChild(createModalHeader(t('sync.conflictsTitle')));
+    
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+    const intro = document.createElement('p');
+    intro.className = 'setting-hint';
+    intro.textContent = t('sync.conflictsIntro');
+    body.appendChild(intro);
+    
+    const list = document.createElement('ul');
+    list.className = 'sync-conflict-list';
+    getSyncStatus().conflicts.forEach(conflict => {
+        const li = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = describeSyncPath(data, conflict.path);
+        const outcome = document.createElement('span');
+        outcome.className = 'setting-hint';
+        outcome.textContent = `${t(conflict.kept === 'theirs' ? 'sync.keptTheirs' : 'sync.keptOurs')} · ${formatSyncTime(conflict.time)}`;
+        li.appendChild(name);
+        li.appendChild(outcome);
+        list.appendChild(li);
+    });
+    body.appendChild(list);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'cancel-btn';
+    clearBtn.textContent = t('sync.clearConflicts');
+    clearBtn.addEventListener('click', () => {
+        clearSyncConflicts();
+        close();
+    });
+    buttons.appendChild(clearBtn);
+    body.appendChild(buttons);
+    content.appendChild(body);
+}
+
+// ==================== MULTI-TAB ====================
+
+// Only one tab records new days. Without the Web Locks API every tab does.
+let isLeaderTab = !(navigator.locks && navigator.locks.request);
+
+// Another tab saved, or this tab's changes were merged into another tab's
+// data: switch to it and re-render. The undo history would roll back the
+// other tab's work, so it starts over.
+function adoptExternalData(data) {
+    appData = prepareData(data);
+    // The other tab stamped its own edits
+    resetSyncBaseline(appData);
+    undoStack.length = 0;
+    redoStack.length = 0;
+    renderAll();
+    scheduleReminderSync();
+}
+
+// Wait to become the leader tab; the lock is held until the tab closes,
+// then the next waiting tab takes over
+function electLeaderTab(onElected) {
+    if (isLeaderTab) return;
+    navigator.locks.request(storageNames.leaderLock, () => {
+        isLeaderTab = true;
+        onElected();
+        return new Promise(() => {});
+    }).catch(error => {
+        console.warn('Leader election unavailable:', error);
+        isLeaderTab = true;
+    });
 }
 
 // ==================== EVENT LISTENERS ====================
 
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     try {
+        // The lock screen comes before the profile's data (and language) loads
+        setLocale('');
+        translatePage();
+        renderProfileButton();
+        const profile = getProfileById(currentProfileId);
+        if (!isProfileUnlocked(profile)) {
+            await askForPin(profile, { lockScreen: true });
+        }
+        
+        await loadData();
+        watchExternalChanges(adoptExternalData);
+        applySettings();
+        renderProfileButton();
         checkDailyReset();
         trackAppOpen();
         loadTheme();
-        requestNotificationPermission();
-        scheduleDailyReminder();
+        registerServiceWorker();
+        syncReminders();
+        if (getData().settings.remindersEnabled) {
+            registerReminderSync();
+        }
         
         updateDateDisplay();
         renderActivities();
-        renderSuggestions();
-        updateProgress();
-        updateWeeklyStats();
-        updateMonthlyStats();
-        updateStreakDisplay();
-        generateCalendar();
+        renderSettings();
+        refreshStats();
+        
+        document.addEventListener('keydown', handleUndoShortcut);
+        document.addEventListener('keydown', handleActivityShortcut);
+        document.addEventListener('keydown', handleHelpShortcut);
+        
+        const addGoalBtn = document.getElementById('addGoalBtn');
+        if (addGoalBtn) {
+            addGoalBtn.addEventListener('click', () => showGoalEditor());
+        }
+        
+        const shortcutsBtn = document.getElementById('shortcutsBtn');
+        if (shortcutsBtn) {
+            shortcutsBtn.addEventListener('click', showKeyboardShortcuts);
+        }
         
         const themeToggleBtn = document.getElementById('themeToggleBtn');
         if (themeToggleBtn) {
             themeToggleBtn.addEventListener('click', toggleTheme);
         }
         
+        initSync({
+            onStatus: renderSyncStatus,
+            onRemoteChanges: handleRemoteSyncChanges,
+            isLeader: () => isLeaderTab
+        });
+        renderSyncStatus();
+        [
+            ['syncSetupBtn', showSyncSetup],
+            ['syncNowBtn', runSync],
+            ['syncDisconnectBtn', confirmDisconnectSync],
+            ['syncConflictsBtn', showSyncConflicts]
+        ].forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', () => handler());
+        });
+        
+        const profileBtn = document.getElementById('profileBtn');
+        if (profileBtn) {
+            profileBtn.addEventListener('click', showProfiles);
+        }
+        // Profiles renamed or locked in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === PROFILES_KEY) renderProfileButton();
+        });
+        
+        const languageSelect = document.getElementById('languageSelect');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', () => {
+                updateSetting('locale', languageSelect.value);
+                renderSettings();
+                renderProfileButton();
+            });
+        }
+        
+        const weekStartSelect = document.getElementById('weekStartSelect');
+        if (weekStartSelect) {
+            weekStartSelect.addEventListener('change', () => {
+                updateSetting('weekStartsOn', parseInt(weekStartSelect.value, 10));
+            });
+        }
+        
+        const weeklySummarySelect = document.getElementById('weeklySummarySelect');
+        if (weeklySummarySelect) {
+            weeklySummarySelect.addEventListener('change', () => {
+                updateSetting('weeklySummary', weeklySummarySelect.value);
+            });
+        }
+        
+        const dayStartSelect = document.getElementById('dayStartSelect');
+        if (dayStartSelect) {
+            dayStartSelect.addEventListener('change', () => {
+                updateSetting('dayStartHour', parseInt(dayStartSelect.value, 10));
+            });
+        }
+        
+        const calendarPrevBtn = document.getElementById('calendarPrevBtn');
+        const calendarNextBtn = document.getElementById('calendarNextBtn');
+        const calendarTodayBtn = document.getElementById('calendarTodayBtn');
+        const calendarMonthPicker = document.getElementById('calendarMonthPicker');
+        if (calendarPrevBtn) calendarPrevBtn.addEventListener('click', () => shiftCalendarMonth(-1));
+        if (calendarNextBtn) calendarNextBtn.addEventListener('click', () => shiftCalendarMonth(1));
+        if (calendarTodayBtn) {
+            calendarTodayBtn.addEventListener('click', () => {
+                calendarView = null;
+                generateCalendar();
+            });
+        }
+        if (calendarMonthPicker) {
+            calendarMonthPicker.addEventListener('change', () => {
+                const [year, month] = calendarMonthPicker.value.split('-').map(Number);
+                if (year && month) setCalendarMonth(year, month - 1);
+            });
+        }
+        
+        ['analyticsActivity', 'analyticsRange', 'analyticsStart', 'analyticsEnd'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.addEventListener('change', renderAnalytics);
+        });
+        
+        const noteSearchInput = document.getElementById('noteSearchInput');
+        if (noteSearchInput) {
+            noteSearchInput.addEventListener('input', debounce(renderNoteSearch, 200));
+        }
+        
+        const tagFilter = document.getElementById('tagFilter');
+        if (tagFilter) {
+            tagFilter.addEventListener('change', renderActivities);
+        }
+        
+        const heatmapActivity = document.getElementById('heatmapActivity');
+        if (heatmapActivity) {
+            heatmapActivity.addEventListener('change', renderHeatmap);
+        }
+        
+        const importPackBtn = document.getElementById('importPackBtn');
+        const importPackInput = document.getElementById('importPackInput');
+        const exportPackBtn = document.getElementById('exportPackBtn');
+        if (exportPackBtn) exportPackBtn.addEventListener('click', exportActivitiesAsPack);
+        if (importPackBtn && importPackInput) {
+            importPackBtn.addEventListener('click', () => importPackInput.click());
+            importPackInput.addEventListener('change', () => {
+                importPackFile(importPackInput.files[0]);
+                importPackInput.value = '';
+            });
+        }
+        
+        const exportJsonBtn = document.getElementById('exportJsonBtn');
+        const importJsonBtn = document.getElementById('importJsonBtn');
+        const importJsonInput = document.getElementById('importJsonInput');
+        if (exportJsonBtn) exportJsonBtn.addEventListener('click', exportData);
+        if (importJsonBtn && importJsonInput) {
+            importJsonBtn.addEventListener('click', () => importJsonInput.click());
+            importJsonInput.addEventListener('change', () => {
+                importDataFile(importJsonInput.files[0]);
+                importJsonInput.value = '';
+            });
+        }
+        
+        const exportCsvBtn = document.getElementById('exportCsvBtn');
+        const importCsvBtn = document.getElementById('importCsvBtn');
+        const importCsvInput = document.getElementById('importCsvInput');
+        if (exportCsvBtn) exportCsvBtn.addEventListener('click', showCsvExportDialog);
+        if (importCsvBtn && importCsvInput) {
+            importCsvBtn.addEventListener('click', () => importCsvInput.click());
+            importCsvInput.addEventListener('change', () => {
+                importCsvFile(importCsvInput.files[0]);
+                importCsvInput.value = '';
+            });
+        }
+        
+        const remindersToggle = document.getElementById('remindersToggle');
+        if (remindersToggle) {
+            remindersToggle.addEventListener('change', () => setRemindersEnabled(remindersToggle.checked));
+        }
+        [
+            ['dailyReminderInput', 'dailyReminderTime'],
+            ['quietStartInput', 'quietHoursStart'],
+            ['quietEndInput', 'quietHoursEnd']
+        ].forEach(([inputId, key]) => {
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.addEventListener('change', () => updateSetting(key, normalizeTime(input.value)));
+            }
+        });
+        const onlyIncompleteToggle = document.getElementById('onlyIncompleteToggle');
+        if (onlyIncompleteToggle) {
+            onlyIncompleteToggle.addEventListener('change', () => {
+                updateSetting('remindOnlyIncomplete', onlyIncompleteToggle.checked);
+            });
+        }
+        
+        const backfillSelect = document.getElementById('backfillSelect');
+        if (backfillSelect) {
+            backfillSelect.addEventListener('change', () => {
+                updateSetting('backfillDays', parseInt(backfillSelect.value, 10));
+            });
+        }
+        
         const addActivityBtn = document.getElementById('addActivityBtn');
         const addActivityForm = document.getElementById('addActivityForm');
         const saveActivityBtn = document.getElementById('saveActivityBtn');
         const cancelActivityBtn = document.getElementById('cancelActivityBtn');
         const activityInput = document.getElementById('activityInput');
+        const addScheduleContainer = document.getElementById('addScheduleFields');
+        const addCategoryFields = createCategoryFields();
+        const addTimeOfDayField = createTimeOfDayField();
+        const addScheduleFields = createScheduleFields();
+        const addTypeFields = createTypeFields();
+        const addReminderField = createReminderField();
+        if (addScheduleContainer) {
+            addScheduleContainer.appendChild(addCategoryFields.element);
+            addScheduleContainer.appendChild(addTimeOfDayField.element);
+            addScheduleContainer.appendChild(addScheduleFields.element);
+            addScheduleContainer.appendChild(addTypeFields.element);
+            addScheduleContainer.appendChild(addReminderField.element);
+        }
         
         if (addActivityBtn && addActivityForm) {
             addActivityBtn.addEventListener('click', () => {
@@ -875,6 +7061,11 @@ document.addEventListener('DOMContentLoaded', function() {
                 addActivityForm.style.display = 'none';
                 addActivityBtn.style.display = 'block';
                 if (activityInput) activityInput.value = '';
+                addCategoryFields.reset();
+                addTimeOfDayField.reset();
+                addScheduleFields.reset();
+                addTypeFields.reset();
+                addReminderField.reset();
             });
         }
         
@@ -882,8 +7073,17 @@ document.addEventListener('DOMContentLoaded', function() {
             saveActivityBtn.addEventListener('click', () => {
                 const name = activityInput.value.trim();
                 if (name) {
-                    addActivity(name);
+                    addActivity(name, Object.assign({
+                        schedule: addScheduleFields.getSchedule(),
+                        reminderTime: addReminderField.getValue(),
+                        timeOfDay: addTimeOfDayField.getValue()
+                    }, addCategoryFields.getValues(), addTypeFields.getValues()));
                     activityInput.value = '';
+                    addCategoryFields.reset();
+                    addTimeOfDayField.reset();
+                    addScheduleFields.reset();
+                    addTypeFields.reset();
+                    addReminderField.reset();
                     addActivityForm.style.display = 'none';
                     addActivityBtn.style.display = 'block';
                 }
@@ -898,24 +7098,34 @@ document.addEventListener('DOMContentLoaded', function() {
             });
         }
         
-        
-        // Check for new day every minute (throttled)
+
+        // Check for new day every minute (throttled); getTodayDate
+        // respects the local timezone and the configured day start hour.
+        // Other tabs get the leader's changes and only re-render. A new
+        // time-of-day block also re-renders to move the highlight.
+        let displayedDate = getTodayDate();
+        let displayedBlock = getCurrentTimeBlock();
         const checkNewDay = throttle(() => {
-            const data = getData();
             const today = getTodayDate();
-            if (data.lastResetDate !== today) {
+            const block = getCurrentTimeBlock();
+            if (isLeaderTab && getData().lastResetDate !== today) {
                 checkDailyReset();
                 trackAppOpen();
+            }
+            if (displayedDate !== today || displayedBlock !== block) {
+                displayedDate = today;
+                displayedBlock = block;
+                updateDateDisplay();
                 renderActivities();
-                updateProgress();
-                updateWeeklyStats();
-                updateMonthlyStats();
-                updateStreakDisplay();
-                generateCalendar();
+                refreshStats();
             }
         }, 60000);
         
         setInterval(checkNewDay, 60000);
+        electLeaderTab(() => {
+            checkNewDay();
+            runSync();
+        });
     } catch (error) {
         console.error('Error initializing app:', error);
     }
@@ -925,3 +7135,5 @@ document.addEventListener('DOMContentLoaded', function() {
 window.toggleActivity = toggleActivity;
 window.deleteActivity = deleteActivity;
 window.addActivity = addActivity;
+window.renameActivity = renameActivity;
+window.setActivityValue = setActivityValue;
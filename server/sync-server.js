@@ -0,0 +1,215 @@
+// Tickora - Reference sync server
+// Keeps each vault's change log as one JSON line per change in a data
+// folder and hands the changes back in order. It never sees plain data:
+// vault ids and payload keys are derived from the passphrase on the
+// devices, and payloads are AES-GCM ciphertext. No dependencies:
+//
+//   node server/sync-server.js [--port 8787] [--data ./sync-data]
+//
+// PORT and SYNC_DATA_DIR work as well. Put it behind HTTPS (e.g. a
+// reverse proxy) for anything beyond a local network.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_CHANGES_PER_VAULT = 100000;
+const MAX_PAGE_SIZE = 500;
+// 64 hex characters, the SHA-256 the devices derive from the passphrase
+const VAULT_ID_PATTERN = /^[a-f0-9]{64}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// ==================== STORAGE ====================
+
+// Change logs by vault id, loaded from disk on first use
+function createVaultStore(dataDir) {
+    const vaults = new Map();
+    // Appends to a vault run one after another
+    const queues = new Map();
+    
+    fs.mkdirSync(dataDir, { recursive: true });
+    
+    function getFile(vaultId) {
+        return path.join(dataDir, `${vaultId}.jsonl`);
+    }
+    
+    // A line that doesn't parse (e.g. cut short by a crash mid-write) is
+    // reported and left as a gap, so the following changes keep their seq
+    function parseLog(vaultId, text) {
+        return text.split('\n').filter(Boolean).map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                console.error(`Skipping corrupt change on line ${index + 1} of ${getFile(vaultId)}`);
+                return null;
+            }
+        });
+    }
+    
+    async function load(vaultId) {
+        if (vaults.has(vaultId)) return vaults.get(vaultId);
+        let changes = [];
+        try {
+            const text = await fs.promises.readFile(getFile(vaultId), 'utf8');
+            changes = parseLog(vaultId, text);
+            // Don't let the next append run on from a half-written line
+            if (text && !text.endsWith('\n')) await fs.promises.appendFile(getFile(vaultId), '\n');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        // Another request may have loaded it meanwhile
+        if (!vaults.has(vaultId)) vaults.set(vaultId, changes);
+        return vaults.get(vaultId);
+    }
+    
+    function append(vaultId, record) {
+        const previous = queues.get(vaultId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const changes = await load(vaultId);
+            if (changes.length >= MAX_CHANGES_PER_VAULT) {
+                throw createHttpError(507, 'Vault is full');
+            }
+            const change = Object.assign({ seq: changes.length + 1, receivedAt: new Date().toISOString() }, record);
+            await fs.promises.appendFile(getFile(vaultId), JSON.stringify(change) + '\n');
+            changes.push(change);
+            return change.seq;
+        });
+        queues.set(vaultId, next);
+        return next;
+    }
+    
+    // Changes after `since`, at most `limit` of them
+    async function list(vaultId, since, limit) {
+        const changes = await load(vaultId);
+        return {
+            changes: changes.slice(since, since + limit).filter(Boolean),
+            latest: changes.length
+        };
+    }
+    
+    return { append, list };
+}
+
+// ==================== HTTP ====================
+
+function createHttpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Payloads are encrypted and the vault id is the secret, so any origin may
+// call the API
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, Object.assign({
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Cache-Control': 'no-store'
+    }, headers));
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// An oversized body is rejected as soon as it's known, and the rest of it
+// is drained (not buffered) until the 413 closes the connection
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+        function refuse() {
+            tooLarge = true;
+            chunks.length = 0;
+            reject(createHttpError(413, 'Change too large'));
+        }
+        
+        if (parseInt(req.headers['content-length'], 10) > MAX_BODY_BYTES) refuse();
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                refuse();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (tooLarge) return;
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(createHttpError(400, 'Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// An encrypted change as sent by the app: { iv, data }, both base64
+function validateChange(body) {
+    if (!body || typeof body !== 'object') return null;
+    const { iv, data } = body;
+    if (typeof iv !== 'string' || !BASE64_PATTERN.test(iv) || iv.length > 64) return null;
+    if (typeof data !== 'string' || !BASE64_PATTERN.test(data)) return null;
+    return { iv, data };
+}
+
+function createSyncServer(options = {}) {
+    const store = createVaultStore(options.dataDir || path.join(process.cwd(), 'sync-data'));
+    
+    return http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            if (req.method === 'OPTIONS') {
+                sendJson(res, 204);
+                return;
+            }
+            if (url.pathname === '/health' && req.method === 'GET') {
+                sendJson(res, 200, { ok: true });
+                return;
+            }
+            
+            const match = url.pathname.match(/^\/v1\/vaults\/([^/]+)\/changes$/);
+            if (!match) throw createHttpError(404, 'Not found');
+            const vaultId = match[1];
+            if (!VAULT_ID_PATTERN.test(vaultId)) throw createHttpError(400, 'Invalid vault id');
+            
+            if (req.method === 'GET') {
+                const since = Math.max(parseInt(url.searchParams.get('since'), 10) || 0, 0);
+                const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || MAX_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+                sendJson(res, 200, await store.list(vaultId, since, limit));
+            } else if (req.method === 'POST') {
+                const change = validateChange(await readJsonBody(req));
+                if (!change) throw createHttpError(400, 'Invalid change');
+                sendJson(res, 201, { seq: await store.append(vaultId, change) });
+            } else {
+                throw createHttpError(405, 'Method not allowed');
+            }
+        } catch (error) {
+            if (!error.status) console.error(error);
+            // Don't wait for the rest of a body that was refused
+            const headers = error.status === 413 ? { Connection: 'close' } : {};
+            sendJson(res, error.status || 500, { error: error.status ? error.message : 'Server error' }, headers);
+        }
+    });
+}
+
+// ==================== CLI ====================
+
+function getArgument(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? undefined : process.argv[index + 1];
+}
+
+if (require.main === module) {
+    const port = parseInt(getArgument('port') || process.env.PORT, 10) || DEFAULT_PORT;
+    const dataDir = path.resolve(getArgument('data') || process.env.SYNC_DATA_DIR || 'sync-data');
+    createSyncServer({ dataDir }).listen(port, () => {
+        console.log(`Tickora sync server listening on http://localhost:${port} (data in ${dataDir})`);
+    });
+}
+
+module.exports = { createSyncServer };
@@ -0,0 +1,632 @@
+// Tickora - Storage backends
+// Data is loaded once into memory (see getData in script.js) and written
+// back incrementally: IndexedDB keeps one record per day plus a small
+// "meta" record for everything else. localStorage is the fallback when
+// IndexedDB is unavailable, e.g. in some private browsing modes.
+//
+// Several tabs can share the data. Every write bumps a revision number
+// and only succeeds if the stored revision is still the one this tab
+// last saw; otherwise the tab merges its changes into the newer data and
+// writes again. Other tabs hear about writes over a BroadcastChannel (or
+// storage events where that is missing) and reload.
+//
+// Each profile has its own database, keys and channel; the default
+// profile uses the names from before profiles existed.
+
+const STORAGE_KEY = 'tickoraData';
+// Latest revision; also pings other tabs through storage events
+const REVISION_KEY = 'tickoraRevision';
+const DB_NAME = 'tickora';
+const DB_VERSION = 1;
+const SYNC_CHANNEL = 'tickora';
+const LEADER_LOCK = 'tickora-leader';
+// Sync connection and bookkeeping (see sync.js)
+const SYNC_STATE_KEY = 'tickoraSync';
+// When entries were edited on this device, until the next sync notes them
+const SYNC_EDITS_KEY = 'tickoraSyncEdits';
+// List of profiles, shared by all of them
+const PROFILES_KEY = 'tickoraProfiles';
+// Profile opened on the next start
+const ACTIVE_PROFILE_KEY = 'tickoraActiveProfile';
+const DEFAULT_PROFILE_ID = 'default';
+
+// Top-level fields keyed by date; each date becomes one IndexedDB record
+const PER_DAY_FIELDS = ['dailyData', 'notes', 'journal', 'skips'];
+
+// ==================== SNAPSHOTS ====================
+
+// Split data into the meta part and per-day records
+function splitData(data) {
+    const meta = {};
+    const days = new Map();
+    
+    Object.keys(data).forEach(key => {
+        if (!PER_DAY_FIELDS.includes(key)) {
+            meta[key] = data[key];
+        }
+    });
+    
+    PER_DAY_FIELDS.forEach(field => {
+        const byDate = data[field] || {};
+        Object.keys(byDate).forEach(date => {
+            const record = days.get(date) || { date };
+            record[field] = byDate[date];
+            days.set(date, record);
+        });
+    });
+    
+    return { meta, days };
+}
+
+// Rebuild data from the meta record and per-day records
+function joinData(meta, dayRecords) {
+    const data = Object.assign({}, meta);
+    PER_DAY_FIELDS.forEach(field => {
+        data[field] = {};
+    });
+    
+    dayRecords.forEach(record => {
+        PER_DAY_FIELDS.forEach(field => {
+            if (record[field] !== undefined) {
+                data[field][record.date] = record[field];
+            }
+        });
+    });
+    
+    return data;
+}
+
+// ==================== LOCALSTORAGE BACKEND ====================
+
+function createLocalStorageBackend() {
+    return {
+        name: 'localStorage',
+        
+        async load() {
+            const stored = localStorage.getItem(storageNames.dataKey);
+            return stored ? JSON.parse(stored) : null;
+        },
+        
+        // Whole-blob write, refused when another tab saved in between
+        async write(changes) {
+            if (changes.blob.length > 5000000) { // ~5MB limit
+                throw new Error('Data too large to save');
+            }
+            const stored = parseInt(localStorage.getItem(storageNames.revisionKey), 10) || 0;
+            if (stored !== changes.expectedRevision) {
+                throw createConflictError();
+            }
+            localStorage.setItem(storageNames.dataKey, changes.blob);
+            localStorage.setItem(storageNames.revisionKey, String(changes.revision));
+        }
+    };
+}
+
+// ==================== INDEXEDDB BACKEND ====================
+
+// Wrap an IDBRequest in a promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(storageNames.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta');
+            }
+            if (!db.objectStoreNames.contains('days')) {
+                db.createObjectStore('days', { keyPath: 'date' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked'));
+    });
+}
+
+async function createIndexedDbBackend() {
+    const db = await openDatabase();
+    
+    return {
+        name: 'indexedDB',
+        
+        async load() {
+            const tx = db.transaction(['meta', 'days'], 'readonly');
+            const meta = await promisifyRequest(tx.objectStore('meta').get('root'));
+            if (!meta) return null;
+            const days = await promisifyRequest(tx.objectStore('days').getAll());
+            return joinData(meta, days);
+        },
+        
+        // Write the meta record and the days that changed. The revision
+        // check shares the transaction, so no other tab can write between.
+        write(changes) {
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(['meta', 'days'], 'readwrite');
+                const metaStore = tx.objectStore('meta');
+                const daysStore = tx.objectStore('days');
+                let conflict = false;
+                
+                const request = metaStore.get('root');
+                request.onsuccess = () => {
+                    const stored = request.result ? request.result.revision || 0 : 0;
+                    if (stored !== changes.expectedRevision) {
+                        conflict = true;
+                        tx.abort();
+                        return;
+                    }
+                    metaStore.put(Object.assign(JSON.parse(changes.meta), { revision: changes.revision }), 'root');
+                    changes.puts.forEach(json => daysStore.put(JSON.parse(json)));
+                    changes.deletes.forEach(date => daysStore.delete(date));
+                };
+                
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(conflict ? createConflictError() : (tx.error || new Error('Transaction aborted')));
+            });
+        }
+    };
+}
+
+// ==================== PROFILES ====================
+
+// Database, keys and channel holding a profile's data
+function getProfileStorageNames(profileId) {
+    const suffix = profileId === DEFAULT_PROFILE_ID ? '' : `-${profileId}`;
+    return {
+        dataKey: STORAGE_KEY + suffix,
+        revisionKey: REVISION_KEY + suffix,
+        dbName: DB_NAME + suffix,
+        channel: SYNC_CHANNEL + suffix,
+        leaderLock: LEADER_LOCK + suffix,
+        syncKey: SYNC_STATE_KEY + suffix,
+        syncEditsKey: SYNC_EDITS_KEY + suffix
+    };
+}
+
+// Names for the profile this tab opened
+let storageNames = getProfileStorageNames(DEFAULT_PROFILE_ID);
+
+// Stored profiles: [{ id, name, pin }], pin being { salt, hash } or null.
+// The default profile is always there, even before the list was saved.
+function loadProfiles() {
+    let profiles = [];
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROFILES_KEY));
+        if (Array.isArray(stored)) {
+            profiles = stored.filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string');
+        }
+    } catch (error) {
+        console.error('Error reading profiles:', error);
+    }
+    if (!profiles.some(profile => profile.id === DEFAULT_PROFILE_ID)) {
+        profiles.unshift({ id: DEFAULT_PROFILE_ID, name: '', pin: null });
+    }
+    return profiles;
+}
+
+function saveProfiles(profiles) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+// Id of the profile to open, falling back to the default profile
+function getActiveProfileId() {
+    const id = localStorage.getItem(ACTIVE_PROFILE_KEY);
+    return loadProfiles().some(profile => profile.id === id) ? id : DEFAULT_PROFILE_ID;
+}
+
+function setActiveProfileId(profileId) {
+    localStorage.setItem(ACTIVE_PROFILE_KEY, profileId);
+}
+
+// Remove everything stored for a profile. A tab that still has its
+// database open delays the deletion until it closes.
+function deleteProfileData(profileId) {
+    if (profileId === DEFAULT_PROFILE_ID) {
+        return Promise.reject(new Error('The default profile cannot be deleted'));
+    }
+    const names = getProfileStorageNames(profileId);
+    localStorage.removeItem(names.dataKey);
+    localStorage.removeItem(names.revisionKey);
+    localStorage.removeItem(names.syncKey);
+    localStorage.removeItem(names.syncEditsKey);
+    if (!window.indexedDB) return Promise.resolve();
+    
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(names.dbName);
+        request.onsuccess = () => resolve();
+        request.onblocked = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ==================== STORAGE API ====================
+
+let storageBackend = null;
+
+// What this tab last read from or wrote to storage. Used to find changed
+// records and as the common base when merging with another tab's writes.
+let persistedRevision = 0;
+let persistedMetaJson = null;
+const persistedDays = new Map();
+
+// Saves are coalesced: only the latest data is written once the
+// running write finishes
+let pendingData = null;
+// Dates whose records may differ from the baseline, or null when any
+// may (a save that didn't say which days it changed)
+let dirtyDates = new Set();
+let flushing = false;
+let flushPromise = Promise.resolve();
+
+let syncChannel = null;
+let externalChangeHandler = null;
+
+function createConflictError() {
+    const error = new Error('Data was changed in another tab');
+    error.name = 'RevisionConflictError';
+    return error;
+}
+
+// Content of data as JSON strings; the revision is tracked on its own
+function serializeData(data) {
+    const { meta, days } = splitData(data);
+    delete meta.revision;
+    const dayJson = new Map();
+    days.forEach((record, date) => dayJson.set(date, JSON.stringify(record)));
+    return { metaJson: JSON.stringify(meta), days: dayJson };
+}
+
+// The meta record alone as JSON, like serializeData
+function serializeMeta(data) {
+    const meta = {};
+    Object.keys(data).forEach(key => {
+        if (!PER_DAY_FIELDS.includes(key) && key !== 'revision') {
+            meta[key] = data[key];
+        }
+    });
+    return JSON.stringify(meta);
+}
+
+// One day's record as JSON, like serializeData, or null when nothing is
+// stored for that day
+function serializeDay(data, date) {
+    const record = { date };
+    let empty = true;
+    PER_DAY_FIELDS.forEach(field => {
+        const byDate = data[field] || {};
+        if (Object.prototype.hasOwnProperty.call(byDate, date)) {
+            record[field] = byDate[date];
+            empty = false;
+        }
+    });
+    return empty ? null : JSON.stringify(record);
+}
+
+// Remember a loaded or written snapshot as the persisted baseline
+function rememberSnapshot(data) {
+    const { metaJson, days } = serializeData(data);
+    persistedRevision = data.revision || 0;
+    persistedMetaJson = metaJson;
+    persistedDays.clear();
+    days.forEach((json, date) => persistedDays.set(date, json));
+}
+
+// The persisted baseline as data again
+function getPersistedData() {
+    const meta = persistedMetaJson ? JSON.parse(persistedMetaJson) : {};
+    const days = Array.from(persistedDays.values()).map(json => JSON.parse(json));
+    return Object.assign(joinData(meta, days), { revision: persistedRevision });
+}
+
+// Compare data with the persisted baseline, on the given dates only or
+// on every date when dates is null. Returns null when nothing changed,
+// otherwise the records to write under the next revision.
+function collectChanges(data, dates = null) {
+    const metaJson = serializeMeta(data);
+    // Changed day records by date
+    const days = new Map();
+    const deletes = [];
+    
+    if (dates) {
+        dates.forEach(date => {
+            const json = serializeDay(data, date);
+            if (json === null) {
+                if (persistedDays.has(date)) deletes.push(date);
+            } else if (persistedDays.get(date) !== json) {
+                days.set(date, json);
+            }
+        });
+    } else {
+        const all = serializeData(data).days;
+        all.forEach((json, date) => {
+            if (persistedDays.get(date) !== json) days.set(date, json);
+        });
+        persistedDays.forEach((json, date) => {
+            if (!all.has(date)) deletes.push(date);
+        });
+    }
+    
+    if (metaJson === persistedMetaJson && days.size === 0 && deletes.length === 0) {
+        return null;
+    }
+    
+    data.revision = persistedRevision + 1;
+    return {
+        meta: metaJson,
+        puts: Array.from(days.values()),
+        deletes,
+        days,
+        expectedRevision: persistedRevision,
+        revision: data.revision,
+        blob: storageBackend.name === 'localStorage' ? JSON.stringify(data) : null
+    };
+}
+
+// A write went through: its records join the baseline
+function confirmChanges(changes) {
+    persistedRevision = changes.revision;
+    persistedMetaJson = changes.meta;
+    changes.days.forEach((json, date) => persistedDays.set(date, json));
+    changes.deletes.forEach(date => persistedDays.delete(date));
+}
+
+// Note the days a save changed; no list means any day may have
+function markDatesDirty(dates) {
+    if (!dirtyDates) return;
+    if (!dates) {
+        dirtyDates = null;
+        return;
+    }
+    dates.forEach(date => dirtyDates.add(date));
+}
+
+// ==================== MERGING ====================
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameJson(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Three-way merge of keyed objects: keys this tab changed since `base`
+// take its value, everything else keeps the other tab's. `depth` 2 also
+// merges one level down, e.g. per date and then per activity.
+function mergeObjects(base, ours, theirs, depth) {
+    const merged = Object.assign({}, theirs);
+    const keys = new Set(Object.keys(base).concat(Object.keys(ours)));
+    
+    keys.forEach(key => {
+        if (sameJson(ours[key], base[key])) return;
+        if (depth > 1 && isPlainObject(ours[key]) && isPlainObject(theirs[key])) {
+            merged[key] = mergeObjects(isPlainObject(base[key]) ? base[key] : {}, ours[key], theirs[key], depth - 1);
+        } else if (ours[key] === undefined) {
+            delete merged[key];
+        } else {
+            merged[key] = ours[key];
+        }
+    });
+    
+    return merged;
+}
+
+// Three-way merge of activities by id. The order follows this tab if it
+// reordered activities, otherwise the other tab.
+function mergeActivities(base, ours, theirs) {
+    const byId = list => new Map(list.map(activity => [activity.id, activity]));
+    const baseById = byId(base);
+    const oursById = byId(ours);
+    const theirsById = byId(theirs);
+    const keptIds = list => list.map(activity => activity.id).filter(id => baseById.has(id) && oursById.has(id));
+    const reordered = !sameJson(keptIds(base), keptIds(ours));
+    const merged = [];
+    const seen = new Set();
+    
+    (reordered ? ours.concat(theirs) : theirs.concat(ours)).forEach(activity => {
+        if (seen.has(activity.id)) return;
+        seen.add(activity.id);
+        const original = baseById.get(activity.id);
+        const mine = oursById.get(activity.id);
+        const other = theirsById.get(activity.id);
+        if (original && (!mine || !other)) return; // deleted in one of the tabs
+        merged.push(mine && !sameJson(mine, original) ? mine : other || mine);
+    });
+    
+    return merged;
+}
+
+// Apply this tab's changes (ours against base) on top of newer data
+// written by another tab (theirs)
+function mergeData(base, ours, theirs) {
+    const merged = Object.assign({}, theirs);
+    
+    Object.keys(ours).forEach(key => {
+        if (key === 'revision' || sameJson(ours[key], base[key])) return;
+        if (key === 'activities' && Array.isArray(theirs.activities)) {
+            merged.activities = mergeActivities(base.activities || [], ours.activities, theirs.activities);
+        } else if (isPlainObject(ours[key]) && isPlainObject(theirs[key])) {
+            const depth = PER_DAY_FIELDS.includes(key) ? 2 : 1;
+            merged[key] = mergeObjects(isPlainObject(base[key]) ? base[key] : {}, ours[key], theirs[key], depth);
+        } else {
+            merged[key] = ours[key];
+        }
+    });
+    
+    return merged;
+}
+
+// ==================== OTHER TABS ====================
+
+// Tell other tabs a new revision was written
+function announceChange(revision) {
+    if (syncChannel) {
+        syncChannel.postMessage({ type: 'saved', revision });
+    }
+    // The localStorage backend already wrote the key; otherwise it only
+    // serves to fire storage events in browsers without BroadcastChannel
+    if (storageBackend.name !== 'localStorage') {
+        try {
+            localStorage.setItem(storageNames.revisionKey, String(revision));
+        } catch (error) {
+            // Not critical, BroadcastChannel usually covers it
+        }
+    }
+}
+
+// Load data another tab saved and hand it to the app. When this tab is
+// writing itself, that write's revision check does the merging instead.
+async function handleExternalChange(revision) {
+    if (!storageBackend || revision <= persistedRevision) return;
+    if (flushing) return;
+    
+    try {
+        const stored = await storageBackend.load();
+        if (!stored || (stored.revision || 0) <= persistedRevision || flushing) return;
+        rememberSnapshot(stored);
+        if (externalChangeHandler) externalChangeHandler(stored);
+    } catch (error) {
+        console.error('Error loading data from another tab:', error);
+    }
+}
+
+// Call handler(data) whenever another tab saves newer data
+function watchExternalChanges(handler) {
+    externalChangeHandler = handler;
+    
+    if (typeof BroadcastChannel !== 'undefined' && !syncChannel) {
+        syncChannel = new BroadcastChannel(storageNames.channel);
+        syncChannel.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'saved') {
+                handleExternalChange(e.data.revision);
+            }
+        });
+    }
+    
+    window.addEventListener('storage', (e) => {
+        if (e.key === storageNames.revisionKey) {
+            handleExternalChange(parseInt(e.newValue, 10) || 0);
+        }
+    });
+}
+
+// Another tab wrote first: merge this tab's changes into its data and
+// hand the result to the app; the write loop then saves it
+async function resolveConflict(data) {
+    const ours = pendingData || data;
+    const stored = await storageBackend.load();
+    const merged = stored ? mergeData(getPersistedData(), ours, stored) : ours;
+    
+    rememberSnapshot(stored || {});
+    pendingData = merged;
+    if (externalChangeHandler) externalChangeHandler(merged);
+}
+
+// ==================== PERSISTENCE ====================
+
+// Pick a backend and load a profile's stored data (null when nothing is
+// stored yet). On the first IndexedDB run the old localStorage blob is
+// migrated.
+async function initStorage(profileId = DEFAULT_PROFILE_ID) {
+    storageNames = getProfileStorageNames(profileId);
+    try {
+        if (!window.indexedDB) throw new Error('IndexedDB not supported');
+        storageBackend = await createIndexedDbBackend();
+        
+        let data = await storageBackend.load();
+        if (!data) {
+            const legacy = await createLocalStorageBackend().load();
+            if (legacy) {
+                try {
+                    await storageBackend.write(collectChanges(legacy));
+                    data = legacy;
+                } catch (error) {
+                    // Another tab migrated it at the same time
+                    if (error.name !== 'RevisionConflictError') throw error;
+                    data = await storageBackend.load();
+                }
+                localStorage.removeItem(storageNames.dataKey);
+            }
+        }
+        if (data) rememberSnapshot(data);
+        return data;
+    } catch (error) {
+        console.warn('IndexedDB unavailable, using localStorage:', error);
+        storageBackend = createLocalStorageBackend();
+        const data = await storageBackend.load();
+        if (data) rememberSnapshot(data);
+        return data;
+    }
+}
+
+// Write pending data until there is none left
+async function flushPending() {
+    flushing = true;
+    try {
+        while (pendingData) {
+            const data = pendingData;
+            const dates = dirtyDates;
+            pendingData = null;
+            dirtyDates = new Set();
+            const changes = collectChanges(data, dates);
+            if (!changes) continue;
+            
+            try {
+                await storageBackend.write(changes);
+                confirmChanges(changes);
+                announceChange(changes.revision);
+            } catch (error) {
+                // The days stay dirty, so the next save writes them
+                markDatesDirty(dates && Array.from(dates));
+                if (error && error.name === 'RevisionConflictError') {
+                    // The baseline becomes the other tab's data
+                    dirtyDates = null;
+                    await resolveConflict(data);
+                } else if (error && error.name === 'QuotaExceededError') {
+                    console.error('Storage quota exceeded');
+                    showAlert(t('storage.quotaExceeded'));
+                } else {
+                    console.error('Error saving data:', error);
+                }
+            }
+        }
+    } catch (error) {
+        // Reading the other tab's data failed while merging
+        console.error('Error saving data:', error);
+        showAlert(t('storage.saveFailed'));
+    } finally {
+        flushing = false;
+    }
+}
+
+// Save the given data; changed records are written once any running
+// write has finished. changedDates lists the days the change touched
+// ([] for none); without it every day is compared with the baseline.
+function persistData(data, changedDates) {
+    if (!storageBackend) {
+        storageBackend = createLocalStorageBackend();
+    }
+    
+    markDatesDirty(changedDates);
+    pendingData = data;
+    if (!flushing) {
+        flushPromise = flushPending();
+    }
+    return flushPromise;
+}
+
+// Resolves once all pending writes have finished
+function flushStorage() {
+    return flushPromise;
+}
+
+function getStorageBackendName() {
+    return storageBackend ? storageBackend.name : 'none';
+}
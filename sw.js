@@ -0,0 +1,154 @@
+// Tickora - Service worker
+// Precaches the app shell so Tickora installs and works fully offline.
+// Bump CACHE_VERSION whenever a precached file changes: the new worker
+// then waits until the page accepts the "update available" prompt.
+
+const CACHE_VERSION = 'v16';
+const CACHE_NAME = `tickora-${CACHE_VERSION}`;
+// Holds the reminder plan posted by the page; survives version bumps
+const REMINDER_CACHE = 'tickora-reminders';
+const REMINDER_PLAN_URL = './reminder-plan.json';
+const REMINDER_TAG_PREFIX = 'tickora-reminder-';
+// Reminders missed by more than this are dropped rather than shown late
+const REMINDER_GRACE_MS = 2 * 60 * 60 * 1000;
+
+const PRECACHE_ASSETS = [
+    './',
+    './index.html',
+    './style.css',
+    './i18n.js',
+    './dates.js',
+    './storage.js',
+    './sync.js',
+    './charts.js',
+    './script.js',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-512.png'
+];
+
+// ==================== LIFECYCLE ====================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_ASSETS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('tickora-') && key !== CACHE_NAME && key !== REMINDER_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    // The page asks a waiting worker to take over once the user accepts
+    if (message.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (message.type === 'REMINDER_PLAN' && Array.isArray(message.plan)) {
+        event.waitUntil(updateReminderPlan(message.plan));
+    }
+});
+
+// ==================== FETCH ====================
+
+// Cache first for the app shell; navigations fall back to index.html offline
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) return cached;
+            return fetch(request).catch(() => {
+                if (request.mode === 'navigate') {
+                    return caches.match('./index.html');
+                }
+                return Response.error();
+            });
+        })
+    );
+});
+
+// ==================== REMINDERS ====================
+
+async function loadReminderPlan() {
+    const cache = await caches.open(REMINDER_CACHE);
+    const response = await cache.match(REMINDER_PLAN_URL);
+    return response ? response.json() : [];
+}
+
+async function saveReminderPlan(plan) {
+    const cache = await caches.open(REMINDER_CACHE);
+    await cache.put(REMINDER_PLAN_URL, new Response(JSON.stringify(plan), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+function getReminderOptions(reminder) {
+    return {
+        body: reminder.body,
+        tag: reminder.tag,
+        icon: './icons/icon-192.png',
+        badge: './icons/icon-192.png'
+    };
+}
+
+// Store a new plan; with Notification Triggers, replace the pending
+// scheduled notifications so the browser shows them at the exact time
+async function updateReminderPlan(plan) {
+    await saveReminderPlan(plan);
+    if (typeof TimestampTrigger === 'undefined') return;
+    
+    const scheduled = await self.registration.getNotifications({ includeTriggered: true });
+    scheduled
+        .filter(notification => notification.tag.startsWith(REMINDER_TAG_PREFIX) && notification.timestamp > Date.now())
+        .forEach(notification => notification.close());
+    
+    await Promise.all(plan.map(reminder => self.registration.showNotification(
+        reminder.title,
+        Object.assign(getReminderOptions(reminder), { showTrigger: new TimestampTrigger(reminder.timestamp) })
+    )));
+}
+
+// Show reminders whose time has passed while the app was closed
+async function showDueReminders() {
+    const plan = await loadReminderPlan();
+    const now = Date.now();
+    const due = plan.filter(reminder => reminder.timestamp <= now);
+    if (due.length === 0) return;
+    
+    // Triggered notifications have already been shown by the browser
+    const missed = typeof TimestampTrigger === 'undefined' ? due : [];
+    await Promise.all(missed
+        .filter(reminder => now - reminder.timestamp <= REMINDER_GRACE_MS)
+        .map(reminder => self.registration.showNotification(reminder.title, getReminderOptions(reminder))));
+    await saveReminderPlan(plan.filter(reminder => reminder.timestamp > now));
+}
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'tickora-reminders') {
+        event.waitUntil(showDueReminders());
+    }
+});
+
+// Bring the app to the front when a reminder is clicked
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => 'focus' in client);
+            return open ? open.focus() : self.clients.openWindow('./');
+        })
+    );
+});
@@ -0,0 +1,700 @@
+// Tickora - End-to-end encrypted sync
+// Optional: connects the open profile to a sync server (see
+// server/sync-server.js) so a phone and a laptop share their data. The
+// data is split into entries (an activity, a goal, one activity's
+// check-in, note or skip on a date, a journal day, a setting, ...) that
+// each remember when and on which device they last changed. Changed
+// entries are uploaded in batches encrypted with AES-GCM under a key
+// derived from the account name and passphrase, so the server only stores
+// ciphertext.
+// Entries from other devices replace local ones when they are newer (last
+// writer wins); clashes with local edits that weren't uploaded yet are
+// kept as conflicts for the UI. Everything goes through getData/saveData,
+// so the app works the same offline and catches up once back online.
+
+const SYNC_FORMAT_VERSION = 1;
+const SYNC_PBKDF2_ITERATIONS = 310000;
+const SYNC_INTERVAL = 5 * 60 * 1000;
+// Let a burst of edits settle before uploading
+const SYNC_DELAY = 3000;
+const SYNC_BATCH_SIZE = 500;
+const MAX_SYNC_CONFLICTS = 50;
+const MIN_PASSPHRASE_LENGTH = 10;
+// Settings that belong to the device rather than the person
+const LOCAL_ONLY_SETTINGS = ['remindersEnabled', 'dailyReminderTime', 'remindOnlyIncomplete', 'quietHoursStart', 'quietHoursEnd', 'collapsedCategories'];
+// Fields keyed by date and then by activity id
+const SYNC_DAY_FIELDS = ['dailyData', 'notes', 'skips'];
+// Fields synced as one entry
+const SYNC_WHOLE_FIELDS = ['templates', 'packs', 'theme'];
+
+// ==================== ENTRIES ====================
+
+// Data as a map from entry path (e.g. "dailyData/2026-10-05/<id>") to
+// value. With `dates`, entries of other days are left out.
+function flattenForSync(data, dates = null) {
+    const entries = new Map();
+    const includes = date => !dates || dates.includes(date);
+    
+    data.activities.forEach(activity => entries.set(`activities/${activity.id}`, activity));
+    (data.goals || []).forEach(goal => entries.set(`goals/${goal.id}`, goal));
+    entries.set('activityOrder', data.activities.map(activity => activity.id));
+    SYNC_DAY_FIELDS.forEach(field => {
+        Object.keys(data[field] || {}).filter(includes).forEach(date => {
+            Object.keys(data[field][date]).forEach(id => entries.set(`${field}/${date}/${id}`, data[field][date][id]));
+        });
+    });
+    Object.keys(data.journal || {}).filter(includes).forEach(date => entries.set(`journal/${date}`, data.journal[date]));
+    Object.keys(data.settings || {}).forEach(key => {
+        if (!LOCAL_ONLY_SETTINGS.includes(key)) entries.set(`settings/${key}`, data.settings[key]);
+    });
+    SYNC_WHOLE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) entries.set(field, data[field]);
+    });
+    
+    return entries;
+}
+
+// Day an entry belongs to, or '' for entries that aren't per day
+function getSyncEntryDate(path) {
+    const [field, date] = path.split('/');
+    return SYNC_DAY_FIELDS.includes(field) || field === 'journal' ? date : '';
+}
+
+function isSafeSyncKey(key) {
+    return typeof key === 'string' && key !== '' && !['__proto__', 'constructor', 'prototype'].includes(key);
+}
+
+// Order activities by a list of ids; unknown ones keep their place at the end
+function orderActivities(data, ids) {
+    const position = id => {
+        const index = ids.indexOf(id);
+        return index === -1 ? ids.length : index;
+    };
+    data.activities.sort((a, b) => position(a.id) - position(b.id));
+}
+
+// An entry value from another device cleaned the way imports are, or
+// undefined when it isn't valid here (e.g. sent by an older version)
+function normalizeSyncValue(data, path, value) {
+    const [field, key] = path.split('/');
+    
+    if (field === 'activities') {
+        const { activity } = normalizeStoredActivity(value);
+        return activity && activity.id === key ? activity : undefined;
+    }
+    if (field === 'goals') {
+        const goal = normalizeGoal(data, value);
+        return goal && goal.id === key ? goal : undefined;
+    }
+    if (field === 'activityOrder') {
+        return Array.isArray(value) && value.every(id => typeof id === 'string') ? value : undefined;
+    }
+    if (field === 'dailyData') return isValidEntryValue(value) ? value : undefined;
+    if (field === 'notes') return normalizeText(value, MAX_NOTE_LENGTH) || undefined;
+    if (field === 'skips') return value === true ? value : undefined;
+    if (field === 'journal') {
+        if (!value || typeof value !== 'object') return undefined;
+        const entry = { mood: normalizeMood(value.mood), text: normalizeText(value.text, MAX_JOURNAL_LENGTH) };
+        return entry.mood || entry.text ? entry : undefined;
+    }
+    if (field === 'settings') {
+        return Object.keys(SETTING_VALIDATORS).includes(key) && SETTING_VALIDATORS[key](value) ? value : undefined;
+    }
+    if (field === 'templates' || field === 'packs') {
+        if (!Array.isArray(value)) return undefined;
+        const normalize = field === 'templates' ? normalizeTemplate : normalizePack;
+        return value.map(normalize).filter(Boolean).slice(0, field === 'templates' ? MAX_TEMPLATES : MAX_PACKS);
+    }
+    if (field === 'theme') return value === 'dark' || value === 'light' ? value : undefined;
+    return undefined;
+}
+
+// Put an entry from another device into data; null removes it. Returns
+// false when the value isn't valid and was left out.
+function applySyncEntry(data, path, value) {
+    const [field, key, id] = path.split('/');
+    if (value !== null) {
+        value = normalizeSyncValue(data, path, value);
+        if (value === undefined) return false;
+    }
+    
+    if ((field === 'activities' || field === 'goals') && isSafeSyncKey(key)) {
+        const items = data[field];
+        const index = items.findIndex(item => item.id === key);
+        if (value === null) {
+            if (index !== -1) items.splice(index, 1);
+        } else if (index === -1) {
+            items.push(value);
+        } else {
+            items[index] = value;
+        }
+    } else if (field === 'activityOrder') {
+        if (Array.isArray(value)) orderActivities(data, value);
+    } else if (SYNC_DAY_FIELDS.includes(field) && isValidDateKey(key) && isSafeSyncKey(id)) {
+        const byDate = data[field];
+        if (value !== null) {
+            if (!byDate[key]) byDate[key] = {};
+            byDate[key][id] = value;
+        } else if (byDate[key]) {
+            delete byDate[key][id];
+            if (Object.keys(byDate[key]).length === 0) delete byDate[key];
+        }
+    } else if ((field === 'journal' && isValidDateKey(key)) || (field === 'settings' && isSafeSyncKey(key))) {
+        if (value === null) {
+            delete data[field][key];
+        } else {
+            data[field][key] = value;
+        }
+    } else if (SYNC_WHOLE_FIELDS.includes(field) && value !== null) {
+        data[field] = value;
+    }
+    return true;
+}
+
+// Fingerprint of a value: SHA-256 of its JSON, base64
+async function hashSyncValue(value) {
+    const json = JSON.stringify(value === undefined ? null : value);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(json));
+    return bytesToBase64(new Uint8Array(digest));
+}
+
+// Fingerprint used before SHA-256 (FNV-1a of the JSON plus its length,
+// with a "."), only to carry known entries over without uploading again
+function hashSyncValueLegacy(value) {
+    const json = JSON.stringify(value === undefined ? null : value);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < json.length; i++) {
+        hash ^= json.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36) + '.' + json.length.toString(36);
+}
+
+// Hashes of entry values by path with the JSON they were made from, so
+// unchanged entries aren't hashed again on every round
+const syncHashCache = new Map();
+
+async function hashSyncEntry(path, value) {
+    const json = JSON.stringify(value === undefined ? null : value);
+    const cached = syncHashCache.get(path);
+    if (cached && cached.json === json) return cached.hash;
+    const hash = await hashSyncValue(value);
+    syncHashCache.set(path, { json, hash });
+    return hash;
+}
+
+// ==================== STATE ====================
+
+// Stored per profile in localStorage:
+// { serverUrl, account, vaultId, key, deviceId, cursor, joined, known,
+//   outbox, lastSync, conflicts }. `known` maps each path to
+// [hash, time, deviceId] of its latest value; `outbox` holds the paths
+// changed here and not uploaded yet. The key is the derived encryption
+// key, so the passphrase itself is never stored.
+function loadSyncState() {
+    try {
+        return JSON.parse(localStorage.getItem(storageNames.syncKey));
+    } catch (error) {
+        console.error('Error reading sync state:', error);
+        return null;
+    }
+}
+
+function saveSyncState(state) {
+    localStorage.setItem(storageNames.syncKey, JSON.stringify(state));
+}
+
+// For paths where a failed sync is reported already: a full localStorage
+// only costs redoing the round next time
+function trySaveSyncState(state) {
+    try {
+        saveSyncState(state);
+    } catch (error) {
+        console.error('Error saving sync state:', error);
+    }
+}
+
+// { path: time } of entries edited on this device since the last sync.
+// Kept apart from the state so saving an edit doesn't rewrite all of it.
+function loadSyncEdits() {
+    try {
+        return JSON.parse(localStorage.getItem(storageNames.syncEditsKey)) || {};
+    } catch (error) {
+        console.error('Error reading sync edits:', error);
+        return {};
+    }
+}
+
+function saveSyncEdits(edits) {
+    try {
+        if (Object.keys(edits).length === 0) {
+            localStorage.removeItem(storageNames.syncEditsKey);
+        } else {
+            localStorage.setItem(storageNames.syncEditsKey, JSON.stringify(edits));
+        }
+    } catch (error) {
+        // The next sync falls back to stamping them with its own time
+        console.error('Error saving sync edits:', error);
+    }
+}
+
+// 'off', 'idle', 'syncing', 'offline', 'otherTab', 'outdated' or 'error'
+let syncStatus = { state: 'off', error: '' };
+let syncOptions = {};
+let syncTimer = null;
+let syncRun = null;
+// Imported key and the stored key it came from
+let syncCryptoKey = null;
+let syncCryptoKeySource = '';
+// Entry values (as JSON) by day ('' for the rest) as of the last save, to
+// tell which entries a save changed. Only kept while connected.
+let syncBaseline = null;
+
+function setSyncStatus(state, error = '') {
+    syncStatus = { state, error };
+    if (syncOptions.onStatus) syncOptions.onStatus(getSyncStatus());
+}
+
+// Status for the UI, with what is stored about the connection
+function getSyncStatus() {
+    const state = loadSyncState();
+    return Object.assign({}, syncStatus, {
+        connected: !!state,
+        serverUrl: state ? state.serverUrl : '',
+        account: state ? state.account : '',
+        lastSync: state ? state.lastSync : null,
+        pending: state ? Object.keys(state.outbox).length : 0,
+        conflicts: state ? state.conflicts : []
+    });
+}
+
+function clearSyncConflicts() {
+    const state = loadSyncState();
+    if (!state) return;
+    state.conflicts = [];
+    saveSyncState(state);
+    setSyncStatus(syncStatus.state, syncStatus.error);
+}
+
+// ==================== ENCRYPTION ====================
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// 512 bits from the passphrase: the first half is the encryption key,
+// the hash of the second half names the vault on the server. The account
+// name salts the derivation, so equal passphrases don't share a vault.
+async function deriveSyncSecrets(account, passphrase) {
+    const encoder = new TextEncoder();
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits({
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        salt: encoder.encode(`tickora-sync:${account}`),
+        iterations: SYNC_PBKDF2_ITERATIONS
+    }, material, 512));
+    const vaultHash = await crypto.subtle.digest('SHA-256', bits.slice(32));
+    return { key: bytesToBase64(bits.slice(0, 32)), vaultId: toHex(new Uint8Array(vaultHash)) };
+}
+
+async function getSyncCryptoKey(state) {
+    if (syncCryptoKeySource !== state.key) {
+        syncCryptoKey = await crypto.subtle.importKey('raw', base64ToBytes(state.key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+        syncCryptoKeySource = state.key;
+    }
+    return syncCryptoKey;
+}
+
+async function encryptChange(key, change) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plain = new TextEncoder().encode(JSON.stringify(change));
+    const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain);
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(cipher)) };
+}
+
+async function decryptChange(key, record) {
+    try {
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(record.iv) }, key, base64ToBytes(record.data));
+        return JSON.parse(new TextDecoder().decode(plain));
+    } catch (error) {
+        throw createSyncError('decrypt', t('sync.decryptFailed'));
+    }
+}
+
+// ==================== SERVER ====================
+
+function createSyncError(code, message) {
+    const error = new Error(message);
+    error.name = 'SyncError';
+    error.code = code;
+    return error;
+}
+
+// Server address without a trailing slash, or '' when it isn't http(s)
+function normalizeServerUrl(value) {
+    try {
+        const url = new URL(String(value).trim());
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') return '';
+        return url.href.replace(/\/+$/, '');
+    } catch (error) {
+        return '';
+    }
+}
+
+async function syncRequest(state, method, query = '', body) {
+    let response;
+    try {
+        response = await fetch(`${state.serverUrl}/v1/vaults/${state.vaultId}/changes${query}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined,
+            cache: 'no-store'
+        });
+    } catch (error) {
+        throw createSyncError(navigator.onLine === false ? 'offline' : 'network', t('sync.unreachable'));
+    }
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw createSyncError('server', result.error || t('sync.serverError', { status: response.status }));
+    }
+    return result;
+}
+
+// ==================== EDIT TIMES ====================
+
+// Start comparing saves against data as it is now
+function resetSyncBaseline(data) {
+    if (!loadSyncState()) {
+        syncBaseline = null;
+        return;
+    }
+    syncBaseline = new Map();
+    flattenForSync(data).forEach((value, path) => {
+        const date = getSyncEntryDate(path);
+        if (!syncBaseline.has(date)) syncBaseline.set(date, new Map());
+        syncBaseline.get(date).set(path, JSON.stringify(value));
+    });
+}
+
+// Stamp the entries a save changed with the time of the save, so an edit
+// made offline keeps its time instead of the time of the sync that
+// uploads it. Called by saveData with the same dates (null for all).
+function stampSyncEdits(data, dates = null) {
+    if (!syncBaseline) return;
+    const entries = flattenForSync(data, dates);
+    const time = Date.now();
+    const edits = loadSyncEdits();
+    let edited = false;
+    const stamp = path => {
+        edits[path] = time;
+        edited = true;
+    };
+    
+    entries.forEach((value, path) => {
+        const date = getSyncEntryDate(path);
+        if (!syncBaseline.has(date)) syncBaseline.set(date, new Map());
+        const json = JSON.stringify(value);
+        if (syncBaseline.get(date).get(path) !== json) {
+            syncBaseline.get(date).set(path, json);
+            stamp(path);
+        }
+    });
+    // Removed entries, among the days that were compared
+    syncBaseline.forEach((values, date) => {
+        if (date && dates && !dates.includes(date)) return;
+        values.forEach((json, path) => {
+            if (entries.has(path)) return;
+            values.delete(path);
+            stamp(path);
+        });
+    });
+    
+    if (edited) saveSyncEdits(edits);
+}
+
+// ==================== SYNCING ====================
+
+// Compare data with the known entries and queue what changed on this
+// device, with the time it was saved (now, for edits saved before the
+// profile was connected or in a tab that wasn't)
+async function noteLocalChanges(state, data) {
+    const entries = flattenForSync(data);
+    const edits = loadSyncEdits();
+    const time = Date.now();
+    const note = async (path, value) => {
+        const hash = await hashSyncEntry(path, value);
+        const known = state.known[path];
+        const editedAt = edits[path];
+        delete edits[path];
+        if (known && known[0].includes('.') && known[0] === hashSyncValueLegacy(value)) {
+            known[0] = hash;
+        }
+        if (known && known[0] === hash) return;
+        state.known[path] = [hash, editedAt || time, state.deviceId];
+        state.outbox[path] = true;
+    };
+    
+    for (const [path, value] of entries) {
+        await note(path, value);
+    }
+    // Removed entries stay known as null so the removal syncs too
+    for (const path of Object.keys(state.known)) {
+        if (!entries.has(path)) await note(path, null);
+    }
+    saveSyncEdits(edits);
+}
+
+// Download and decrypt the changes uploaded since the cursor, as
+// [{ seq, change }]. Nothing is applied yet: the data may change while
+// waiting for the server.
+async function fetchChanges(state, key) {
+    const records = [];
+    let since = state.cursor;
+    
+    for (;;) {
+        const page = await syncRequest(state, 'GET', `?since=${since}`);
+        for (const record of page.changes) {
+            const change = await decryptChange(key, record);
+            if (change.schema > DATA_SCHEMA_VERSION || change.format > SYNC_FORMAT_VERSION) {
+                throw createSyncError('outdated', t('sync.outdated'));
+            }
+            records.push({ seq: record.seq, change });
+            since = record.seq;
+        }
+        if (page.changes.length === 0 || since >= page.latest) break;
+    }
+    return records;
+}
+
+// Apply downloaded changes from other devices to data. Newer entries
+// win, ties go to the higher device id so every device agrees.
+// Values that aren't valid here are skipped and stay as they were.
+// Hashes are worked out first; the data is read after that and updated
+// without awaiting, so it's the current data and never half updated.
+async function applyChanges(state, records) {
+    const conflicts = [];
+    let applied = false;
+    let order = null;
+    
+    const hashes = new Map();
+    for (const { change } of records) {
+        if (change.device === state.deviceId) continue;
+        for (const entry of change.entries) {
+            hashes.set(entry, await hashSyncValue(entry[1]));
+        }
+    }
+    
+    const data = getData();
+    records.forEach(({ seq, change }) => {
+        if (change.device !== state.deviceId) {
+            change.entries.forEach(entry => {
+                const [path, value, time] = entry;
+                const known = state.known[path];
+                const theirsWins = !known || time > known[1] || (time === known[1] && change.device > known[2]);
+                const hash = hashes.get(entry);
+                if (state.outbox[path] && known[0] !== hash) {
+                    conflicts.push({ path, time: Date.now(), kept: theirsWins ? 'theirs' : 'ours' });
+                }
+                if (!theirsWins || !applySyncEntry(data, path, value)) return;
+                
+                state.known[path] = [hash, time, change.device];
+                delete state.outbox[path];
+                if (path === 'activityOrder') order = value;
+                applied = true;
+            });
+        }
+        state.cursor = seq;
+    });
+    
+    // Activities added after the order arrived keep it
+    if (Array.isArray(order)) orderActivities(data, order);
+    return { data, applied, conflicts };
+}
+
+// Forget removed entries once every device had a full sync to hear about
+// the removal, so `known` doesn't keep growing with deleted history.
+// Entries that still have a value stay known, or they'd look changed and
+// upload again.
+async function pruneKnownEntries(state, before) {
+    const removed = await hashSyncValue(null);
+    Object.keys(state.known).forEach(path => {
+        const [hash, time] = state.known[path];
+        if (hash === removed && time < before && !state.outbox[path]) {
+            delete state.known[path];
+        }
+    });
+}
+
+// Upload the queued entries with their current values. The data is read
+// again for every batch, so edits made meanwhile go up with their own time.
+async function pushChanges(state, key) {
+    for (;;) {
+        await noteLocalChanges(state, getData());
+        const batch = Object.keys(state.outbox).slice(0, SYNC_BATCH_SIZE);
+        if (batch.length === 0) break;
+        
+        const entries = flattenForSync(getData());
+        const change = {
+            format: SYNC_FORMAT_VERSION,
+            schema: DATA_SCHEMA_VERSION,
+            device: state.deviceId,
+            entries: batch.map(path => [path, entries.has(path) ? entries.get(path) : null, state.known[path][1]])
+        };
+        const result = await syncRequest(state, 'POST', '', await encryptChange(key, change));
+        batch.forEach(path => delete state.outbox[path]);
+        // Skip downloading our own change unless others came in between
+        if (result.seq === state.cursor + 1) state.cursor = result.seq;
+        saveSyncState(state);
+    }
+}
+
+// One round: queue local edits, download, then upload. On the first round
+// downloading comes first, so a device joining takes over what is already
+// synced and only uploads what the others don't have. Downloaded changes
+// are applied to the data as it is after the download and hashing
+// (another tab, undo or an import may have replaced it meanwhile), never
+// to a copy taken before an await.
+async function syncOnce() {
+    const state = loadSyncState();
+    if (!state) {
+        setSyncStatus('off');
+        return;
+    }
+    
+    if (state.joined) await noteLocalChanges(state, getData());
+    if (navigator.onLine === false) {
+        trySaveSyncState(state);
+        setSyncStatus('offline');
+        return;
+    }
+    
+    setSyncStatus('syncing');
+    try {
+        const key = await getSyncCryptoKey(state);
+        const records = await fetchChanges(state, key);
+        
+        if (state.joined) await noteLocalChanges(state, getData());
+        const { data, applied, conflicts } = await applyChanges(state, records);
+        state.conflicts = conflicts.concat(state.conflicts).slice(0, MAX_SYNC_CONFLICTS);
+        if (applied) {
+            saveData(data);
+            if (syncOptions.onRemoteChanges) syncOptions.onRemoteChanges(conflicts);
+        } else if (conflicts.length > 0 && syncOptions.onRemoteChanges) {
+            syncOptions.onRemoteChanges(conflicts);
+        }
+        if (!state.joined) {
+            await noteLocalChanges(state, getData());
+            state.joined = true;
+        }
+        saveSyncState(state);
+        
+        await pushChanges(state, key);
+        if (state.lastSync) await pruneKnownEntries(state, state.lastSync);
+        state.lastSync = Date.now();
+        saveSyncState(state);
+        setSyncStatus('idle');
+    } catch (error) {
+        trySaveSyncState(state);
+        if (error.name !== 'SyncError') console.error('Sync failed:', error);
+        const code = error.name === 'SyncError' && ['offline', 'outdated'].includes(error.code) ? error.code : 'error';
+        setSyncStatus(code, error.message);
+    }
+}
+
+// Tabs of a profile take turns so they don't upload the same edits twice
+function withSyncLock(task) {
+    if (navigator.locks && navigator.locks.request) {
+        return navigator.locks.request(storageNames.syncKey, task);
+    }
+    return task();
+}
+
+// Sync now. Only the leader tab syncs: other tabs may not have loaded the
+// latest data yet and would upload stale values.
+function runSync() {
+    clearTimeout(syncTimer);
+    if (!loadSyncState()) {
+        setSyncStatus('off');
+        return Promise.resolve();
+    }
+    if (syncOptions.isLeader && !syncOptions.isLeader()) {
+        setSyncStatus('otherTab');
+        return Promise.resolve();
+    }
+    if (!syncRun) {
+        syncRun = withSyncLock(syncOnce).finally(() => {
+            syncRun = null;
+        });
+    }
+    return syncRun;
+}
+
+// Sync a little after the latest change
+function scheduleSync(delay = SYNC_DELAY) {
+    if (!syncOptions.started) return;
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(runSync, delay);
+}
+
+// Start syncing the open profile if it is connected. options:
+// { onStatus(status), onRemoteChanges(conflicts), isLeader() }
+function initSync(options) {
+    syncOptions = Object.assign({}, options, { started: true });
+    resetSyncBaseline(getData());
+    window.addEventListener('online', () => scheduleSync(0));
+    window.addEventListener('offline', () => {
+        if (loadSyncState()) setSyncStatus('offline');
+    });
+    setInterval(() => {
+        if (loadSyncState()) runSync();
+    }, SYNC_INTERVAL);
+    return runSync();
+}
+
+// Connect the open profile to a server and run the first sync
+async function connectSync(serverUrl, account, passphrase) {
+    const url = normalizeServerUrl(serverUrl);
+    const name = String(account || '').trim().toLowerCase();
+    if (!url) throw createSyncError('invalid', t('sync.invalidServer'));
+    if (!name) throw createSyncError('invalid', t('sync.accountRequired'));
+    if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+        throw createSyncError('invalid', t('sync.passphraseTooShort', { min: MIN_PASSPHRASE_LENGTH }));
+    }
+    
+    const secrets = await deriveSyncSecrets(name, passphrase);
+    // Fails here rather than on the first round when the server is wrong
+    await syncRequest({ serverUrl: url, vaultId: secrets.vaultId }, 'GET', '?since=0&limit=1');
+    saveSyncState({
+        serverUrl: url,
+        account: name,
+        vaultId: secrets.vaultId,
+        key: secrets.key,
+        deviceId: generateId(),
+        cursor: 0,
+        joined: false,
+        known: {},
+        outbox: {},
+        lastSync: null,
+        conflicts: []
+    });
+    resetSyncBaseline(getData());
+    return runSync();
+}
+
+// Stop syncing this profile; the data stays on the device and the server
+function disconnectSync() {
+    clearTimeout(syncTimer);
+    localStorage.removeItem(storageNames.syncKey);
+    localStorage.removeItem(storageNames.syncEditsKey);
+    syncBaseline = null;
+    setSyncStatus('off');
+}